@@ -0,0 +1,175 @@
+// ─── Adjuntos cifrados (Redis) ───────────────────────────────────────
+//
+//  attachment:{id}           hash    owner, total, received, bytes, linked
+//  attachment:{id}:chunks    hash    índice → trozo cifrado (base64)
+//  attachment:{id}:readers   set     destinatarios que aún no lo vieron
+//
+//  El cliente cifra el archivo por trozos (CryptoBrowser.encryptAttachment)
+//  y los sube antes de enviar el mensaje; la clave viaja dentro del
+//  mensaje, cifrada de extremo a extremo, así que aquí solo hay ruido.
+//  Al enviarse, el adjunto queda ligado a los destinatarios y deja de
+//  admitir trozos. Cada `seen` o caducidad de una copia libera a su
+//  destinatario; sin destinatarios se borra. Lo que nunca se envía
+//  caduca solo (uploadTtl).
+
+// Lo que retornan los scripts en lugar de un resultado
+const ATTACHMENT_ERROR = { FORBIDDEN: -1, MISMATCH: -2, TOO_LARGE: -3, SEALED: -4, INCOMPLETE: -5 };
+
+const SCRIPTS = {
+    // KEYS: meta, chunks — ARGV: owner, index, total, data, size, maxBytes, ttl
+    // Retorna los trozos recibidos; repetir un trozo no lo cuenta dos veces
+    putAttachmentChunk: {
+        numberOfKeys: 2,
+        lua: `
+            local owner = redis.call("HGET", KEYS[1], "owner")
+            if not owner then
+                redis.call("HSET", KEYS[1], "owner", ARGV[1], "total", ARGV[3], "received", 0, "bytes", 0)
+            elseif owner ~= ARGV[1] then
+                return ${ATTACHMENT_ERROR.FORBIDDEN}
+            end
+            if redis.call("HEXISTS", KEYS[1], "linked") == 1 then
+                return ${ATTACHMENT_ERROR.SEALED}
+            end
+            if redis.call("HGET", KEYS[1], "total") ~= ARGV[3] then
+                return ${ATTACHMENT_ERROR.MISMATCH}
+            end
+            if redis.call("HEXISTS", KEYS[2], ARGV[2]) == 1 then
+                return tonumber(redis.call("HGET", KEYS[1], "received"))
+            end
+            local bytes = tonumber(redis.call("HGET", KEYS[1], "bytes")) + tonumber(ARGV[5])
+            if bytes > tonumber(ARGV[6]) then
+                redis.call("DEL", KEYS[1], KEYS[2])
+                return ${ATTACHMENT_ERROR.TOO_LARGE}
+            end
+            redis.call("HSET", KEYS[2], ARGV[2], ARGV[4])
+            redis.call("HSET", KEYS[1], "bytes", bytes)
+            local received = redis.call("HINCRBY", KEYS[1], "received", 1)
+            redis.call("EXPIRE", KEYS[1], ARGV[7])
+            redis.call("EXPIRE", KEYS[2], ARGV[7])
+            return received
+        `,
+    },
+
+    // KEYS: meta, chunks, readers — ARGV: owner, ttl, reader1, reader2, ...
+    // Cierra el adjunto y lo deja vivir tanto como el mensaje
+    linkAttachment: {
+        numberOfKeys: 3,
+        lua: `
+            if redis.call("EXISTS", KEYS[1]) == 0 then return ${ATTACHMENT_ERROR.INCOMPLETE} end
+            local info = redis.call("HMGET", KEYS[1], "owner", "total", "received")
+            if info[1] ~= ARGV[1] then return ${ATTACHMENT_ERROR.FORBIDDEN} end
+            if info[2] ~= info[3] then return ${ATTACHMENT_ERROR.INCOMPLETE} end
+            redis.call("HSET", KEYS[1], "linked", 1)
+            for i = 3, #ARGV do redis.call("SADD", KEYS[3], ARGV[i]) end
+            for i = 1, 3 do redis.call("EXPIRE", KEYS[i], ARGV[2]) end
+            return 1
+        `,
+    },
+
+    // KEYS: meta, chunks, readers — ARGV: reader, keep ("1" / "")
+    // Saca a `reader`. Sin lectores: se borra o, con keep (el envío
+    // falló), vuelve a admitir el mismo envío hasta que caduque
+    releaseAttachment: {
+        numberOfKeys: 3,
+        lua: `
+            redis.call("SREM", KEYS[3], ARGV[1])
+            if redis.call("SCARD", KEYS[3]) > 0 then return 0 end
+            if ARGV[2] == "1" then
+                redis.call("HDEL", KEYS[1], "linked")
+                return 0
+            end
+            redis.call("DEL", KEYS[1], KEYS[2], KEYS[3])
+            return 1
+        `,
+    },
+};
+
+class AttachmentStore {
+    /**
+     * @param {Redis} redis
+     * @param {object} options
+     * @param {number} options.maxBytes    bytes cifrados por adjunto
+     * @param {number} options.uploadTtl   segundos que espera un adjunto sin enviar
+     */
+    constructor(redis, { maxBytes, uploadTtl }) {
+        this.redis = redis;
+        this.maxBytes = maxBytes;
+        this.uploadTtl = uploadTtl;
+        for (const [name, definition] of Object.entries(SCRIPTS)) {
+            redis.defineCommand(name, definition);
+        }
+    }
+
+    static keys(attachmentId) {
+        return {
+            meta: `attachment:${attachmentId}`,
+            chunks: `attachment:${attachmentId}:chunks`,
+            readers: `attachment:${attachmentId}:readers`,
+        };
+    }
+
+    /**
+     * Guarda un trozo subido por `ownerId` (el primero crea el adjunto).
+     * Retorna los trozos recibidos o un ATTACHMENT_ERROR.
+     */
+    async put(ownerId, { attachmentId, index, total, data }) {
+        const k = AttachmentStore.keys(attachmentId);
+        return Number(await this.redis.putAttachmentChunk(
+            k.meta, k.chunks, ownerId, index, total, data,
+            Buffer.byteLength(data, "base64"), this.maxBytes, this.uploadTtl
+        ));
+    }
+
+    /**
+     * Liga un adjunto completo a los destinatarios de un mensaje hasta
+     * `expiresAt` (ms). Retorna 1 o un ATTACHMENT_ERROR.
+     */
+    async link(ownerId, attachmentId, readers, expiresAt) {
+        const k = AttachmentStore.keys(attachmentId);
+        const ttl = Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000));
+        return Number(await this.redis.linkAttachment(k.meta, k.chunks, k.readers, ownerId, ttl, ...readers));
+    }
+
+    /**
+     * `readerId` ya no lo necesita (lo vio o caducó su copia). Con `keep`
+     * (el envío no llegó a encolarse) el adjunto se conserva para reintentar.
+     */
+    async release(attachmentId, readerId, { keep = false } = {}) {
+        const k = AttachmentStore.keys(attachmentId);
+        await this.redis.releaseAttachment(k.meta, k.chunks, k.readers, readerId, keep ? "1" : "");
+    }
+
+    /**
+     * Trozos de un adjunto si `readerId` es uno de sus destinatarios
+     * pendientes, en orden. Null si no existe o no le corresponde.
+     */
+    async fetch(attachmentId, readerId) {
+        const k = AttachmentStore.keys(attachmentId);
+        const [allowed, total, chunks] = await Promise.all([
+            this.redis.sismember(k.readers, readerId),
+            this.redis.hget(k.meta, "total"),
+            this.redis.hgetall(k.chunks),
+        ]);
+        if (!allowed || !total) return null;
+        const out = [];
+        for (let i = 0; i < Number(total); i++) {
+            if (chunks[i] === undefined) return null;
+            out.push(chunks[i]);
+        }
+        return out;
+    }
+
+    /** Motivo (para el error) de un ATTACHMENT_ERROR */
+    static errorReason(code) {
+        switch (code) {
+            case ATTACHMENT_ERROR.FORBIDDEN: return "forbidden";
+            case ATTACHMENT_ERROR.MISMATCH: return "mismatch";
+            case ATTACHMENT_ERROR.TOO_LARGE: return "too_large";
+            case ATTACHMENT_ERROR.SEALED: return "sealed";
+            case ATTACHMENT_ERROR.INCOMPLETE: return "incomplete";
+            default: return null;
+        }
+    }
+}
+
+module.exports = { AttachmentStore, ATTACHMENT_ERROR };
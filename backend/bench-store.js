@@ -0,0 +1,154 @@
+// ─── Benchmark de la cola de mensajes ────────────────────────────────
+//
+//  Compara el layout anterior (lista + LRANGE/LREM por cada `seen`) con
+//  MessageStore (hash + zset + Lua) para colas de varios tamaños.
+//
+//  Uso:  REDIS_URL=redis://localhost:6379 npm run bench [-- 1000 5000]
+//
+//  Trabaja bajo un prefijo de usuario propio y lo borra al terminar,
+//  aunque falle a medias. De chat:expiry, compartido con el servidor,
+//  quita solo las entradas de los mensajes que encoló.
+
+const Redis = require("ioredis");
+const { v4: uuidv4 } = require("uuid");
+const { MessageStore, EXPIRY_KEY } = require("./store");
+
+const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+const SIZES = process.argv.slice(2).map(Number).filter((n) => n > 0);
+if (SIZES.length === 0) SIZES.push(1000, 5000, 10000);
+
+// Cuántos `seen` se miden por tamaño (repartidos por toda la cola)
+const SEEN_SAMPLES = 200;
+
+const redis = new Redis(REDIS_URL);
+const store = new MessageStore(redis);
+
+function makeMessage(to, i) {
+    return {
+        id: uuidv4(),
+        from: "bench-sender",
+        to,
+        content: "x".repeat(256),
+        timestamp: Date.now() + i,
+        expiresAt: Date.now() + 3600_000,
+    };
+}
+
+function pick(messages) {
+    const step = Math.max(1, Math.floor(messages.length / SEEN_SAMPLES));
+    return messages.filter((_, i) => i % step === 0).slice(0, SEEN_SAMPLES);
+}
+
+async function timed(fn) {
+    const start = process.hrtime.bigint();
+    await fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// ── Layout anterior: chat:{userId} lista de JSON ──
+
+async function benchList(size) {
+    const userId = `bench-list-${uuidv4()}`;
+    const key = `chat:${userId}`;
+    const messages = Array.from({ length: size }, (_, i) => makeMessage(userId, i));
+
+    try {
+        return await runList(key, messages);
+    } finally {
+        await redis.del(key);
+    }
+}
+
+async function runList(key, messages) {
+    const enqueue = await timed(async () => {
+        const tx = redis.pipeline();
+        for (const m of messages) tx.rpush(key, JSON.stringify(m));
+        await tx.exec();
+    });
+
+    const fetch = await timed(async () => {
+        const raw = await redis.lrange(key, 0, -1);
+        raw.map((r) => JSON.parse(r));
+    });
+
+    const targets = pick(messages);
+    const seen = await timed(async () => {
+        for (const target of targets) {
+            const all = await redis.lrange(key, 0, -1);
+            for (const raw of all) {
+                if (JSON.parse(raw).id === target.id) {
+                    await redis.lrem(key, 1, raw);
+                    break;
+                }
+            }
+        }
+    });
+
+    return { enqueue, fetch, seen: seen / targets.length };
+}
+
+// ── Layout actual: MessageStore ──
+
+async function benchStore(size) {
+    const userId = `bench-store-${uuidv4()}`;
+    const messages = Array.from({ length: size }, (_, i) => makeMessage(userId, i));
+
+    try {
+        return await runStore(userId, messages);
+    } finally {
+        await cleanupStore(userId, messages);
+    }
+}
+
+async function runStore(userId, messages) {
+    const enqueue = await timed(async () => {
+        const tx = redis.pipeline();
+        for (const m of messages) store.enqueue(m, tx);
+        await tx.exec();
+    });
+
+    const fetch = await timed(() => store.fetchPending(userId));
+
+    const targets = pick(messages);
+    const seen = await timed(async () => {
+        for (const target of targets) await store.take(userId, target.id);
+    });
+
+    return { enqueue, fetch, seen: seen / targets.length };
+}
+
+/** Borra la cola de `userId` y, de chat:expiry, solo las entradas de `messages` */
+async function cleanupStore(userId, messages) {
+    const k = MessageStore.keys(userId);
+    await redis.del(k.msgs, k.order, k.seq, k.bytes);
+    const members = messages.map((m) => MessageStore.expiryMember(userId, m.id));
+    for (let i = 0; i < members.length; i += 1000) {
+        await redis.zrem(EXPIRY_KEY, ...members.slice(i, i + 1000));
+    }
+}
+
+function row(label, size, r) {
+    return [
+        label.padEnd(6),
+        String(size).padStart(7),
+        r.enqueue.toFixed(1).padStart(12),
+        r.fetch.toFixed(1).padStart(10),
+        r.seen.toFixed(3).padStart(12),
+    ].join("  ");
+}
+
+async function main() {
+    console.log(`Redis: ${REDIS_URL}`);
+    console.log("layout     msgs  enqueue(ms)  fetch(ms)  seen(ms/op)");
+    for (const size of SIZES) {
+        console.log(row("lista", size, await benchList(size)));
+        console.log(row("store", size, await benchStore(size)));
+    }
+}
+
+main()
+    .catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => redis.quit());
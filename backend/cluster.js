@@ -0,0 +1,124 @@
+// ─── Enrutado entre instancias (Redis pub/sub) ───────────────────────
+//
+//  presence:{userId}   zset   nodeId → caducidad del registro (ms)
+//  node:{nodeId}       canal  eventos para los sockets de ese nodo
+//  cluster             canal  avisos para todos los nodos (sin guardar nada)
+//
+//  Cada nodo anota en `presence:{userId}` que tiene sockets de ese
+//  usuario y refresca la marca cada PRESENCE_REFRESH_MS. Si un nodo
+//  muere sin limpiar, su entrada caduca sola y deja de recibir tráfico.
+
+const PRESENCE_TTL_MS = 30_000;
+const PRESENCE_REFRESH_MS = 10_000;
+const BROADCAST_CHANNEL = "cluster";
+
+class Cluster {
+    /**
+     * @param {Redis} redis     conexión de comandos (la de pub/sub se duplica)
+     * @param {object} options
+     * @param {string} options.nodeId
+     * @param {(userId: string, payload: object) => void} options.deliver
+     *        entrega a los sockets locales de `userId`
+     * @param {() => Iterable<string>} options.localUsers
+     *        usuarios con al menos un socket en este nodo
+     * @param {(event: object) => void} [options.onBroadcast]
+     *        avisos de otros nodos publicados con broadcast()
+     */
+    constructor(redis, { nodeId, deliver, localUsers, onBroadcast = () => { } }) {
+        this.redis = redis;
+        this.nodeId = nodeId;
+        this.deliver = deliver;
+        this.localUsers = localUsers;
+        this.onBroadcast = onBroadcast;
+        this.sub = null;
+        this.timer = null;
+    }
+
+    static presenceKey(userId) {
+        return `presence:${userId}`;
+    }
+
+    static channel(nodeId) {
+        return `node:${nodeId}`;
+    }
+
+    async start() {
+        this.sub = this.redis.duplicate();
+        this.sub.on("error", () => { /* silent */ });
+        this.sub.on("message", (channel, raw) => {
+            let event;
+            try {
+                event = JSON.parse(raw);
+            } catch {
+                return;
+            }
+            if (!event) return;
+            if (channel === BROADCAST_CHANNEL) {
+                if (event.from !== this.nodeId) this.onBroadcast(event);
+            } else if (typeof event.to === "string" && event.payload) {
+                this.deliver(event.to, event.payload);
+            }
+        });
+        await this.sub.subscribe(Cluster.channel(this.nodeId), BROADCAST_CHANNEL);
+        this.timer = setInterval(() => this.refresh().catch(() => { }), PRESENCE_REFRESH_MS);
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        const tx = this.redis.multi();
+        for (const userId of this.localUsers()) {
+            tx.zrem(Cluster.presenceKey(userId), this.nodeId);
+        }
+        await tx.exec();
+        if (this.sub) await this.sub.quit();
+    }
+
+    /** El primer socket de `userId` en este nodo */
+    async join(userId) {
+        const key = Cluster.presenceKey(userId);
+        await this.redis
+            .multi()
+            .zadd(key, Date.now() + PRESENCE_TTL_MS, this.nodeId)
+            .pexpire(key, PRESENCE_TTL_MS)
+            .exec();
+    }
+
+    /** El último socket de `userId` en este nodo se cerró */
+    async leave(userId) {
+        await this.redis.zrem(Cluster.presenceKey(userId), this.nodeId);
+    }
+
+    async refresh() {
+        const expiresAt = Date.now() + PRESENCE_TTL_MS;
+        const tx = this.redis.multi();
+        for (const userId of this.localUsers()) {
+            const key = Cluster.presenceKey(userId);
+            tx.zadd(key, expiresAt, this.nodeId);
+            tx.pexpire(key, PRESENCE_TTL_MS);
+        }
+        await tx.exec();
+    }
+
+    /** Nodos (vivos) con algún socket de `userId`, incluido este */
+    async nodesOf(userId) {
+        return this.redis.zrangebyscore(Cluster.presenceKey(userId), Date.now(), "+inf");
+    }
+
+    /** Publica `event` en todos los OTROS nodos (llega con `from` = este nodo) */
+    async broadcast(event) {
+        await this.redis.publish(BROADCAST_CHANNEL, JSON.stringify({ ...event, from: this.nodeId }));
+    }
+
+    /** Publica `payload` en los OTROS nodos donde está conectado `userId` */
+    async route(userId, payload) {
+        const nodes = (await this.nodesOf(userId)).filter((n) => n !== this.nodeId);
+        if (nodes.length === 0) return 0;
+        const data = JSON.stringify({ to: userId, payload });
+        const tx = this.redis.multi();
+        for (const node of nodes) tx.publish(Cluster.channel(node), data);
+        await tx.exec();
+        return nodes.length;
+    }
+}
+
+module.exports = { Cluster, PRESENCE_TTL_MS, PRESENCE_REFRESH_MS };
@@ -0,0 +1,821 @@
+// ─────────────────────────────────────────────────────────────
+//  Test de integración: dos instancias de server.js contra el
+//  mismo Redis, con los usuarios repartidos entre ambas.
+//
+//  Uso:  REDIS_URL=redis://localhost:6379 npm test
+//
+//  Arranca las instancias en CLUSTER_TEST_PORT y CLUSTER_TEST_PORT+1
+//  (3210 por defecto). Con CLUSTER_TEST_NODES="ws://a:3000,ws://b:3000"
+//  usa réplicas ya levantadas (con el mismo STORE_SEAL_SECRET). Los
+//  tests de reinicio levantan además un nodo en CLUSTER_TEST_PORT+2, y
+//  los que necesitan otra configuración (plazos cortos, topes bajos),
+//  uno propio en CLUSTER_TEST_PORT+3.
+//  Sin Redis alcanzable falla, salvo con CLUSTER_TEST_OPTIONAL=1,
+//  que lo omite.
+// ─────────────────────────────────────────────────────────────
+
+const assert = require("assert");
+const crypto = require("crypto");
+const path = require("path");
+const { spawn } = require("child_process");
+const Redis = require("ioredis");
+const WebSocket = require("ws");
+const { generateKeyAgreementPair, sealSender, openSealedSender } = require("../frontend/crypto-module");
+
+const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+const BASE_PORT = parseInt(process.env.CLUSTER_TEST_PORT, 10) || 3210;
+const STARTUP_TIMEOUT_MS = 10_000;
+const EVENT_TIMEOUT_MS = 3_000;
+// Las réplicas comparten la clave de sellado de la cola (ver seal.js)
+const SEAL_SECRET = process.env.STORE_SEAL_SECRET || crypto.randomBytes(16).toString("hex");
+
+let passed = 0;
+const children = [];
+const sockets = [];
+const aliases = [];
+const sessionTokens = [];
+const attachmentIds = [];
+const replyTokens = [];
+const messageIds = []; // de cada message_sent: su autoría queda en author:{id}
+const roomIds = [];
+
+function test(name, fn) {
+    return fn()
+        .then(() => { passed++; console.log(`  ✔  ${name}`); })
+        .catch((err) => { console.error(`  ✖  ${name}\n     ${err.message}`); process.exitCode = 1; });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ── Redis ──────────────────────────────────────────────────
+
+async function redisReachable() {
+    const probe = new Redis(REDIS_URL, {
+        lazyConnect: true,
+        maxRetriesPerRequest: 0,
+        retryStrategy: () => null,
+    });
+    probe.on("error", () => { });
+    try {
+        await probe.connect();
+        await probe.ping();
+        return probe;
+    } catch {
+        probe.disconnect();
+        return null;
+    }
+}
+
+// ── Nodos ──────────────────────────────────────────────────
+
+function startNode(port, env = {}) {
+    const child = spawn(process.execPath, [path.join(__dirname, "server.js")], {
+        env: { ...process.env, PORT: String(port), REDIS_URL, STORE_SEAL_SECRET: SEAL_SECRET, ...env },
+        stdio: "ignore",
+    });
+    child.port = port;
+    children.push(child);
+    return `ws://localhost:${port}`;
+}
+
+/** Para el nodo de `port` (arrancado aquí) y espera a que salga */
+function stopNode(port) {
+    const child = children.find((c) => c.port === port && c.exitCode === null);
+    return new Promise((resolve) => {
+        child.once("exit", resolve);
+        child.kill("SIGTERM");
+    });
+}
+
+async function waitForNode(url) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        try {
+            const ws = await open(url);
+            ws.close();
+            return;
+        } catch {
+            await sleep(200);
+        }
+    }
+    throw new Error(`${url} no respondió`);
+}
+
+// ── Clientes ───────────────────────────────────────────────
+
+function open(url) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url);
+        ws.once("open", () => resolve(ws));
+        ws.once("error", reject);
+    });
+}
+
+/** Socket con bandeja de entrada y `next(type)` para esperar eventos */
+async function client(url) {
+    const ws = await open(url);
+    sockets.push(ws);
+    const inbox = [];
+    const waiters = [];
+    ws.on("message", (raw) => {
+        const msg = JSON.parse(raw);
+        if (msg.type === "message_sent") messageIds.push(msg.id);
+        const i = waiters.findIndex((w) => w.type === msg.type);
+        if (i >= 0) waiters.splice(i, 1)[0].resolve(msg);
+        else inbox.push(msg);
+    });
+    ws.next = (type) => {
+        const i = inbox.findIndex((m) => m.type === type);
+        if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+        return new Promise((resolve, reject) => {
+            const waiter = { type, resolve };
+            waiters.push(waiter);
+            setTimeout(() => {
+                const j = waiters.indexOf(waiter);
+                if (j >= 0) waiters.splice(j, 1);
+                reject(new Error(`sin ${type} tras ${EVENT_TIMEOUT_MS} ms`));
+            }, EVENT_TIMEOUT_MS);
+        });
+    };
+    ws.json = (payload) => ws.send(JSON.stringify(payload));
+    ws.inbox = inbox;
+    return ws;
+}
+
+/** `owner` crea una sala con `members`; espera el room_update de cada uno */
+async function createRoom(owner, members, quorum) {
+    owner.json({ type: "create_room", name: "sala", members: members.map((m) => m.registered.userId), quorum });
+    const { room } = await owner.next("room_update");
+    roomIds.push(room.id);
+    await Promise.all(members.map((m) => m.next("room_update")));
+    return room;
+}
+
+function newIdentity() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+    return {
+        privateKey,
+        publicKey: publicKey.export({ type: "spki", format: "der" }).toString("base64"),
+    };
+}
+
+function uniqueAlias(name) {
+    const alias = `${name}-${crypto.randomBytes(4).toString("hex")}`;
+    aliases.push(alias);
+    return alias;
+}
+
+/** Conecta `alias` a `url` y completa register + auth (`extra` va en el register) */
+async function login(url, alias, identity = newIdentity(), extra = {}) {
+    const ws = await client(url);
+    ws.json({ type: "register", userId: alias, publicKey: identity.publicKey, ...extra });
+    const { nonce } = await ws.next("challenge");
+    const signature = crypto.sign(
+        "sha256",
+        Buffer.from(`volatile-chat:register:${alias}:${nonce}`),
+        { key: identity.privateKey, dsaEncoding: "ieee-p1363" }
+    );
+    ws.json({ type: "auth", signature: signature.toString("base64") });
+    ws.registered = await ws.next("registered");
+    sessionTokens.push(ws.registered.session);
+    ws.identity = identity;
+    // Dar tiempo a que la presencia se anote en Redis
+    await sleep(100);
+    return ws;
+}
+
+async function cleanup(redis) {
+    for (const ws of sockets) ws.terminate();
+    for (const child of children) child.kill("SIGTERM");
+    if (!redis) return;
+    const keys = [];
+    for (const alias of aliases) {
+        keys.push(
+            `identity:${alias}`, `prekey:${alias}`, `presence:${alias}`,
+            `chat:${alias}:msgs`, `chat:${alias}:order`, `chat:${alias}:seq`,
+            `chat:${alias}:bytes`, `rate:sender:${alias}`, `sent:${alias}:retry-1`, `user:${alias}:rooms`
+        );
+    }
+    for (const id of roomIds) keys.push(`room:${id}`, `room:${id}:members`);
+    for (const token of sessionTokens) keys.push(`session:${token}`);
+    for (const id of messageIds) keys.push(`author:${id}`, `roommsg:${id}`, `roommsg:${id}:pending`);
+    for (const token of replyTokens) keys.push(`reply:${token}`, `sealed-sent:${token}`, `sent:*:${token}`);
+    for (const id of attachmentIds) {
+        keys.push(`attachment:${id}`, `attachment:${id}:chunks`, `attachment:${id}:readers`);
+    }
+    if (keys.length) await redis.del(...keys);
+    redis.disconnect();
+}
+
+(async () => {
+    console.log("\n🛰   cluster tests\n");
+
+    const redis = await redisReachable();
+    if (!redis) {
+        if (process.env.CLUSTER_TEST_OPTIONAL) {
+            console.log(`  –  Redis no disponible en ${REDIS_URL}, se omiten (CLUSTER_TEST_OPTIONAL)\n`);
+            return;
+        }
+        console.error(`  ✖  Redis no disponible en ${REDIS_URL}: no se ha ejecutado ningún test\n`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const [node1, node2] = process.env.CLUSTER_TEST_NODES
+        ? process.env.CLUSTER_TEST_NODES.split(",").map((u) => u.trim())
+        : [startNode(BASE_PORT), startNode(BASE_PORT + 1)];
+
+    try {
+        await waitForNode(node1);
+        await waitForNode(node2);
+
+        await test("otra clave no reclama un alias conectado, ni pasado IDENTITY_TTL_SECONDS", async () => {
+            const port = BASE_PORT + 3;
+            const node3 = startNode(port, { IDENTITY_TTL_SECONDS: "2" });
+            try {
+                await waitForNode(node3);
+                const aliceId = uniqueAlias("alice");
+                const alice = await login(node3, aliceId);
+
+                const claim = async (url) => {
+                    const impostor = await client(url);
+                    impostor.json({ type: "register", userId: aliceId, publicKey: newIdentity().publicKey });
+                    return (await impostor.next("auth_error")).code;
+                };
+                assert.strictEqual(await claim(node3), "alias_taken");
+                await sleep(3000);
+                assert.strictEqual(await claim(node3), "alias_taken");
+                assert.strictEqual(await claim(node1), "alias_taken");
+
+                // El plazo corre desde la desconexión
+                alice.close();
+                await sleep(1000);
+                assert.strictEqual(await claim(node1), "alias_taken");
+                await sleep(2000);
+                assert.strictEqual(await redis.exists(`identity:${aliceId}`), 0);
+                await login(node1, aliceId);
+            } finally {
+                await stopNode(port);
+            }
+        });
+
+        await test("new_message, message_delivered y message_seen cruzan de nodo", async () => {
+            const alice = await login(node1, uniqueAlias("alice"));
+            const bobId = uniqueAlias("bob");
+            const bob = await login(node2, bobId);
+
+            alice.json({ type: "send_message", to: bobId, content: "hola", clientId: "c1" });
+            assert.strictEqual((await alice.next("message_sent")).clientId, "c1");
+            const { message } = await bob.next("new_message");
+            assert.strictEqual(message.content, "hola");
+            const delivered = await alice.next("message_delivered");
+            assert.deepStrictEqual(delivered.messageIds, [message.id]);
+            assert.strictEqual(delivered.to, bobId);
+
+            bob.json({ type: "seen", messageId: message.id });
+            const seen = await alice.next("message_seen");
+            assert.strictEqual(seen.messageId, message.id);
+            assert.strictEqual(seen.seenBy, bobId);
+        });
+
+        await test("all_messages_seen llega al remitente en otro nodo", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+            const bob = await login(node2, bobId);
+
+            alice.json({ type: "send_message", to: bobId, content: "1" });
+            alice.json({ type: "send_message", to: bobId, content: "2" });
+            const first = await bob.next("new_message");
+            const second = await bob.next("new_message");
+
+            bob.json({ type: "seen_all", upTo: Math.max(first.message.seq, second.message.seq) });
+            const all = await alice.next("all_messages_seen");
+            assert.strictEqual(all.seenBy, bobId);
+            assert.strictEqual(all.count, 2);
+        });
+
+        await test("seen_all solo borra hasta upTo y cuenta a cada remitente lo suyo", async () => {
+            const alice = await login(node1, uniqueAlias("alice"));
+            const carol = await login(node2, uniqueAlias("carol"));
+            const bobId = uniqueAlias("bob");
+            const bob = await login(node2, bobId);
+
+            alice.json({ type: "send_message", to: bobId, content: "a1" });
+            const a1 = (await bob.next("new_message")).message;
+            carol.json({ type: "send_message", to: bobId, content: "c1" });
+            const c1 = (await bob.next("new_message")).message;
+            alice.json({ type: "send_message", to: bobId, content: "a2" });
+            const a2 = (await bob.next("new_message")).message;
+            carol.json({ type: "send_message", to: bobId, content: "c2" });
+            await carol.next("message_sent");
+            await carol.next("message_sent");
+
+            // c2 se encoló después de lo que bob había visto al pedir seen_all
+            bob.json({ type: "seen_all", upTo: a2.seq });
+            const ack = await bob.next("ack_seen_all");
+            assert.strictEqual(ack.deletedCount, 3);
+            assert.deepStrictEqual([...ack.messageIds].sort(), [a1.id, c1.id, a2.id].sort());
+
+            const toAlice = await alice.next("all_messages_seen");
+            assert.deepStrictEqual([toAlice.seenBy, toAlice.count], [bobId, 2]);
+            assert.deepStrictEqual([...toAlice.messageIds].sort(), [a1.id, a2.id].sort());
+            const toCarol = await carol.next("all_messages_seen");
+            assert.deepStrictEqual([toCarol.count, toCarol.messageIds], [1, [c1.id]]);
+
+            const again = await login(node1, bobId, bob.identity);
+            const pending = await again.next("pending_messages");
+            assert.deepStrictEqual(pending.messages.map((m) => m.content), ["c2"]);
+        });
+
+        await test("un alias con dispositivos en ambos nodos los recibe en los dos", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+            const phone = await login(node1, bobId);
+            const laptop = await login(node2, bobId, phone.identity);
+
+            alice.json({ type: "send_message", to: bobId, content: "a ambos" });
+            const onPhone = await phone.next("new_message");
+            const onLaptop = await laptop.next("new_message");
+            assert.strictEqual(onPhone.message.id, onLaptop.message.id);
+
+            laptop.json({ type: "seen", messageId: onLaptop.message.id });
+            const elsewhere = await phone.next("seen_elsewhere");
+            assert.deepStrictEqual(elsewhere.messageIds, [onLaptop.message.id]);
+        });
+
+        await test("presencia y typing se ven desde otro nodo", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+            const bob = await login(node2, bobId);
+
+            alice.json({ type: "watch_presence", userId: bobId });
+            assert.strictEqual((await alice.next("presence")).status, "offline");
+
+            bob.json({ type: "set_presence", status: "online", share: true });
+            assert.strictEqual((await alice.next("presence")).status, "online");
+
+            bob.json({ type: "typing", to: aliceId, active: true });
+            assert.strictEqual((await alice.next("typing")).from, bobId);
+
+            bob.close();
+            assert.strictEqual((await alice.next("presence")).status, "offline");
+        });
+
+        await test("al desconectarse, lo enviado queda pendiente para cualquier nodo", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+            const bob = await login(node2, bobId);
+
+            bob.close();
+            await sleep(200);
+            alice.json({ type: "send_message", to: bobId, content: "luego" });
+            await alice.next("message_sent");
+
+            const again = await login(node1, bobId, bob.identity);
+            const pending = await again.next("pending_messages");
+            assert.deepStrictEqual(pending.messages.map((m) => m.content), ["luego"]);
+        });
+
+        await test("al reanudar la sesión en otro nodo solo llega lo posterior al cursor", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+            const bob = await login(node1, bobId);
+            assert.strictEqual(bob.registered.resumed, false);
+
+            // Recibido pero sin `seen`: sigue en la cola
+            alice.json({ type: "send_message", to: bobId, content: "ya leído" });
+            const { message } = await bob.next("new_message");
+            bob.close();
+            await sleep(200);
+            alice.json({ type: "send_message", to: bobId, content: "nuevo" });
+            await alice.next("message_sent");
+
+            const resume = { resume: bob.registered.session, cursor: message.seq };
+            const again = await login(node2, bobId, bob.identity, resume);
+            assert.strictEqual(again.registered.resumed, true);
+            assert.strictEqual(again.registered.session, bob.registered.session);
+            const pending = await again.next("pending_messages");
+            assert.deepStrictEqual(pending.messages.map((m) => m.content), ["nuevo"]);
+
+            // Un token ajeno no vale: se entrega la cola completa
+            const carol = await login(node1, uniqueAlias("carol"));
+            const stranger = await login(node1, bobId, bob.identity, { resume: carol.registered.session, cursor: 99 });
+            assert.strictEqual(stranger.registered.resumed, false);
+            assert.strictEqual((await stranger.next("pending_messages")).count, 2);
+        });
+
+        await test("un reintento con el mismo clientId en otro nodo no duplica el mensaje", async () => {
+            const aliceId = uniqueAlias("alice");
+            const first = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+
+            first.json({ type: "send_message", to: bobId, content: "una vez", clientId: "retry-1" });
+            const original = await first.next("message_sent");
+            first.close();
+
+            const again = await login(node2, aliceId, first.identity);
+            again.json({ type: "send_message", to: bobId, content: "una vez", clientId: "retry-1" });
+            assert.strictEqual((await again.next("message_sent")).id, original.id);
+
+            const bob = await login(node1, bobId);
+            const pending = await bob.next("pending_messages");
+            assert.deepStrictEqual(pending.messages.map((m) => m.id), [original.id]);
+        });
+
+        await test("un adjunto subido en un nodo se descarga en otro y se borra al verse", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+            const bob = await login(node2, bobId);
+            const attachmentId = `att-${crypto.randomBytes(4).toString("hex")}`;
+            attachmentIds.push(attachmentId);
+
+            const chunks = ["AAAA", "BBBB"];
+            for (const [index, data] of chunks.entries()) {
+                alice.json({ type: "attachment_chunk", attachmentId, index, total: chunks.length, data });
+                assert.strictEqual((await alice.next("attachment_stored")).received, index + 1);
+            }
+            alice.json({ type: "send_message", to: bobId, content: "clave", attachment: attachmentId });
+            await alice.next("message_sent");
+            const { message } = await bob.next("new_message");
+            assert.strictEqual(message.attachment, attachmentId);
+
+            bob.json({ type: "attachment_fetch", attachmentId });
+            const received = [await bob.next("attachment_data"), await bob.next("attachment_data")];
+            assert.deepStrictEqual(received.map((c) => c.data), chunks);
+
+            bob.json({ type: "seen", messageId: message.id });
+            await bob.next("ack_seen");
+            bob.json({ type: "attachment_fetch", attachmentId });
+            assert.strictEqual((await bob.next("error")).code, "attachment_not_found");
+        });
+
+        await test("el límite del remitente se comparte entre nodos", async () => {
+            const aliceId = uniqueAlias("alice");
+            const first = await login(node1, aliceId);
+            const second = await login(node2, aliceId, first.identity);
+            const bobId = uniqueAlias("bob");
+
+            // 30 envíos repartidos: cada nodo por separado los aceptaría
+            // todos (ráfaga de 20 por defecto), juntos no
+            for (let i = 0; i < 30; i++) {
+                (i % 2 ? second : first).json({ type: "send_message", to: bobId, content: `m${i}` });
+            }
+            const error = await Promise.any([first.next("error"), second.next("error")]);
+            assert.strictEqual(error.code, "rate_limited");
+            assert.strictEqual(error.scope, "sender");
+        });
+
+        await test("la cola en Redis va sellada: sin remitente ni contenido en claro", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+
+            alice.json({ type: "send_message", to: bobId, content: "secreto" });
+            const { id } = await alice.next("message_sent");
+            const stored = await redis.hget(`chat:${bobId}:msgs`, id);
+            assert.ok(stored);
+            assert.ok(!stored.includes(aliceId) && !stored.includes("secreto"));
+
+            // Sellado en un nodo, se abre en el otro
+            const bob = await login(node2, bobId);
+            const pending = await bob.next("pending_messages");
+            assert.deepStrictEqual(pending.messages.map((m) => m.content), ["secreto"]);
+        });
+
+        await test("un fallo de Redis responde internal_error y el nodo sigue atendiendo", async () => {
+            const alice = await login(node1, uniqueAlias("alice"));
+            const bobId = uniqueAlias("bob");
+
+            // Una clave con otro tipo hace fallar el script de encolar
+            await redis.set(`chat:${bobId}:order`, "no es un zset");
+            alice.json({ type: "send_message", to: bobId, content: "falla", clientId: "retry-1" });
+            const failed = await alice.next("error");
+            assert.deepStrictEqual([failed.code, failed.request, failed.clientId], ["internal_error", "send_message", "retry-1"]);
+
+            // El reintento no recibe la confirmación de un envío que no se guardó
+            await redis.del(`chat:${bobId}:order`);
+            alice.json({ type: "send_message", to: bobId, content: "funciona", clientId: "retry-1" });
+            assert.strictEqual((await alice.next("message_sent")).clientId, "retry-1");
+            const bob = await login(node2, bobId);
+            assert.deepStrictEqual((await bob.next("pending_messages")).messages.map((m) => m.content), ["funciona"]);
+        });
+
+        await test("al reiniciar sin STORE_SEAL_SECRET la cola se descarta y se avisa con dropped", async () => {
+            const port = BASE_PORT + 2;
+            const node3 = startNode(port, { STORE_SEAL_SECRET: "" });
+            await waitForNode(node3);
+            const alice = await login(node3, uniqueAlias("alice"));
+            const bobId = uniqueAlias("bob");
+            alice.json({ type: "send_message", to: bobId, content: "se pierde" });
+            await alice.next("message_sent");
+
+            await stopNode(port);
+            startNode(port, { STORE_SEAL_SECRET: "" });
+            await waitForNode(node3);
+
+            const bob = await login(node3, bobId);
+            const pending = await bob.next("pending_messages");
+            assert.strictEqual(pending.count, 0);
+            assert.strictEqual(pending.dropped, 1);
+            assert.strictEqual(await redis.hlen(`chat:${bobId}:msgs`), 0);
+            await stopNode(port);
+        });
+
+        await test("con STORE_SEAL_SECRET la cola sobrevive al reinicio", async () => {
+            const port = BASE_PORT + 2;
+            const node3 = startNode(port);
+            await waitForNode(node3);
+            const alice = await login(node3, uniqueAlias("alice"));
+            const bobId = uniqueAlias("bob");
+            alice.json({ type: "send_message", to: bobId, content: "sigue aquí" });
+            await alice.next("message_sent");
+
+            await stopNode(port);
+            startNode(port);
+            await waitForNode(node3);
+
+            const bob = await login(node3, bobId);
+            const pending = await bob.next("pending_messages");
+            assert.deepStrictEqual(pending.messages.map((m) => m.content), ["sigue aquí"]);
+            assert.strictEqual(pending.dropped, undefined);
+        });
+
+        await test("un envío sellado no guarda remitente y el visto vuelve por el replyToken", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+            const bobKeys = generateKeyAgreementPair();
+            const replyToken = crypto.randomBytes(16).toString("hex");
+            replyTokens.push(replyToken);
+
+            const content = sealSender(bobKeys.publicKey, bobId, aliceId, "¿quién soy?").toString("base64");
+            alice.json({ type: "send_sealed", to: bobId, content, replyToken, clientId: "sealed-1" });
+            const sent = await alice.next("message_sent");
+            assert.strictEqual(sent.sealed, true);
+            assert.strictEqual(await redis.exists(`sent:${aliceId}:sealed-1`), 0);
+
+            // El remitente se reconecta en el otro nodo y reclama el token
+            alice.close();
+            const again = await login(node2, aliceId, alice.identity);
+            again.json({ type: "claim_replies", tokens: [replyToken] });
+
+            const bob = await login(node1, bobId);
+            const [message] = (await bob.next("pending_messages")).messages;
+            assert.strictEqual(message.from, undefined);
+            assert.strictEqual(message.replyToken, undefined);
+            assert.deepStrictEqual(openSealedSender(bobKeys, message.content, bobId), {
+                sender: aliceId,
+                content: "¿quién soy?",
+            });
+
+            bob.json({ type: "seen", messageId: message.id });
+            const seen = await again.next("message_seen");
+            assert.strictEqual(seen.messageId, sent.id);
+            assert.strictEqual(seen.sealed, true);
+            assert.strictEqual(await redis.exists(`reply:${replyToken}`), 0);
+        });
+
+        await test("un alias \"*\" no puede adelantarse a los reintentos sellados", async () => {
+            aliases.push("*");
+            const star = await login(node1, "*");
+            const alice = await login(node2, uniqueAlias("alice"));
+            const bobId = uniqueAlias("bob");
+            const replyToken = crypto.randomBytes(16).toString("hex");
+            replyTokens.push(replyToken);
+
+            // Con el replyToken como clientId escribe sent:*:{replyToken}
+            star.json({ type: "send_message", to: bobId, content: "trampa", clientId: replyToken });
+            const trap = await star.next("message_sent");
+
+            alice.json({ type: "send_sealed", to: bobId, content: "sellado", replyToken });
+            const sent = await alice.next("message_sent");
+            assert.notStrictEqual(sent.id, trap.id);
+            assert.strictEqual(sent.sealed, true);
+
+            // Tampoco le sirve para retirar el envío sellado en nombre de alice
+            star.json({ type: "retract", to: bobId, messageId: sent.id, replyToken: replyToken.replace(/.$/, "0") });
+            assert.strictEqual((await star.next("error")).code, "not_author");
+        });
+
+        await test("solo el remitente retira o edita, en cola o ya entregado", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const mallory = await login(node1, uniqueAlias("mallory"));
+            const bobId = uniqueAlias("bob");
+
+            // En cola: el servidor comprueba el remitente
+            alice.json({ type: "send_message", to: bobId, content: "primera" });
+            const first = await alice.next("message_sent");
+            alice.json({ type: "send_message", to: bobId, content: "segunda" });
+            const second = await alice.next("message_sent");
+
+            mallory.json({ type: "retract", to: bobId, messageId: first.id });
+            const denied = await mallory.next("error");
+            assert.strictEqual(denied.code, "not_author");
+            assert.strictEqual(denied.messageId, first.id);
+
+            alice.json({ type: "edit", to: bobId, messageId: first.id, content: "primera (editada)" });
+            assert.strictEqual((await alice.next("ack_edit")).replaced, true);
+            alice.json({ type: "retract", to: bobId, messageId: second.id });
+            assert.strictEqual((await alice.next("ack_retract")).removed, true);
+
+            const bob = await login(node2, bobId);
+            const { messages } = await bob.next("pending_messages");
+            assert.deepStrictEqual(messages.map((m) => [m.id, m.content]), [[first.id, "primera (editada)"]]);
+            assert.ok(messages[0].editedAt);
+
+            // Ya entregado: la autoría sigue en Redis, sin el alias en claro
+            bob.json({ type: "seen", messageId: first.id });
+            await bob.next("ack_seen");
+            const recorded = await redis.get(`author:${first.id}`);
+            assert.ok(recorded && !recorded.includes(aliceId));
+            assert.ok((await redis.ttl(`author:${first.id}`)) > 0);
+
+            mallory.json({ type: "retract", to: bobId, messageId: first.id });
+            assert.strictEqual((await mallory.next("error")).code, "not_author");
+            mallory.json({ type: "edit", to: bobId, messageId: first.id, content: "falsa" });
+            assert.strictEqual((await mallory.next("error")).code, "not_author");
+            alice.json({ type: "edit", to: bobId, messageId: first.id, content: "tercera", replyToken: crypto.randomBytes(16).toString("hex") });
+            assert.strictEqual((await alice.next("error")).code, "not_author");
+
+            alice.json({ type: "edit", to: bobId, messageId: first.id, content: "tercera" });
+            const edited = await bob.next("message_edited");
+            assert.strictEqual(edited.from, aliceId);
+            assert.strictEqual(edited.content, "tercera");
+            assert.strictEqual((await alice.next("ack_edit")).replaced, false);
+
+            // Retirado, ya no se puede editar. El primer message_retracted
+            // que ve bob es el de alice: el de mallory no se reenvió
+            alice.json({ type: "retract", to: bobId, messageId: first.id });
+            assert.strictEqual((await alice.next("ack_retract")).removed, false);
+            assert.strictEqual((await bob.next("message_retracted")).from, aliceId);
+            assert.strictEqual(await redis.exists(`author:${first.id}`), 0);
+            alice.json({ type: "edit", to: bobId, messageId: first.id, content: "cuarta" });
+            assert.strictEqual((await alice.next("error")).code, "not_author");
+
+            bob.json({ type: "react", to: aliceId, messageId: first.id, content: "👍" });
+            const reaction = await alice.next("reaction");
+            assert.deepStrictEqual([reaction.from, reaction.messageId], [bobId, first.id]);
+        });
+
+        await test("el barrido borra lo caducado sin ver, avisa con message_expired y el ttl se recorta al máximo", async () => {
+            const port = BASE_PORT + 3;
+            const node3 = startNode(port, { EXPIRY_SWEEP_INTERVAL_MS: "200", MESSAGE_TTL_MAX_SECONDS: "2" });
+            try {
+                await waitForNode(node3);
+                const alice = await login(node3, uniqueAlias("alice"));
+                const bobId = uniqueAlias("bob");
+
+                alice.json({ type: "send_message", to: bobId, content: "efímero", ttl: 1 });
+                const sent = await alice.next("message_sent");
+                assert.strictEqual(sent.expiresAt - sent.timestamp, 1000);
+                assert.strictEqual(await redis.hexists(`chat:${bobId}:msgs`, sent.id), 1);
+
+                const expired = await alice.next("message_expired");
+                assert.deepStrictEqual([expired.messageId, expired.to, expired.expiresAt], [sent.id, bobId, sent.expiresAt]);
+                assert.ok(Date.now() >= sent.expiresAt);
+                assert.strictEqual(await redis.hlen(`chat:${bobId}:msgs`), 0);
+                assert.strictEqual(await redis.zscore("chat:expiry", `${sent.id}:${bobId}`), null);
+
+                // Más de MESSAGE_TTL_MAX_SECONDS se recorta; menos de 1 no pasa el esquema
+                alice.json({ type: "send_message", to: bobId, content: "largo", ttl: 3600 });
+                const clamped = await alice.next("message_sent");
+                assert.strictEqual(clamped.expiresAt - clamped.timestamp, 2000);
+                alice.json({ type: "send_message", to: bobId, content: "nada", ttl: 0 });
+                const rejected = await alice.next("error");
+                assert.deepStrictEqual([rejected.code, rejected.field], ["invalid_field", "ttl"]);
+                assert.strictEqual((await alice.next("message_expired")).messageId, clamped.id);
+                assert.strictEqual(await redis.hlen(`chat:${bobId}:msgs`), 0);
+            } finally {
+                await stopNode(port);
+            }
+        });
+
+        await test("queue_full corta cada cola al pasar QUEUE_MAX_MESSAGES o QUEUE_MAX_BYTES", async () => {
+            const port = BASE_PORT + 3;
+            const node3 = startNode(port, { QUEUE_MAX_MESSAGES: "2", QUEUE_MAX_BYTES: "4096" });
+            try {
+                await waitForNode(node3);
+                const alice = await login(node3, uniqueAlias("alice"));
+                const bobId = uniqueAlias("bob");
+                const carolId = uniqueAlias("carol");
+
+                alice.json({ type: "send_message", to: bobId, content: "1" });
+                alice.json({ type: "send_message", to: bobId, content: "2" });
+                await alice.next("message_sent");
+                await alice.next("message_sent");
+                alice.json({ type: "send_message", to: bobId, content: "3", clientId: "retry-1" });
+                const full = await alice.next("error");
+                assert.deepStrictEqual(
+                    [full.code, full.to, full.reason, full.limit, full.clientId],
+                    ["queue_full", bobId, "messages", 2, "retry-1"]
+                );
+
+                // El tope es por cola: la de carol sigue admitiendo hasta llenar sus bytes
+                const big = "x".repeat(2500);
+                alice.json({ type: "send_message", to: carolId, content: big });
+                await alice.next("message_sent");
+                alice.json({ type: "send_message", to: carolId, content: big });
+                const heavy = await alice.next("error");
+                assert.deepStrictEqual([heavy.code, heavy.to, heavy.reason, heavy.limit], ["queue_full", carolId, "bytes", 4096]);
+                assert.strictEqual(await redis.hlen(`chat:${carolId}:msgs`), 1);
+
+                // Al verse uno hay sitio otra vez, y el reintento no quedó reservado
+                const bob = await login(node3, bobId);
+                const [first] = (await bob.next("pending_messages")).messages;
+                bob.json({ type: "seen", messageId: first.id });
+                await bob.next("ack_seen");
+                alice.json({ type: "send_message", to: bobId, content: "3", clientId: "retry-1" });
+                assert.strictEqual((await alice.next("message_sent")).clientId, "retry-1");
+                assert.strictEqual(await redis.hlen(`chat:${bobId}:msgs`), 2);
+            } finally {
+                await stopNode(port);
+            }
+        });
+
+        await test("un mensaje de sala llega a cada miembro en su nodo y sigue en cola hasta el quórum", async () => {
+            const alice = await login(node1, uniqueAlias("alice"));
+            const bob = await login(node2, uniqueAlias("bob"));
+            const carolId = uniqueAlias("carol");
+            const carol = await login(node1, carolId);
+            const daveId = uniqueAlias("dave");
+            const dave = await login(node2, daveId);
+            const room = await createRoom(alice, [bob, carol, dave], 2);
+
+            const contents = Object.fromEntries([bob, carol, dave].map((m) => [m.registered.userId, `para ${m.registered.userId}`]));
+            alice.json({ type: "room_message", room: room.id, contents });
+            const sent = await alice.next("message_sent");
+            assert.strictEqual(sent.required, 2);
+            for (const member of [bob, carol, dave]) {
+                const { message } = await member.next("new_message");
+                assert.deepStrictEqual([message.id, message.room], [sent.id, room.id]);
+                assert.strictEqual(message.content, contents[member.registered.userId]);
+            }
+
+            bob.json({ type: "seen", messageId: sent.id });
+            const first = await alice.next("message_seen");
+            assert.deepStrictEqual([first.seenCount, first.complete], [1, false]);
+            assert.strictEqual(await redis.hexists(`chat:${carolId}:msgs`, sent.id), 1);
+            assert.strictEqual(await redis.hexists(`chat:${daveId}:msgs`, sent.id), 1);
+
+            // Con el segundo visto se alcanza el quórum: la copia de dave se borra sin verla
+            carol.json({ type: "seen", messageId: sent.id });
+            const second = await alice.next("message_seen");
+            assert.deepStrictEqual([second.seenBy, second.seenCount, second.complete], [carolId, 2, true]);
+            // message_seen sale antes de limpiar las copias restantes
+            await sleep(200);
+            assert.strictEqual(await redis.hexists(`chat:${daveId}:msgs`, sent.id), 0);
+            assert.strictEqual(await redis.exists(`roommsg:${sent.id}`), 0);
+            dave.json({ type: "seen", messageId: sent.id });
+            assert.strictEqual((await dave.next("ack_seen")).deleted, false);
+        });
+
+        await test("cualquier miembro invita, solo el dueño expulsa y el expulsado deja de recibir", async () => {
+            const aliceId = uniqueAlias("alice");
+            const alice = await login(node1, aliceId);
+            const bobId = uniqueAlias("bob");
+            const bob = await login(node2, bobId);
+            const carolId = uniqueAlias("carol");
+            const carol = await login(node1, carolId);
+            const mallory = await login(node2, uniqueAlias("mallory"));
+            const room = await createRoom(alice, [bob]);
+
+            mallory.json({ type: "invite", room: room.id, userId: carolId });
+            assert.strictEqual((await mallory.next("error")).code, "not_room_member");
+            mallory.json({ type: "room_message", room: room.id, contents: { [bobId]: "intruso" } });
+            assert.strictEqual((await mallory.next("error")).code, "not_room_member");
+
+            bob.json({ type: "invite", room: room.id, userId: carolId });
+            assert.deepStrictEqual((await carol.next("room_update")).room.members, [aliceId, bobId, carolId].sort());
+            bob.json({ type: "kick", room: room.id, userId: carolId });
+            assert.strictEqual((await bob.next("error")).code, "not_room_owner");
+
+            // Lo que bob tenía sin ver se retira de su cola al expulsarlo
+            alice.json({ type: "room_message", room: room.id, contents: { [bobId]: "antes", [carolId]: "antes" } });
+            const before = await alice.next("message_sent");
+            await bob.next("new_message");
+            alice.json({ type: "kick", room: room.id, userId: bobId });
+            const removed = await bob.next("room_removed");
+            assert.deepStrictEqual([removed.room, removed.reason], [room.id, "kicked"]);
+            assert.strictEqual(await redis.hexists(`chat:${bobId}:msgs`, before.id), 0);
+
+            alice.json({ type: "room_message", room: room.id, contents: { [bobId]: "después", [carolId]: "después" } });
+            const after = await alice.next("message_sent");
+            assert.deepStrictEqual(after.recipients, [carolId]);
+            bob.json({ type: "room_message", room: room.id, contents: { [aliceId]: "sigo aquí" } });
+            assert.strictEqual((await bob.next("error")).code, "not_room_member");
+            assert.strictEqual(await redis.hlen(`chat:${bobId}:msgs`), 0);
+            assert.ok(!bob.inbox.some((m) => m.type === "new_message"));
+        });
+    } finally {
+        await cleanup(redis);
+    }
+
+    console.log(`\n  ${passed} tests passed ✅\n`);
+})();
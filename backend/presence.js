@@ -0,0 +1,83 @@
+// ─── Presencia (solo en memoria) ─────────────────────────────────────
+//
+//  Cada nodo anuncia por pub/sub el estado de sus usuarios locales que
+//  comparten presencia; todos guardan aquí lo que oyen, sin tocar Redis.
+//  El estado de un usuario es el mejor entre sus nodos (online > away);
+//  si ninguno lo anuncia, o lo anunció hace más de `ttlMs`, está offline.
+
+const STATUSES = ["offline", "away", "online"];
+// Cuánto se recuerda el "desde cuándo offline" de un usuario
+const OFFLINE_RETAIN_MS = 60 * 60 * 1000;
+
+class PresenceBoard {
+    constructor(ttlMs) {
+        this.ttlMs = ttlMs;
+        this.reports = new Map(); // userId → Map<nodeId, { status, heardAt }>
+        this.current = new Map(); // userId → { status, since }
+    }
+
+    static rank(status) {
+        return STATUSES.indexOf(status);
+    }
+
+    /**
+     * Anota lo que `nodeId` dice de `userId` ("offline" = ya no está ahí).
+     * Retorna true si cambió el estado visible del usuario.
+     */
+    report(userId, nodeId, status, now = Date.now()) {
+        let nodes = this.reports.get(userId);
+        if (status === "offline") {
+            if (nodes) nodes.delete(nodeId);
+        } else {
+            if (!nodes) this.reports.set(userId, nodes = new Map());
+            nodes.set(nodeId, { status, heardAt: now });
+        }
+        if (nodes && nodes.size === 0) this.reports.delete(userId);
+        return this.settle(userId, now);
+    }
+
+    /** Lo que anuncia `nodeId` para `userId` ahora mismo */
+    reported(userId, nodeId) {
+        const entry = this.reports.get(userId)?.get(nodeId);
+        return entry ? entry.status : "offline";
+    }
+
+    /** Estado visible: { status, since } (since = null si nunca se vio) */
+    get(userId) {
+        return this.current.get(userId) || { status: "offline", since: null };
+    }
+
+    /**
+     * Descarta anuncios de nodos que dejaron de refrescarlos.
+     * Retorna los usuarios cuyo estado visible cambió.
+     */
+    expire(now = Date.now()) {
+        const changed = [];
+        for (const [userId, nodes] of this.reports) {
+            for (const [nodeId, entry] of nodes) {
+                if (now - entry.heardAt > this.ttlMs) nodes.delete(nodeId);
+            }
+            if (nodes.size === 0) this.reports.delete(userId);
+            if (this.settle(userId, now)) changed.push(userId);
+        }
+        for (const [userId, state] of this.current) {
+            if (state.status === "offline" && now - state.since > OFFLINE_RETAIN_MS) {
+                this.current.delete(userId);
+            }
+        }
+        return changed;
+    }
+
+    settle(userId, now) {
+        let status = "offline";
+        for (const entry of (this.reports.get(userId) || new Map()).values()) {
+            if (PresenceBoard.rank(entry.status) > PresenceBoard.rank(status)) status = entry.status;
+        }
+        const previous = this.get(userId);
+        if (previous.status === status) return false;
+        this.current.set(userId, { status, since: now });
+        return true;
+    }
+}
+
+module.exports = { PresenceBoard, STATUSES };
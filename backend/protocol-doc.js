@@ -0,0 +1,115 @@
+// ─── Genera PROTOCOL.md a partir de frontend/protocol.js ─────────────
+//
+//  Uso:  npm run docs          (escribe ../PROTOCOL.md)
+//        npm run docs -- -     (lo imprime por stdout)
+//
+//  No editar PROTOCOL.md a mano: cambiar el esquema y regenerar.
+
+const fs = require("fs");
+const path = require("path");
+const Protocol = require("../frontend/protocol");
+
+const OUTPUT = path.join(__dirname, "..", "PROTOCOL.md");
+
+function describeType(spec) {
+    switch (spec.type) {
+        case "string": {
+            const bounds = [];
+            if (spec.min != null && spec.min > 0) bounds.push(`≥ ${spec.min}`);
+            if (spec.max != null) bounds.push(`≤ ${spec.max}`);
+            return bounds.length ? `string (${bounds.join(", ")} car.)` : "string";
+        }
+        case "integer": {
+            const bounds = [];
+            if (spec.min != null) bounds.push(`≥ ${spec.min}`);
+            if (spec.max != null) bounds.push(`≤ ${spec.max}`);
+            return bounds.length ? `integer (${bounds.join(", ")})` : "integer";
+        }
+        case "enum":
+            return spec.values.map((v) => `\`${v}\``).join(" / ");
+        case "array":
+            return `${describeType(spec.items)}[] (≤ ${spec.max})`;
+        case "map":
+            return `{ ${describeType(spec.keys)} → ${describeType(spec.values)} } (≤ ${spec.max})`;
+        default:
+            return spec.type;
+    }
+}
+
+// Las barras rompen las tablas de Markdown aunque vayan entre backticks
+const cell = (text) => String(text).replace(/\|/g, "\\|");
+
+function fieldTable(fields, { validated }) {
+    const names = Object.keys(fields);
+    if (names.length === 0) return "_Sin campos._\n";
+    const header = validated
+        ? "| Campo | Tipo | Obligatorio | Descripción |\n|---|---|---|---|\n"
+        : "| Campo | Tipo | Descripción |\n|---|---|---|\n";
+    const rows = names.map((name) => {
+        const spec = fields[name];
+        if (!validated) return `| \`${name}\` | ${cell(spec.type)} | ${cell(spec.description)} |`;
+        const required = spec.required ? "sí" : spec.nullable ? "no (admite null)" : "no";
+        return `| \`${name}\` | ${describeType(spec)} | ${required} | ${cell(spec.description)} |`;
+    });
+    return header + rows.join("\n") + "\n";
+}
+
+function render() {
+    const out = [];
+    out.push("# Protocolo WebSocket");
+    out.push("");
+    out.push("<!-- Generado por backend/protocol-doc.js desde frontend/protocol.js — no editar a mano -->");
+    out.push("");
+    out.push(`Versión actual: **${Protocol.VERSION}** (mínima aceptada: ${Protocol.MIN_VERSION}).`);
+    out.push("");
+    out.push("Cada mensaje es un objeto JSON con `type`. El servidor valida los mensajes del cliente contra este esquema y descarta los campos no declarados. El cliente puede abrir con `hello` o indicar `version` en `register`; sin ninguno de los dos se asume la versión actual. Una versión no soportada recibe `unsupported_version` y se cierra la conexión (código 1002).");
+    out.push("");
+
+    out.push("## Límites");
+    out.push("");
+    out.push("| Límite | Valor |\n|---|---|");
+    for (const [name, value] of Object.entries(Protocol.LIMITS)) {
+        out.push(`| \`${name}\` | ${value} |`);
+    }
+    out.push("");
+    out.push("Un frame mayor que `frameBytes` cierra la conexión (código 1009).");
+    out.push("");
+
+    out.push("## Cliente → servidor");
+    out.push("");
+    for (const [type, spec] of Object.entries(Protocol.CLIENT_MESSAGES)) {
+        out.push(`### \`${type}\``);
+        out.push("");
+        out.push(spec.description + (spec.auth ? "" : " _(no requiere registro)_"));
+        out.push("");
+        out.push(fieldTable(spec.fields, { validated: true }));
+    }
+
+    out.push("## Servidor → cliente");
+    out.push("");
+    for (const [type, spec] of Object.entries(Protocol.SERVER_MESSAGES)) {
+        out.push(`### \`${type}\``);
+        out.push("");
+        out.push(spec.description);
+        out.push("");
+        out.push(fieldTable(spec.fields, { validated: false }));
+    }
+
+    out.push("## Códigos de error");
+    out.push("");
+    out.push("Llegan en `{type: \"error\", code, ...}` o, durante el registro, en `{type: \"auth_error\", code}`.");
+    out.push("");
+    out.push("| Código | Significado |\n|---|---|");
+    for (const [code, description] of Object.entries(Protocol.ERRORS)) {
+        out.push(`| \`${code}\` | ${cell(description)} |`);
+    }
+    out.push("");
+    return out.join("\n");
+}
+
+const markdown = render();
+if (process.argv[2] === "-") {
+    process.stdout.write(markdown);
+} else {
+    fs.writeFileSync(OUTPUT, markdown);
+}
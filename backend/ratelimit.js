@@ -0,0 +1,93 @@
+// ─── Límites de ritmo (token bucket) ─────────────────────────────────
+//
+//  rate:{scope}:{id}   hash   tokens, at (ms de la última recarga)
+//
+//  Cada bucket guarda hasta `burst` fichas y recupera `perSecond` por
+//  segundo; cada petición gasta una. Los buckets por alias viven en
+//  Redis, así un alias con sockets en varias réplicas comparte límite.
+//  El de cada socket vive en memoria: el socket solo existe en un nodo
+//  y un flood de frames no llega ni a tocar Redis.
+
+const SCRIPTS = {
+    // KEYS: bucket — ARGV: burst, perSecond, now (ms)
+    // Retorna 0 si gastó una ficha, o los ms hasta que haya una.
+    // `now` lo pone el nodo: entre réplicas basta con relojes parecidos.
+    takeToken: {
+        numberOfKeys: 1,
+        lua: `
+            local burst = tonumber(ARGV[1])
+            local rate = tonumber(ARGV[2])
+            local now = tonumber(ARGV[3])
+            local state = redis.call("HMGET", KEYS[1], "tokens", "at")
+            local tokens = tonumber(state[1]) or burst
+            local at = tonumber(state[2]) or now
+            tokens = math.min(burst, tokens + math.max(0, now - at) * rate / 1000)
+            local wait = 0
+            if tokens >= 1 then
+                tokens = tokens - 1
+            else
+                wait = math.ceil((1 - tokens) * 1000 / rate)
+            end
+            redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "at", ARGV[3])
+            redis.call("PEXPIRE", KEYS[1], math.ceil(burst * 1000 / rate))
+            return wait
+        `,
+    },
+};
+
+/** Bucket de un solo proceso (sockets) */
+class TokenBucket {
+    /**
+     * @param {object} options
+     * @param {number} options.burst      fichas máximas
+     * @param {number} options.perSecond  fichas recuperadas por segundo
+     */
+    constructor({ burst, perSecond }) {
+        this.burst = burst;
+        this.perSecond = perSecond;
+        this.tokens = burst;
+        this.at = Date.now();
+    }
+
+    /** Gasta una ficha. Retorna 0, o los ms hasta que haya una. */
+    take(now = Date.now()) {
+        this.tokens = Math.min(this.burst, this.tokens + Math.max(0, now - this.at) * this.perSecond / 1000);
+        this.at = now;
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) * 1000 / this.perSecond);
+    }
+}
+
+/** Buckets compartidos entre réplicas, uno por `id` dentro de `scope` */
+class RateLimiter {
+    /**
+     * @param {Redis} redis
+     * @param {string} scope  prefijo de las claves (p. ej. "sender")
+     * @param {object} options  como TokenBucket
+     */
+    constructor(redis, scope, { burst, perSecond }) {
+        this.redis = redis;
+        this.scope = scope;
+        this.burst = burst;
+        this.perSecond = perSecond;
+        if (!redis.takeToken) {
+            for (const [name, definition] of Object.entries(SCRIPTS)) {
+                redis.defineCommand(name, definition);
+            }
+        }
+    }
+
+    key(id) {
+        return `rate:${this.scope}:${id}`;
+    }
+
+    /** Gasta una ficha de `id`. Retorna 0, o los ms hasta que haya una. */
+    async take(id, now = Date.now()) {
+        return Number(await this.redis.takeToken(this.key(id), this.burst, this.perSecond, now));
+    }
+}
+
+module.exports = { TokenBucket, RateLimiter };
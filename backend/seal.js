@@ -0,0 +1,163 @@
+// ─── Sellado de los mensajes en cola ─────────────────────────────────
+//
+//  Cada valor de chat:{userId}:msgs es "{keyId}.{base64 IV | tag | ciphertext}":
+//  el JSON del mensaje cifrado con AES-256-GCM (encrypt de
+//  frontend/crypto-module.js) y el id del mensaje como AAD, así un
+//  registro no se puede copiar bajo otro id. Quien lea Redis ve ids,
+//  colas y tamaños, pero no remitente, sala, contenido ni horas.
+//
+//  Las claves son SessionKeyManager y viven solo en memoria:
+//   - sin `secret`, una aleatoria por proceso ("p…"): al reiniciar, lo
+//     que quedó en cola ya no se puede abrir y MessageStore lo descarta
+//   - con `secret` (STORE_SEAL_SECRET, el mismo en todas las réplicas),
+//     la de cada época de `rotationMs` se deriva con HKDF ("e…"): todas
+//     las réplicas, y un proceso reiniciado, abren lo mismo
+//
+//  Cada `rotationMs` entra una clave nueva; la anterior abre durante
+//  `overlapMs` más, tiempo para volver a sellar la cola con la nueva
+//  (MessageStore.resealAll). Pasada la ventana se destruye.
+
+const crypto = require("crypto");
+const { SessionKeyManager, encrypt, decrypt, KEY_LENGTH, HKDF_DIGEST } = require("../frontend/crypto-module");
+
+const SEAL_INFO = "volatile-chat:store:v1";
+
+class RecordSealer {
+    /**
+     * @param {object} options
+     * @param {number} options.rotationMs  vida de cada clave
+     * @param {number} options.overlapMs   cuánto sigue abriendo la anterior
+     * @param {string} [options.secret]    secreto común a las réplicas
+     * @param {number} [now]
+     */
+    constructor({ rotationMs, overlapMs, secret = null }, now = Date.now()) {
+        this.rotationMs = rotationMs;
+        this.overlapMs = overlapMs;
+        this.secret = secret ? Buffer.from(secret, "utf8") : null;
+        this.tagKey = this.secret
+            ? Buffer.from(crypto.hkdfSync(HKDF_DIGEST, this.secret, Buffer.alloc(0), `${SEAL_INFO}|tag`, KEY_LENGTH))
+            : crypto.randomBytes(KEY_LENGTH);
+        this.keys = new Map(); // keyId → { manager, since, retireAt }
+        this.currentId = null;
+        this.rotate(now);
+
+        // Recién arrancado dentro de la ventana: la época anterior aún vale
+        if (this.secret && now - this.epochStart(now) < overlapMs) {
+            this.add(`e${this.epoch(now) - 1}`, now, this.epochStart(now) + overlapMs);
+        }
+    }
+
+    epoch(now) {
+        return Math.floor(now / this.rotationMs);
+    }
+
+    epochStart(now) {
+        return this.epoch(now) * this.rotationMs;
+    }
+
+    add(keyId, now, retireAt = null) {
+        const key = this.secret
+            ? Buffer.from(crypto.hkdfSync(HKDF_DIGEST, this.secret, Buffer.alloc(0), `${SEAL_INFO}|${keyId}`, KEY_LENGTH))
+            : undefined;
+        const entry = { manager: new SessionKeyManager(key), since: now, retireAt };
+        this.keys.set(keyId, entry);
+        return entry;
+    }
+
+    /**
+     * Pone en uso una clave nueva; la anterior se retira tras `overlapMs`.
+     * Retorna el keyId de la anterior (null si no había).
+     */
+    rotate(now = Date.now()) {
+        const previous = this.currentId;
+        const keyId = this.secret ? `e${this.epoch(now)}` : `p${crypto.randomBytes(4).toString("hex")}`;
+        if (keyId === previous) return null;
+        if (!this.keys.has(keyId)) this.add(keyId, now);
+        this.keys.get(keyId).retireAt = null;
+        if (previous) this.keys.get(previous).retireAt = now + this.overlapMs;
+        this.currentId = keyId;
+        return previous;
+    }
+
+    /**
+     * Destruye las claves fuera de ventana y rota si toca.
+     * Retorna true si rotó (hay que volver a sellar la cola).
+     */
+    tick(now = Date.now()) {
+        for (const [keyId, entry] of this.keys) {
+            if (entry.retireAt !== null && entry.retireAt <= now) {
+                entry.manager.destroy();
+                this.keys.delete(keyId);
+            }
+        }
+        const due = this.secret
+            ? `e${this.epoch(now)}` !== this.currentId
+            : now - this.keys.get(this.currentId).since >= this.rotationMs;
+        return due && this.rotate(now) !== null;
+    }
+
+    /** Clave que abre `keyId` ahora, o null */
+    keyFor(keyId, now = Date.now()) {
+        let entry = this.keys.get(keyId);
+        // Otra réplica con el reloj algo adelantado ya selló con la siguiente
+        if (!entry && this.secret && keyId === `e${this.epoch(now) + 1}`) {
+            entry = this.add(keyId, now);
+        }
+        if (!entry || (entry.retireAt !== null && entry.retireAt <= now)) return null;
+        return entry.manager.key;
+    }
+
+    /** Sella `record` (el mensaje) bajo su `id` con la clave vigente */
+    seal(id, record) {
+        const key = this.keys.get(this.currentId).manager.key;
+        const { encrypted } = encrypt(JSON.stringify(record), key, id);
+        return `${this.currentId}.${encrypted.toString("base64")}`;
+    }
+
+    /**
+     * Abre un registro sellado bajo `id`. Null si su clave ya no está
+     * (otro proceso, o retirada) o si no es auténtico.
+     */
+    open(id, sealed, now = Date.now()) {
+        const dot = typeof sealed === "string" ? sealed.indexOf(".") : -1;
+        if (dot < 0) return null;
+        const key = this.keyFor(sealed.slice(0, dot), now);
+        if (!key) return null;
+        try {
+            return JSON.parse(decrypt(Buffer.from(sealed.slice(dot + 1), "base64"), key, id).toString("utf8"));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Huella del `secret` (null sin él): las réplicas la comparan para
+     * avisar si no pueden abrir lo que sella otra. No revela el secreto.
+     */
+    fingerprint() {
+        if (!this.secret) return null;
+        return Buffer.from(crypto.hkdfSync(HKDF_DIGEST, this.secret, Buffer.alloc(0), `${SEAL_INFO}|check`, 8)).toString("hex");
+    }
+
+    /**
+     * HMAC de `parts` con una clave que no rota (derivada del `secret`, o
+     * aleatoria por proceso sin él). Sirve para comparar un dato que no
+     * debe quedar en claro en Redis, como el remitente de un mensaje.
+     */
+    tag(...parts) {
+        return crypto.createHmac("sha256", this.tagKey).update(JSON.stringify(parts)).digest("base64url");
+    }
+
+    /** ¿Está sellado con la clave vigente? */
+    isCurrent(sealed) {
+        return sealed.startsWith(`${this.currentId}.`);
+    }
+
+    destroy() {
+        for (const entry of this.keys.values()) entry.manager.destroy();
+        this.keys.clear();
+        this.tagKey.fill(0);
+    }
+}
+
+module.exports = { RecordSealer };
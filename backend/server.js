@@ -1,13 +1,65 @@
 const http = require("http");
 const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
 const { WebSocketServer } = require("ws");
 const Redis = require("ioredis");
 const { v4: uuidv4 } = require("uuid");
+const { MessageStore } = require("./store");
+const { RecordSealer } = require("./seal");
+const { AttachmentStore } = require("./attachments");
+const { TokenBucket, RateLimiter } = require("./ratelimit");
+const { Cluster, PRESENCE_TTL_MS, PRESENCE_REFRESH_MS } = require("./cluster");
+const { PresenceBoard } = require("./presence");
+const Protocol = require("../frontend/protocol");
 
 // ─── Config ──────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 3000;
 const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+// Identificador de esta instancia para el enrutado entre réplicas
+const NODE_ID = process.env.NODE_ID || uuidv4();
+// Tiempo que un alias queda ligado a su clave pública sin volver a conectarse
+const IDENTITY_TTL_SECONDS = parseInt(process.env.IDENTITY_TTL_SECONDS, 10) || 24 * 60 * 60;
+// Mientras tenga un socket abierto, el alias se renueva con este intervalo
+const IDENTITY_REFRESH_MS = Math.min(PRESENCE_REFRESH_MS, (IDENTITY_TTL_SECONDS * 1000) / 3);
+const CHALLENGE_TTL_MS = 30_000;
+// Caducidad de mensajes no vistos (el remitente elige dentro del máximo)
+const MESSAGE_TTL_DEFAULT_SECONDS = parseInt(process.env.MESSAGE_TTL_DEFAULT_SECONDS, 10) || 24 * 60 * 60;
+const MESSAGE_TTL_MAX_SECONDS = parseInt(process.env.MESSAGE_TTL_MAX_SECONDS, 10) || 7 * 24 * 60 * 60;
+const EXPIRY_SWEEP_INTERVAL_MS = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 5_000;
+const EXPIRY_SWEEP_BATCH = 100;
+// Lo que espera SIGTERM a liberar la presencia en Redis antes de salir
+const SHUTDOWN_TIMEOUT_MS = 2_000;
+// Límites de tamaño y de listas: los del protocolo (frontend/protocol.js)
+const { LIMITS } = Protocol;
+// Como mucho un aviso de "escribiendo" por destinatario en este intervalo
+const TYPING_THROTTLE_MS = 2_000;
+// Token buckets: ráfaga máxima y fichas recuperadas por segundo.
+// Socket: cualquier frame. Remitente: send_message / room_message del alias.
+const RATE_SOCKET_BURST = parseInt(process.env.RATE_SOCKET_BURST, 10) || 40;
+const RATE_SOCKET_PER_SECOND = parseFloat(process.env.RATE_SOCKET_PER_SECOND) || 10;
+const RATE_SENDER_BURST = parseInt(process.env.RATE_SENDER_BURST, 10) || 20;
+const RATE_SENDER_PER_SECOND = parseFloat(process.env.RATE_SENDER_PER_SECOND) || 1;
+// Cuánto sobrevive una sesión reanudable tras cerrarse su socket
+const SESSION_RESUME_TTL_SECONDS = parseInt(process.env.SESSION_RESUME_TTL_SECONDS, 10) || 10 * 60;
+// Cuánto se recuerda un clientId para descartar reintentos duplicados
+const CLIENT_ID_TTL_SECONDS = 60 * 60;
+// Cuánto espera un aviso de envío sellado a que su remitente lo reclame
+const REPLY_NOTICE_TTL_SECONDS = 24 * 60 * 60;
+// Tope de la cola de cada destinatario (mensajes sin ver y bytes de JSON)
+const QUEUE_MAX_MESSAGES = parseInt(process.env.QUEUE_MAX_MESSAGES, 10) || 500;
+const QUEUE_MAX_BYTES = parseInt(process.env.QUEUE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+// Sellado de la cola (seal.js): vida de cada clave y cuánto sigue abriendo
+// la anterior. Con STORE_SEAL_SECRET (igual en todas las réplicas) las
+// claves se derivan de él; sin él son de este proceso y un reinicio
+// descarta lo que quedó en cola.
+const STORE_KEY_ROTATION_SECONDS = parseInt(process.env.STORE_KEY_ROTATION_SECONDS, 10) || 24 * 60 * 60;
+const STORE_KEY_OVERLAP_SECONDS = parseInt(process.env.STORE_KEY_OVERLAP_SECONDS, 10) || 5 * 60;
+const STORE_SEAL_SECRET = process.env.STORE_SEAL_SECRET || null;
+// Cuánto espera un adjunto subido a que se envíe su mensaje
+const ATTACHMENT_UPLOAD_TTL_SECONDS = parseInt(process.env.ATTACHMENT_UPLOAD_TTL_SECONDS, 10) || 10 * 60;
+// Bytes cifrados de un adjunto: el archivo más IV + tag de cada trozo
+const ATTACHMENT_MAX_BYTES = LIMITS.attachmentBytes + LIMITS.attachmentChunks * (12 + 16);
 
 // ─── Redis (volátil, sin persistencia) ───────────────────────────────
 const redis = new Redis(REDIS_URL, {
@@ -18,98 +70,475 @@ const redis = new Redis(REDIS_URL, {
 redis.on("connect", () => { /* connected */ });
 redis.on("error", () => { /* silent */ });
 
-// ─── Mapa de usuarios conectados: userId → WebSocket ─────────────────
+const sealer = new RecordSealer({
+    rotationMs: STORE_KEY_ROTATION_SECONDS * 1000,
+    overlapMs: STORE_KEY_OVERLAP_SECONDS * 1000,
+    secret: STORE_SEAL_SECRET,
+});
+const store = new MessageStore(redis, { maxMessages: QUEUE_MAX_MESSAGES, maxBytes: QUEUE_MAX_BYTES, sealer });
+const attachments = new AttachmentStore(redis, {
+    maxBytes: ATTACHMENT_MAX_BYTES,
+    uploadTtl: ATTACHMENT_UPLOAD_TTL_SECONDS,
+});
+const senderLimiter = new RateLimiter(redis, "sender", {
+    burst: RATE_SENDER_BURST,
+    perSecond: RATE_SENDER_PER_SECOND,
+});
+const cluster = new Cluster(redis, {
+    nodeId: NODE_ID,
+    deliver: (targetId, payload) => deliverLocal(targetId, payload),
+    localUsers: () => clients.keys(),
+    onBroadcast: (event) => handleClusterEvent(event),
+});
+const board = new PresenceBoard(PRESENCE_TTL_MS);
+
+// ─── Usuarios conectados: userId → Set<WebSocket> (uno por dispositivo) ─
 const clients = new Map();
+// Presencia de cada socket: ws → { status, share }
+const socketPresence = new WeakMap();
+// Sockets locales que siguen la presencia de un usuario: userId → Set<ws>
+const watchers = new Map();
+// replyToken → socket que lo reclamó (envíos sellados, solo este nodo)
+const replyClaims = new Map();
 
 // ─── Express + Static Files ──────────────────────────────────────────
 const app = express();
 app.use(express.static(path.join(__dirname, "..", "frontend")));
+// Argon2id y scrypt en WebAssembly para crypto-browser.js (hash-wasm, global `hashwasm`)
+app.use("/vendor/hash-wasm", express.static(path.dirname(require.resolve("hash-wasm/dist/argon2.umd.min.js"))));
 app.get("/api/status", (_req, res) => {
-    res.json({ status: "ok", clients: clients.size });
+    let sockets = 0;
+    for (const set of clients.values()) sockets += set.size;
+    res.json({ status: "ok", clients: clients.size, sockets });
 });
 
 // ─── HTTP + WebSocket Server ─────────────────────────────────────────
 const server = http.createServer(app);
 
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, maxPayload: LIMITS.frameBytes });
 
 wss.on("connection", (ws, req) => {
     let userId = null;
+    let identityKey = null;
+    let pendingAuth = null;
+    let session = null;              // token de reanudación de este socket
+    let protocolVersion = Protocol.VERSION; // hasta que hello/register digan otra
+    const watching = new Set();      // userIds cuya presencia sigue este socket
+    const typingSent = new Map();    // destinatario → { at, active } último aviso
+    const claimed = new Set();       // replyTokens reclamados por este socket
+    const bucket = new TokenBucket({ burst: RATE_SOCKET_BURST, perSecond: RATE_SOCKET_PER_SECOND });
 
     ws.on("message", async (raw) => {
-        let msg;
+        let parsed;
         try {
-            msg = JSON.parse(raw);
+            parsed = JSON.parse(raw);
         } catch {
-            return ws.send(JSON.stringify({ type: "error", error: "JSON inválido" }));
+            return sendError(ws, "invalid_json");
+        }
+
+        // Solo pasan los campos declarados en el esquema, con tipo y tamaño válidos
+        const result = Protocol.validate(parsed);
+
+        const wait = bucket.take();
+        if (wait > 0) {
+            return sendError(ws, "rate_limited", {
+                ...(result.ok ? requestOf(result.message) : {}),
+                scope: "socket",
+                retryAfterMs: wait,
+            });
+        }
+        if (!result.ok) {
+            const { code, ...details } = result.error;
+            return sendError(ws, code, details);
         }
+        const msg = result.message;
+        if (Protocol.CLIENT_MESSAGES[msg.type].auth && !userId) {
+            return sendError(ws, "not_registered");
+        }
+
+        // Un fallo de Redis o un bug no debe tumbar el proceso (y a todos)
+        try {
+            await dispatch(msg);
+        } catch (err) {
+            // Sin message_sent: el reintento con el mismo clientId vuelve a intentarlo
+            await releaseRetry(retryKeyOf(userId, msg)).catch(() => { /* silent */ });
+            sendInternalError(ws, msg, err);
+        }
+    });
 
+    /** Atiende un mensaje ya validado de este socket */
+    async function dispatch(msg) {
         switch (msg.type) {
             // ──────────────────────────────────────────────────────────────
-            // 1. REGISTER — el cliente se identifica con un userId
+            // 0. HELLO — negociar versión del protocolo (opcional)
+            //    Payload: { type, version }
+            //    Respuesta: { type: "hello", version, minVersion, limits }
+            // ──────────────────────────────────────────────────────────────
+            case "hello": {
+                if (!checkVersion(ws, msg.version)) return;
+                protocolVersion = msg.version;
+                ws.send(
+                    JSON.stringify({
+                        type: "hello",
+                        version: protocolVersion,
+                        minVersion: Protocol.MIN_VERSION,
+                        limits: LIMITS,
+                    })
+                );
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 1. REGISTER — el cliente declara su alias y su clave pública
+            //    Payload: { type, userId, publicKey, version?, resume?, cursor? }
+            //    Respuesta: { type: "challenge", nonce } que debe firmar
+            //    resume/cursor: token de la sesión anterior y mayor seq que
+            //    ya mostró; tras auth solo se entregan los posteriores
             // ──────────────────────────────────────────────────────────────
             case "register": {
-                if (!msg.userId) {
-                    return ws.send(
-                        JSON.stringify({ type: "error", error: "userId requerido" })
-                    );
+                if (msg.version !== undefined) {
+                    if (!checkVersion(ws, msg.version)) return;
+                    protocolVersion = msg.version;
+                }
+                if (!parsePublicKey(msg.publicKey)) {
+                    return sendAuthError(ws, "invalid_key");
+                }
+
+                // Un alias ya ligado a otra clave no se puede reclamar
+                const boundKey = await redis.get(`identity:${msg.userId}`);
+                if (boundKey && boundKey !== msg.publicKey) {
+                    return sendAuthError(ws, "alias_taken");
+                }
+
+                pendingAuth = {
+                    userId: msg.userId,
+                    publicKey: msg.publicKey,
+                    resume: msg.resume ?? null,
+                    cursor: msg.cursor ?? 0,
+                    nonce: crypto.randomBytes(32).toString("base64"),
+                    issuedAt: Date.now(),
+                };
+                ws.send(JSON.stringify({ type: "challenge", nonce: pendingAuth.nonce }));
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 1b. AUTH — respuesta firmada al challenge
+            //     Payload: { type, signature }
+            //     Firma ECDSA P-256 / SHA-256 sobre challengeMessage()
+            // ──────────────────────────────────────────────────────────────
+            case "auth": {
+                if (!pendingAuth) {
+                    return sendAuthError(ws, "no_challenge");
+                }
+                const challenge = pendingAuth;
+                pendingAuth = null;
+
+                if (Date.now() - challenge.issuedAt > CHALLENGE_TTL_MS) {
+                    return sendAuthError(ws, "challenge_expired");
+                }
+                if (!verifyChallenge(challenge, msg.signature)) {
+                    return sendAuthError(ws, "invalid_signature");
+                }
+
+                // Primer uso: ligar alias → clave. Si otro socket lo ligó
+                // entre register y auth, la clave debe coincidir.
+                const bindingKey = `identity:${challenge.userId}`;
+                const bound = await redis.set(
+                    bindingKey, challenge.publicKey, "EX", IDENTITY_TTL_SECONDS, "NX"
+                );
+                if (!bound) {
+                    const current = await redis.get(bindingKey);
+                    if (current !== challenge.publicKey) {
+                        return sendAuthError(ws, "alias_taken");
+                    }
+                    await redis.expire(bindingKey, IDENTITY_TTL_SECONDS);
                 }
-                userId = msg.userId;
-                clients.set(userId, ws);
-                // user registered
+
+                if (userId && userId !== challenge.userId) {
+                    removeClient(userId, ws);
+                    publishPresence(userId);
+                }
+                userId = challenge.userId;
+                identityKey = challenge.publicKey;
+                addClient(userId, ws);
+                // La presencia es opt-in: hasta set_presence con share, no se ve
+                socketPresence.set(ws, { status: "online", share: false });
+
+                // Reanudar: el cliente ya mostró hasta `cursor`, no repetirlo
+                const resumed = await resumeSession(challenge.resume, userId);
+                session = resumed ? challenge.resume : await openSession(userId);
+                const cursor = resumed ? challenge.cursor : 0;
+                ws.send(
+                    JSON.stringify({
+                        type: "registered",
+                        userId,
+                        version: protocolVersion,
+                        session,
+                        resumed,
+                        cursor,
+                    })
+                );
 
                 // Entregar mensajes pendientes que quedaron en Redis
-                await deliverPending(userId, ws);
+                await deliverPending(userId, ws, cursor);
                 break;
             }
 
             // ──────────────────────────────────────────────────────────────
             // 2. SEND_MESSAGE — enviar un mensaje a otro usuario
-            //    Payload: { type, to, content }
+            //    Payload: { type, to, content, ttl?, clientId?, attachment? }
+            //    ttl: segundos hasta que caduca aunque no se vea
+            //    clientId: vuelve en message_sent / error para correlacionar;
+            //    repetirlo no encola otra copia (ver claimRetry)
+            //    attachment: adjunto ya subido; vive lo que viva el mensaje
             // ──────────────────────────────────────────────────────────────
             case "send_message": {
-                if (!userId) {
-                    return ws.send(
-                        JSON.stringify({ type: "error", error: "Regístrate primero" })
-                    );
-                }
-                if (!msg.to || !msg.content) {
-                    return ws.send(
-                        JSON.stringify({ type: "error", error: "Campos 'to' y 'content' requeridos" })
-                    );
-                }
+                const ttl = resolveTtl(msg.ttl);
 
+                const timestamp = Date.now();
                 const chatMessage = {
                     id: uuidv4(),
                     from: userId,
                     to: msg.to,
                     content: msg.content,
-                    timestamp: Date.now(),
+                    attachment: msg.attachment,
+                    timestamp,
+                    expiresAt: timestamp + ttl * 1000,
+                };
+                const ack = {
+                    type: "message_sent",
+                    id: chatMessage.id,
+                    clientId: msg.clientId,
+                    to: msg.to,
+                    timestamp: chatMessage.timestamp,
+                    expiresAt: chatMessage.expiresAt,
                 };
 
-                // Guardar en Redis bajo la key del destinatario
-                const redisKey = `chat:${msg.to}`;
-                await redis.rpush(redisKey, JSON.stringify(chatMessage));
+                const prior = await claimRetry(clientIdKey(userId, msg.clientId), ack);
+                if (prior) return ws.send(prior);
+                if (!(await allowSend(ws, userId, msg))) {
+                    return releaseRetry(clientIdKey(userId, msg.clientId));
+                }
+                if (!(await linkAttachment(ws, userId, msg, [msg.to], chatMessage.expiresAt))) {
+                    return releaseRetry(clientIdKey(userId, msg.clientId));
+                }
+
+                // Guardar en Redis bajo la cola del destinatario (si cabe)
+                const seq = await store.enqueue(chatMessage);
+                const full = MessageStore.fullReason(seq);
+                if (full) {
+                    await releaseRetry(clientIdKey(userId, msg.clientId));
+                    if (msg.attachment) await attachments.release(msg.attachment, msg.to, { keep: true });
+                    return sendError(ws, "queue_full", {
+                        ...requestOf(msg),
+                        to: msg.to,
+                        reason: full,
+                        limit: full === "messages" ? QUEUE_MAX_MESSAGES : QUEUE_MAX_BYTES,
+                    });
+                }
+
+                await recordAuthor(chatMessage, ttl);
 
                 // Confirmar al remitente
+                ws.send(JSON.stringify(ack));
+
+                // Si el destinatario está conectado, reenviar en tiempo real
+                sendToUser(msg.to, { type: "new_message", message: { ...chatMessage, seq } });
+
+                // No logging of message content — evidence-free zone
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 2a. SEND_SEALED — mensaje directo con el remitente sellado
+            //     Payload: { type, to, content, replyToken, ttl?, clientId? }
+            //     content: sealSender() — solo el destinatario sabe quién
+            //     lo envía. El registro no guarda `from`: message_seen y
+            //     message_expired vuelven por `replyToken` (ver notifyReply).
+            //     Repetir el replyToken es un reintento
+            // ──────────────────────────────────────────────────────────────
+            case "send_sealed": {
+                const ttl = resolveTtl(msg.ttl);
+
+                const timestamp = Date.now();
+                const chatMessage = {
+                    id: uuidv4(),
+                    to: msg.to,
+                    content: msg.content,
+                    sealed: true,
+                    replyToken: msg.replyToken,
+                    timestamp,
+                    expiresAt: timestamp + ttl * 1000,
+                };
+                const ack = {
+                    type: "message_sent",
+                    id: chatMessage.id,
+                    clientId: msg.clientId,
+                    to: msg.to,
+                    sealed: true,
+                    timestamp: chatMessage.timestamp,
+                    expiresAt: chatMessage.expiresAt,
+                };
+
+                // El reclamo va antes de encolar: el aviso puede llegar enseguida
+                if (!claimReply(msg.replyToken, ws, claimed)) {
+                    return sendError(ws, "reply_limit", { ...requestOf(msg), limit: LIMITS.replyClaims });
+                }
+                const prior = await claimRetry(sealedRetryKey(msg.replyToken), ack);
+                if (prior) return ws.send(prior);
+                if (!(await allowSend(ws, userId, msg))) {
+                    return releaseRetry(sealedRetryKey(msg.replyToken));
+                }
+
+                const seq = await store.enqueue(chatMessage);
+                const full = MessageStore.fullReason(seq);
+                if (full) {
+                    await releaseRetry(sealedRetryKey(msg.replyToken));
+                    return sendError(ws, "queue_full", {
+                        ...requestOf(msg),
+                        to: msg.to,
+                        reason: full,
+                        limit: full === "messages" ? QUEUE_MAX_MESSAGES : QUEUE_MAX_BYTES,
+                    });
+                }
+
+                await recordAuthor(chatMessage, ttl);
+                ws.send(JSON.stringify(ack));
+                sendToUser(msg.to, { type: "new_message", message: { ...withoutReplyToken(chatMessage), seq } });
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 2b. PUBLISH_KEY — publicar la clave ECDH efímera de la sesión
+            //     Payload: { type, publicKey, signature }
+            //     signature: firma de identidad sobre prekeyMessage()
+            // ──────────────────────────────────────────────────────────────
+            case "publish_key": {
+                if (!parsePublicKey(msg.publicKey)) {
+                    return sendError(ws, "invalid_key", { field: "publicKey" });
+                }
+                if (!verifySignature(identityKey, prekeyMessage(userId, msg.publicKey), msg.signature)) {
+                    return sendAuthError(ws, "invalid_signature");
+                }
+
+                await redis.set(
+                    `prekey:${userId}`,
+                    JSON.stringify({ publicKey: msg.publicKey, signature: msg.signature }),
+                    "EX",
+                    IDENTITY_TTL_SECONDS
+                );
+                ws.send(JSON.stringify({ type: "key_published" }));
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 2c. KEY_REQUEST — obtener la clave ECDH publicada por otro alias
+            //     Payload: { type, userId }
+            //     Respuesta: { type: "peer_key", userId, publicKey,
+            //                  signature, identityKey } (null si no hay)
+            // ──────────────────────────────────────────────────────────────
+            case "key_request": {
+                const [prekeyRaw, peerIdentity] = await Promise.all([
+                    redis.get(`prekey:${msg.userId}`),
+                    redis.get(`identity:${msg.userId}`),
+                ]);
+                const prekey = prekeyRaw ? JSON.parse(prekeyRaw) : null;
+
                 ws.send(
                     JSON.stringify({
-                        type: "message_sent",
-                        id: chatMessage.id,
-                        to: msg.to,
-                        timestamp: chatMessage.timestamp,
+                        type: "peer_key",
+                        userId: msg.userId,
+                        publicKey: prekey && peerIdentity ? prekey.publicKey : null,
+                        signature: prekey && peerIdentity ? prekey.signature : null,
+                        identityKey: peerIdentity || null,
                     })
                 );
+                break;
+            }
 
-                // Si el destinatario está conectado, reenviar en tiempo real
-                const recipientWs = clients.get(msg.to);
-                if (recipientWs && recipientWs.readyState === 1) {
-                    recipientWs.send(
-                        JSON.stringify({ type: "new_message", message: chatMessage })
-                    );
+            // ──────────────────────────────────────────────────────────────
+            // 2d. CLAIM_REPLIES — recoger los avisos de envíos sellados
+            //     Payload: { type, tokens: [replyToken] }
+            //     Tras reconectar: lo que llegó mientras tanto se entrega ya,
+            //     lo demás llega a este socket cuando ocurra
+            // ──────────────────────────────────────────────────────────────
+            case "claim_replies": {
+                for (const token of msg.tokens) {
+                    if (!claimReply(token, ws, claimed)) {
+                        return sendError(ws, "reply_limit", { limit: LIMITS.replyClaims });
+                    }
                 }
+                await Promise.all(msg.tokens.map((token) => deliverReply(token)));
+                break;
+            }
 
-                // No logging of message content — evidence-free zone
+            // ──────────────────────────────────────────────────────────────
+            // 2e. RETRACT — el remitente retira un mensaje directo
+            //     Payload: { type, to, messageId, replyToken? }
+            //     Si sigue en cola se borra (el destinatario ya no lo
+            //     recibirá); si ya llegó, message_retracted le pide a sus
+            //     dispositivos que lo borren. Ver authorize()
+            // ──────────────────────────────────────────────────────────────
+            case "retract": {
+                if (!(await allowSend(ws, userId, msg))) return;
+                const check = await authorize(userId, msg);
+                if (!check) {
+                    return sendError(ws, "not_author", { request: msg.type, messageId: msg.messageId });
+                }
+
+                const removed = check.queued ? await store.take(msg.to, msg.messageId) : null;
+                if (removed) await releaseAttachments(msg.to, [removed]);
+                await redis.del(authorKey(msg.messageId));
+
+                sendToUser(msg.to, {
+                    type: "message_retracted",
+                    messageId: msg.messageId,
+                    ...(check.sealed ? { sealed: true } : { from: userId }),
+                    timestamp: Date.now(),
+                });
+                ws.send(JSON.stringify({ type: "ack_retract", messageId: msg.messageId, to: msg.to, removed: Boolean(removed) }));
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 2f. EDIT — el remitente cambia el contenido de un mensaje directo
+            //     Payload: { type, to, messageId, content, replyToken? }
+            //     Si sigue en cola se reemplaza (mismo id, seq y caducidad,
+            //     con `editedAt`); además message_edited llega a los
+            //     dispositivos donde ya se mostró
+            // ──────────────────────────────────────────────────────────────
+            case "edit": {
+                if (!(await allowSend(ws, userId, msg))) return;
+                const check = await authorize(userId, msg);
+                if (!check) {
+                    return sendError(ws, "not_author", { request: msg.type, messageId: msg.messageId });
+                }
+
+                const editedAt = Date.now();
+                const replaced = check.queued
+                    ? await store.replace(msg.to, check.queued.raw, { ...check.queued.message, content: msg.content, editedAt })
+                    : false;
+
+                sendToUser(msg.to, {
+                    type: "message_edited",
+                    messageId: msg.messageId,
+                    ...(check.sealed ? { sealed: true } : { from: userId }),
+                    content: msg.content,
+                    editedAt,
+                });
+                ws.send(JSON.stringify({ type: "ack_edit", messageId: msg.messageId, to: msg.to, replaced, editedAt }));
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 2g. REACT — reacción cifrada a un mensaje recibido
+            //     Payload: { type, to, messageId, content }
+            //     No se guarda: solo llega si `to` está conectado
+            // ──────────────────────────────────────────────────────────────
+            case "react": {
+                if (!(await allowSend(ws, userId, msg))) return;
+                sendToUser(msg.to, { type: "reaction", from: userId, messageId: msg.messageId, content: msg.content });
                 break;
             }
 
@@ -119,42 +548,42 @@ wss.on("connection", (ws, req) => {
             //    Acción: se BORRA inmediatamente de Redis
             // ──────────────────────────────────────────────────────────────
             case "seen": {
-                if (!userId) {
-                    return ws.send(
-                        JSON.stringify({ type: "error", error: "Regístrate primero" })
-                    );
-                }
-                if (!msg.messageId) {
-                    return ws.send(
-                        JSON.stringify({ type: "error", error: "messageId requerido" })
-                    );
-                }
-
-                const deleted = await deleteMessageFromRedis(userId, msg.messageId);
+                const deleted = await store.take(userId, msg.messageId);
 
                 if (deleted) {
+                    await releaseAttachments(userId, [deleted]);
                     // Notificar al remitente original que el mensaje fue visto
                     const originalMessage = deleted;
-                    const senderWs = clients.get(originalMessage.from);
-                    if (senderWs && senderWs.readyState === 1) {
-                        senderWs.send(
-                            JSON.stringify({
-                                type: "message_seen",
-                                messageId: msg.messageId,
-                                seenBy: userId,
-                                timestamp: Date.now(),
-                            })
-                        );
+                    if (originalMessage.room) {
+                        await settleRoomMessage(msg.messageId, userId, true);
+                    } else if (originalMessage.sealed) {
+                        await notifyReply(originalMessage.replyToken, {
+                            type: "message_seen",
+                            messageId: msg.messageId,
+                            seenBy: userId,
+                            sealed: true,
+                            timestamp: Date.now(),
+                        });
+                    } else {
+                        sendToUser(originalMessage.from, {
+                            type: "message_seen",
+                            messageId: msg.messageId,
+                            seenBy: userId,
+                            timestamp: Date.now(),
+                        });
                     }
 
-                    // Confirmar al receptor
-                    ws.send(
-                        JSON.stringify({
-                            type: "ack_seen",
-                            messageId: msg.messageId,
-                            deleted: true,
-                        })
-                    );
+                    // Confirmar a todos los dispositivos del receptor; los demás
+                    // retiran el mensaje de su vista
+                    sendToUser(userId, {
+                        type: "ack_seen",
+                        messageId: msg.messageId,
+                        deleted: true,
+                    });
+                    sendToUser(userId, {
+                        type: "seen_elsewhere",
+                        messageIds: [msg.messageId],
+                    }, ws);
 
                     // seen event processed — no log
                 } else {
@@ -163,7 +592,7 @@ wss.on("connection", (ws, req) => {
                             type: "ack_seen",
                             messageId: msg.messageId,
                             deleted: false,
-                            reason: "Mensaje no encontrado en la cola",
+                            reason: "not_found",
                         })
                     );
                 }
@@ -171,69 +600,374 @@ wss.on("connection", (ws, req) => {
             }
 
             // ──────────────────────────────────────────────────────────────
-            // 4. SEEN_ALL — marcar TODOS los mensajes pendientes como vistos
+            // 4. SEEN_ALL — marcar como vistos los mensajes ya recibidos
+            //    Payload: { upTo?: seq, messageIds?: [id] }
+            //    Solo se borra lo confirmado: lo que llegue después sigue en cola
             // ──────────────────────────────────────────────────────────────
             case "seen_all": {
-                if (!userId) {
-                    return ws.send(
-                        JSON.stringify({ type: "error", error: "Regístrate primero" })
-                    );
+                const upTo = msg.upTo ?? null;
+                const messageIds = msg.messageIds ?? [];
+                if (upTo === null && messageIds.length === 0) {
+                    return sendError(ws, "missing_field", { field: "upTo" });
                 }
 
-                const redisKey = `chat:${userId}`;
-                const allRaw = await redis.lrange(redisKey, 0, -1);
-                await redis.del(redisKey);
-
-                // Notificar a cada remitente que sus mensajes fueron vistos
-                const senders = new Set();
-                for (const raw of allRaw) {
-                    try {
-                        const m = JSON.parse(raw);
-                        senders.add(m.from);
-                    } catch { }
-                }
-
-                for (const senderId of senders) {
-                    const senderWs = clients.get(senderId);
-                    if (senderWs && senderWs.readyState === 1) {
-                        senderWs.send(
-                            JSON.stringify({
-                                type: "all_messages_seen",
-                                seenBy: userId,
-                                count: allRaw.length,
-                                timestamp: Date.now(),
-                            })
-                        );
+                const seen = await store.takeAcknowledged(userId, { upTo, messageIds });
+                await releaseAttachments(userId, seen);
+
+                // Notificar a cada remitente cuántos de SUS mensajes se vieron
+                // (los de sala avisan por mensaje y respetan el quórum; los
+                // sellados, uno a uno por su replyToken)
+                const bySender = new Map();
+                for (const m of seen) {
+                    if (m.room) {
+                        await settleRoomMessage(m.id, userId, true);
+                    } else if (m.sealed) {
+                        await notifyReply(m.replyToken, {
+                            type: "message_seen",
+                            messageId: m.id,
+                            seenBy: userId,
+                            sealed: true,
+                            timestamp: Date.now(),
+                        });
+                    } else {
+                        if (!bySender.has(m.from)) bySender.set(m.from, []);
+                        bySender.get(m.from).push(m.id);
                     }
                 }
 
+                for (const [senderId, ids] of bySender) {
+                    sendToUser(senderId, {
+                        type: "all_messages_seen",
+                        seenBy: userId,
+                        count: ids.length,
+                        messageIds: ids,
+                        timestamp: Date.now(),
+                    });
+                }
+
+                const seenIds = seen.map((m) => m.id);
                 ws.send(
                     JSON.stringify({
                         type: "ack_seen_all",
-                        deletedCount: allRaw.length,
+                        deletedCount: seen.length,
+                        messageIds: seenIds,
                     })
                 );
+                if (seenIds.length > 0) {
+                    sendToUser(userId, { type: "seen_elsewhere", messageIds: seenIds }, ws);
+                }
 
                 // seen_all event processed — no log
                 break;
             }
 
-            default:
-                ws.send(
-                    JSON.stringify({
-                        type: "error",
-                        error: `Tipo de mensaje desconocido: ${msg.type}`,
-                        validTypes: ["register", "send_message", "seen", "seen_all"],
-                    })
+            // ──────────────────────────────────────────────────────────────
+            // 5. CREATE_ROOM — crear una sala; quien la crea es el dueño
+            //    Payload: { type, name, members?: [userId], quorum? }
+            //    quorum: vistos necesarios para borrar un mensaje
+            //    (por defecto, todos los destinatarios)
+            // ──────────────────────────────────────────────────────────────
+            case "create_room": {
+                const members = [...new Set([userId, ...(msg.members || [])])];
+                if (members.length > LIMITS.roomMembers) {
+                    return sendError(ws, "room_full", { limit: LIMITS.roomMembers });
+                }
+
+                const room = {
+                    id: uuidv4(),
+                    name: msg.name && msg.name.trim() ? msg.name.trim() : "sala",
+                    owner: userId,
+                    quorum: msg.quorum ?? null,
+                    members: members.sort(),
+                };
+
+                const tx = redis.multi()
+                    .hset(`room:${room.id}`, "name", room.name, "owner", room.owner, "quorum", room.quorum ?? "")
+                    .sadd(`room:${room.id}:members`, ...room.members);
+                for (const m of room.members) tx.sadd(`user:${m}:rooms`, room.id);
+                await tx.exec();
+
+                broadcastRoom(room);
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 6. INVITE / KICK / LEAVE — gestionar miembros
+            //    Payload: { type, room, userId }  ({ type, room } en leave)
+            //    Cualquier miembro invita; solo el dueño expulsa.
+            // ──────────────────────────────────────────────────────────────
+            case "invite":
+            case "kick":
+            case "leave": {
+                const room = await loadRoom(msg.room);
+                if (!room || !room.members.includes(userId)) {
+                    return sendError(ws, "not_room_member");
+                }
+
+                if (msg.type === "leave") {
+                    await removeFromRoom(room, userId, "left");
+                    break;
+                }
+
+                if (msg.type === "invite") {
+                    if (room.members.includes(msg.userId)) break;
+                    if (room.members.length >= LIMITS.roomMembers) {
+                        return sendError(ws, "room_full", { limit: LIMITS.roomMembers });
+                    }
+                    await redis.multi()
+                        .sadd(`room:${room.id}:members`, msg.userId)
+                        .sadd(`user:${msg.userId}:rooms`, room.id)
+                        .exec();
+                    room.members = [...room.members, msg.userId].sort();
+                    broadcastRoom(room);
+                } else {
+                    if (room.owner !== userId) {
+                        return sendError(ws, "not_room_owner");
+                    }
+                    if (msg.userId === userId || !room.members.includes(msg.userId)) {
+                        return sendError(ws, "invalid_member", { field: "userId" });
+                    }
+                    await removeFromRoom(room, msg.userId, "kicked");
+                }
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 7. LIST_ROOMS — salas a las que pertenece el usuario
+            // ──────────────────────────────────────────────────────────────
+            case "list_rooms": {
+                const roomIds = await redis.smembers(`user:${userId}:rooms`);
+                const rooms = (await Promise.all(roomIds.map(loadRoom)))
+                    .filter((room) => room && room.members.includes(userId));
+
+                ws.send(JSON.stringify({ type: "rooms", rooms }));
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 8. ROOM_MESSAGE — mensaje a todos los miembros de una sala
+            //    Payload: { type, room, contents: { userId: content }, ttl?, clientId? }
+            //    Cada miembro recibe su propia copia (cifrada para él) en
+            //    chat:{miembro}; se borra de Redis al alcanzar el quórum.
+            // ──────────────────────────────────────────────────────────────
+            case "room_message": {
+                const room = await loadRoom(msg.room);
+                if (!room || !room.members.includes(userId)) {
+                    return sendError(ws, "not_room_member", requestOf(msg));
+                }
+
+                const recipients = room.members.filter(
+                    (m) => m !== userId && Object.prototype.hasOwnProperty.call(msg.contents, m)
                 );
+                if (recipients.length === 0) {
+                    return sendError(ws, "no_recipients", { ...requestOf(msg), field: "contents" });
+                }
+
+                const ttl = resolveTtl(msg.ttl);
+
+                const id = uuidv4();
+                const timestamp = Date.now();
+                const expiresAt = timestamp + ttl * 1000;
+                const required = room.quorum ? Math.min(room.quorum, recipients.length) : recipients.length;
+                const ack = {
+                    type: "message_sent",
+                    id,
+                    clientId: msg.clientId,
+                    room: room.id,
+                    recipients,
+                    missing: room.members.filter((m) => m !== userId && !recipients.includes(m)),
+                    full: [],
+                    required,
+                    timestamp,
+                    expiresAt,
+                };
+
+                const prior = await claimRetry(clientIdKey(userId, msg.clientId), ack);
+                if (prior) return ws.send(prior);
+                if (!(await allowSend(ws, userId, msg))) {
+                    return releaseRetry(clientIdKey(userId, msg.clientId));
+                }
+                if (!(await linkAttachment(ws, userId, msg, recipients, expiresAt))) {
+                    return releaseRetry(clientIdKey(userId, msg.clientId));
+                }
+                const copies = recipients.map((m) => ({
+                    id,
+                    from: userId,
+                    to: m,
+                    room: room.id,
+                    content: msg.contents[m],
+                    attachment: msg.attachment,
+                    timestamp,
+                    expiresAt,
+                }));
+
+                // El registro de quórum vive un poco más que las copias
+                const tx = redis.multi()
+                    .hset(`roommsg:${id}`, "room", room.id, "from", userId, "required", required, "seen", 0)
+                    .sadd(`roommsg:${id}:pending`, ...recipients)
+                    .expire(`roommsg:${id}`, ttl + 60)
+                    .expire(`roommsg:${id}:pending`, ttl + 60);
+                for (const copy of copies) store.enqueue(copy, tx);
+                const results = await tx.exec();
+                const seqs = results.slice(-copies.length).map(([, seq]) => seq);
+
+                // Quien tiene la cola llena se queda sin copia, como si saliera
+                const full = recipients.filter((m, i) => MessageStore.fullReason(seqs[i]));
+                for (const m of full) {
+                    await settleRoomMessage(id, m, false);
+                    if (msg.attachment) await attachments.release(msg.attachment, m, { keep: true });
+                }
+                if (full.length === recipients.length) {
+                    await releaseRetry(clientIdKey(userId, msg.clientId));
+                    return sendError(ws, "queue_full", { ...requestOf(msg), room: room.id, members: full });
+                }
+
+                if (full.length > 0) {
+                    ack.recipients = recipients.filter((m) => !full.includes(m));
+                    ack.full = full;
+                    await recordRetry(clientIdKey(userId, msg.clientId), ack);
+                }
+                ws.send(JSON.stringify(ack));
+
+                copies.forEach((copy, i) => {
+                    if (full.includes(copy.to)) return;
+                    sendToUser(copy.to, { type: "new_message", message: { ...copy, seq: seqs[i] } });
+                });
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 8b. ATTACHMENT_CHUNK — subir un trozo cifrado de un adjunto
+            //     Payload: { type, attachmentId, index, total, data }
+            //     Respuesta: { type: "attachment_stored", attachmentId,
+            //                  received, total }
+            //     El primer trozo crea el adjunto a nombre del remitente y
+            //     gasta una ficha de su bucket, como un envío
+            // ──────────────────────────────────────────────────────────────
+            case "attachment_chunk": {
+                if (msg.index >= msg.total) {
+                    return sendError(ws, "invalid_field", {
+                        field: "index", reason: "range", limit: msg.total - 1, attachmentId: msg.attachmentId,
+                    });
+                }
+                if (msg.index === 0 && !(await allowSend(ws, userId, msg))) break;
+
+                const received = await attachments.put(userId, msg);
+                const reason = AttachmentStore.errorReason(received);
+                if (reason) {
+                    return sendError(ws, "attachment_rejected", {
+                        ...requestOf(msg),
+                        field: "attachment",
+                        reason,
+                        limit: reason === "too_large" ? ATTACHMENT_MAX_BYTES : undefined,
+                    });
+                }
+                ws.send(JSON.stringify({
+                    type: "attachment_stored",
+                    attachmentId: msg.attachmentId,
+                    received,
+                    total: msg.total,
+                }));
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 8c. ATTACHMENT_FETCH — descargar el adjunto de un mensaje
+            //     Payload: { type, attachmentId }
+            //     Respuesta: un { type: "attachment_data", attachmentId,
+            //                index, total, data } por trozo, en orden
+            //     Solo para destinatarios que aún no vieron el mensaje:
+            //     el cliente descarga y después envía `seen`
+            // ──────────────────────────────────────────────────────────────
+            case "attachment_fetch": {
+                const chunks = await attachments.fetch(msg.attachmentId, userId);
+                if (!chunks) {
+                    return sendError(ws, "attachment_not_found", { attachmentId: msg.attachmentId });
+                }
+                chunks.forEach((data, index) => {
+                    ws.send(JSON.stringify({
+                        type: "attachment_data",
+                        attachmentId: msg.attachmentId,
+                        index,
+                        total: chunks.length,
+                        data,
+                    }));
+                });
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 9. SET_PRESENCE — estado propio y privacidad de este socket
+            //    Payload: { type, status?: "online"|"away", share?: bool }
+            //    Sin share = true el usuario aparece offline para todos
+            // ──────────────────────────────────────────────────────────────
+            case "set_presence": {
+                const own = socketPresence.get(ws);
+                if (msg.status !== undefined) own.status = msg.status;
+                if (msg.share !== undefined) own.share = msg.share;
+                publishPresence(userId);
+
+                ws.send(JSON.stringify({ type: "presence_set", status: own.status, share: own.share }));
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 10. WATCH_PRESENCE / UNWATCH_PRESENCE — seguir a un alias
+            //     Payload: { type, userId }
+            //     Respuesta y avisos: { type: "presence", userId, status, since }
+            // ──────────────────────────────────────────────────────────────
+            case "watch_presence": {
+                if (!watching.has(msg.userId) && watching.size >= LIMITS.watchedPerSocket) {
+                    return sendError(ws, "watch_limit", { limit: LIMITS.watchedPerSocket });
+                }
+
+                watching.add(msg.userId);
+                if (!watchers.has(msg.userId)) watchers.set(msg.userId, new Set());
+                watchers.get(msg.userId).add(ws);
+                ws.send(JSON.stringify(presenceEvent(msg.userId)));
+                break;
+            }
+
+            case "unwatch_presence": {
+                if (watching.delete(msg.userId)) {
+                    unwatch(msg.userId, ws);
+                }
+                break;
+            }
+
+            // ──────────────────────────────────────────────────────────────
+            // 11. TYPING — aviso de "escribiendo" a otro alias
+            //     Payload: { type, to, active }
+            //     Se reenvía como { type: "typing", from, active } si el
+            //     socket comparte presencia; los repetidos se descartan
+            // ──────────────────────────────────────────────────────────────
+            case "typing": {
+                if (!socketPresence.get(ws).share) break;
+
+                const active = msg.active !== false;
+                const now = Date.now();
+                const last = typingSent.get(msg.to);
+                if (last && last.active === active && now - last.at < TYPING_THROTTLE_MS) break;
+
+                typingSent.set(msg.to, { at: now, active });
+                sendToUser(msg.to, { type: "typing", from: userId, active });
+                break;
+            }
         }
-    });
+    }
 
     ws.on("close", () => {
+        for (const target of watching) unwatch(target, ws);
+        for (const token of claimed) {
+            if (replyClaims.get(token) === ws) replyClaims.delete(token);
+        }
         if (userId) {
-            clients.delete(userId);
+            removeClient(userId, ws);
+            publishPresence(userId);
             // client disconnected
         }
+        // La sesión se puede reanudar durante SESSION_RESUME_TTL_SECONDS
+        if (session) redis.expire(sessionKey(session), SESSION_RESUME_TTL_SECONDS).catch(() => { });
     });
 
     ws.on("error", () => { /* silent */ });
@@ -242,51 +976,711 @@ wss.on("connection", (ws, req) => {
 // ─── Helpers ─────────────────────────────────────────────────────────
 
 /**
- * Entrega todos los mensajes pendientes almacenados en Redis
- * cuando un usuario se conecta/registra.
+ * Mensaje que el cliente firma para demostrar posesión de la clave privada.
+ * Incluye alias y nonce para que una firma no sirva en otro contexto.
+ */
+function challengeMessage(userId, nonce) {
+    return `volatile-chat:register:${userId}:${nonce}`;
+}
+
+/**
+ * Interpreta una clave pública ECDSA P-256 en base64 (SPKI/DER).
+ * Retorna el KeyObject o null si no es válida.
+ */
+function parsePublicKey(publicKey) {
+    if (typeof publicKey !== "string" || !publicKey) return null;
+    try {
+        const key = crypto.createPublicKey({
+            key: Buffer.from(publicKey, "base64"),
+            format: "der",
+            type: "spki",
+        });
+        if (key.asymmetricKeyType !== "ec" || key.asymmetricKeyDetails.namedCurve !== "prime256v1") {
+            return null;
+        }
+        return key;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Mensaje que liga la clave ECDH efímera de una sesión a la identidad
+ * del alias. Los pares lo verifican igual que el servidor.
+ */
+function prekeyMessage(userId, publicKey) {
+    return `volatile-chat:prekey:${userId}:${publicKey}`;
+}
+
+/**
+ * Verifica una firma de identidad. Web Crypto firma ECDSA en formato
+ * IEEE P1363 (r || s), no DER.
+ */
+function verifySignature(publicKey, message, signature) {
+    const key = parsePublicKey(publicKey);
+    if (!key || typeof signature !== "string") return false;
+    try {
+        return crypto.verify(
+            "sha256",
+            Buffer.from(message, "utf8"),
+            { key, dsaEncoding: "ieee-p1363" },
+            Buffer.from(signature, "base64")
+        );
+    } catch {
+        return false;
+    }
+}
+
+function verifyChallenge(challenge, signature) {
+    return verifySignature(
+        challenge.publicKey,
+        challengeMessage(challenge.userId, challenge.nonce),
+        signature
+    );
+}
+
+function sendAuthError(ws, code) {
+    ws.send(JSON.stringify({ type: "auth_error", code }));
+}
+
+/**
+ * Error estructurado: `code` es uno de Protocol.ERRORS y `details` añade
+ * field / reason / limit cuando aplican. El texto lo pone el cliente.
+ */
+function sendError(ws, code, details = {}) {
+    ws.send(JSON.stringify({ type: "error", code, ...details }));
+}
+
+/**
+ * Gasta una ficha del bucket del alias (compartido entre réplicas).
+ * Si no quedan, responde `rate_limited` y retorna false.
+ */
+async function allowSend(ws, senderId, msg) {
+    const wait = await senderLimiter.take(senderId);
+    if (wait === 0) return true;
+    sendError(ws, "rate_limited", { ...requestOf(msg), scope: "sender", retryAfterMs: wait });
+    return false;
+}
+
+/**
+ * Algo falló al atender `msg` (Redis, un script Lua, un bug): se anota
+ * solo el tipo y la traza, sin contenido, y el cliente recibe
+ * `internal_error` para reintentar o marcar su envío.
+ */
+function sendInternalError(ws, msg, err) {
+    console.error(`Error interno atendiendo ${msg.type}:`, err && err.stack ? err.stack : err);
+    sendError(ws, "internal_error", requestOf(msg));
+}
+
+/** Identifica un envío (o trozo de adjunto) rechazado para que el cliente marque su burbuja */
+function requestOf(msg) {
+    return { request: msg.type, clientId: msg.clientId, attachmentId: msg.attachmentId };
+}
+
+/** Rechaza y cierra si el cliente habla una versión que no soportamos */
+function checkVersion(ws, version) {
+    if (Protocol.isSupported(version)) return true;
+    sendError(ws, "unsupported_version", {
+        supported: { min: Protocol.MIN_VERSION, max: Protocol.VERSION },
+    });
+    ws.close(1002, "unsupported_version");
+    return false;
+}
+
+function addClient(targetId, ws) {
+    if (!clients.has(targetId)) {
+        clients.set(targetId, new Set());
+        cluster.join(targetId).catch(() => { /* silent */ });
+    }
+    clients.get(targetId).add(ws);
+}
+
+function removeClient(targetId, ws) {
+    const sockets = clients.get(targetId);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+        clients.delete(targetId);
+        cluster.leave(targetId).catch(() => { /* silent */ });
+        // IDENTITY_TTL_SECONDS cuenta desde que se va el último socket
+        refreshIdentities([targetId]).catch(() => { /* silent */ });
+    }
+}
+
+/**
+ * Renueva la ligadura alias → clave (y la prekey) de `targetIds`: un
+ * alias con algún socket abierto no caduca, así nadie más lo reclama
+ * mientras su dueño sigue conectado.
+ */
+function refreshIdentities(targetIds = clients.keys()) {
+    const tx = redis.pipeline();
+    for (const targetId of targetIds) {
+        tx.expire(`identity:${targetId}`, IDENTITY_TTL_SECONDS).expire(`prekey:${targetId}`, IDENTITY_TTL_SECONDS);
+    }
+    return tx.exec();
+}
+
+/**
+ * Envía a todos los dispositivos de `targetId`: los de este nodo
+ * directamente (salvo `except`) y los de otras réplicas vía pub/sub.
+ */
+function sendToUser(targetId, payload, except = null) {
+    deliverLocal(targetId, payload, except);
+    cluster.route(targetId, payload).catch(() => { /* silent */ });
+}
+
+/**
+ * Envía a los sockets de `targetId` conectados a ESTE nodo.
+ * Retorna true si al menos uno lo recibió.
+ * Un `new_message` escrito sin error en algún socket genera el acuse
+ * `message_delivered` (uno por nodo que lo entregue).
+ */
+function deliverLocal(targetId, payload, except = null) {
+    const sockets = clients.get(targetId);
+    if (!sockets) return false;
+    const data = JSON.stringify(payload);
+    let receipt = payload.type === "new_message" ? [payload.message] : null;
+    const onSent = (err) => {
+        if (err || !receipt) return;
+        confirmDelivery(targetId, receipt);
+        receipt = null;
+    };
+    let sent = false;
+    for (const targetWs of sockets) {
+        if (targetWs === except || targetWs.readyState !== 1) continue;
+        targetWs.send(data, onSent);
+        sent = true;
+    }
+    return sent;
+}
+
+/**
+ * Avisa a cada remitente de que sus `messages` llegaron a un dispositivo
+ * de `recipientId`. Retransmitir el mismo mensaje repite el aviso.
+ * Los sellados no tienen remitente conocido: no generan acuse.
+ */
+function confirmDelivery(recipientId, messages) {
+    const bySender = new Map();
+    for (const m of messages) {
+        if (m.sealed) continue;
+        if (!bySender.has(m.from)) bySender.set(m.from, []);
+        bySender.get(m.from).push(m.id);
+    }
+    const timestamp = Date.now();
+    for (const [senderId, messageIds] of bySender) {
+        sendToUser(senderId, { type: "message_delivered", to: recipientId, messageIds, timestamp });
+    }
+}
+
+// ─── Reintentos ──────────────────────────────────────────────────────
+//  sent:{userId}:{clientId}     string   message_sent del primer envío
+//  sealed-sent:{replyToken}     string   ídem para send_sealed
+//
+//  El cliente reenvía con el mismo clientId lo que no vio confirmado
+//  antes de perder la conexión. Si el original ya se guardó, el
+//  duplicado recibe la misma confirmación y no se encola otra copia.
+//  Un envío sellado se identifica por su replyToken, no por el alias:
+//  guardar sent:{alias}:… ligaría al remitente con el mensaje. Va en
+//  su propio prefijo: ningún alias (ni siquiera "*") escribe en él.
+
+/** Clave del reintento de `clientId`; null sin clientId (nada que comparar) */
+function clientIdKey(senderId, clientId) {
+    return clientId ? `sent:${senderId}:${clientId}` : null;
+}
+
+function sealedRetryKey(replyToken) {
+    return `sealed-sent:${replyToken}`;
+}
+
+/** Clave de reintento de un envío (null si `msg` no es uno) */
+function retryKeyOf(senderId, msg) {
+    if (msg.type === "send_sealed") return sealedRetryKey(msg.replyToken);
+    if (msg.type === "send_message" || msg.type === "room_message") return clientIdKey(senderId, msg.clientId);
+    return null;
+}
+
+/**
+ * Reserva `key` (clientIdKey / sealedRetryKey) con la confirmación
+ * `ack` de este envío. Retorna null si es nuevo (hay que procesarlo),
+ * o el message_sent (JSON) del envío original si es un reintento.
+ */
+async function claimRetry(key, ack) {
+    if (!key) return null;
+    if (await redis.set(key, JSON.stringify(ack), "EX", CLIENT_ID_TTL_SECONDS, "NX")) return null;
+    return redis.get(key);
+}
+
+/** Actualiza la confirmación guardada (p. ej. con las colas llenas) */
+async function recordRetry(key, ack) {
+    if (!key) return;
+    await redis.set(key, JSON.stringify(ack), "EX", CLIENT_ID_TTL_SECONDS, "XX");
+}
+
+/** El envío se rechazó: un reintento con la misma clave vuelve a intentarlo */
+async function releaseRetry(key) {
+    if (key) await redis.del(key);
+}
+
+// ─── Respuestas selladas ─────────────────────────────────────────────
+//  reply:{replyToken}   string   aviso (JSON) para el remitente de un
+//                                envío sellado, hasta que lo recoja
+//
+//  El servidor no guarda quién envió un mensaje sellado. El socket que
+//  lo envía reclama su replyToken (y lo vuelve a reclamar tras
+//  reconectar, con claim_replies); el aviso se deja bajo el token y lo
+//  entrega la réplica donde esté reclamado. Cada token sirve una vez.
+
+function replyKey(token) {
+    return `reply:${token}`;
+}
+
+/**
+ * `ws` recibirá los avisos de `token` (el último socket que lo reclama
+ * gana). Retorna false si el socket ya tiene demasiados reclamados.
  */
-async function deliverPending(userId, ws) {
-    const redisKey = `chat:${userId}`;
-    const pending = await redis.lrange(redisKey, 0, -1);
+function claimReply(token, ws, claimed) {
+    if (!claimed.has(token) && claimed.size >= LIMITS.replyClaims) return false;
+    claimed.add(token);
+    replyClaims.set(token, ws);
+    return true;
+}
+
+/** Deja `payload` bajo `token` y lo entrega si alguien lo tiene reclamado */
+async function notifyReply(token, payload) {
+    await redis.set(replyKey(token), JSON.stringify(payload), "EX", REPLY_NOTICE_TTL_SECONDS);
+    if (!(await deliverReply(token))) {
+        cluster.broadcast({ kind: "reply", token }).catch(() => { /* silent */ });
+    }
+}
 
-    if (pending.length > 0) {
-        const messages = pending.map((raw) => JSON.parse(raw));
+/**
+ * Si `token` está reclamado en este nodo, entrega su aviso (si ya lo
+ * hay). GET + DEL atómico: aunque dos réplicas lo intenten, llega una vez.
+ * Retorna false si aquí nadie lo reclamó.
+ */
+async function deliverReply(token) {
+    const ws = replyClaims.get(token);
+    if (!ws || ws.readyState !== 1) return false;
+    const [[, raw]] = await redis.multi().get(replyKey(token)).del(replyKey(token)).exec();
+    if (raw) {
+        ws.send(raw);
+        replyClaims.delete(token);
+    }
+    return true;
+}
+
+/** El replyToken es del remitente: el destinatario no lo ve */
+function withoutReplyToken(message) {
+    const { replyToken, ...rest } = message;
+    return rest;
+}
+
+// ─── Retirar y editar ────────────────────────────────────────────────
+//  author:{messageId}   string   sealer.tag(to, id, remitente), lo que
+//                                vive el mensaje
+//
+//  Solo el remitente puede retirar o editar un mensaje directo. Mientras
+//  sigue en cola el servidor lo comprueba con el registro: `from`, o el
+//  replyToken si fue sellado. Uno ya visto salió de la cola, pero su
+//  autoría queda hasta que caduca: una etiqueta (HMAC) del alias, o del
+//  replyToken, que no revela a quien lea Redis quién lo envió. Sin ella
+//  (caducado, retirado, o de otro) el evento no se reenvía.
+
+function authorKey(messageId) {
+    return `author:${messageId}`;
+}
+
+/** Etiqueta de quién envió `message`: su alias, o su replyToken si es sellado */
+function authorTag(to, messageId, senderId, replyToken) {
+    return replyToken ? sealer.tag(to, messageId, "sealed", replyToken) : sealer.tag(to, messageId, "from", senderId);
+}
+
+/** Guarda la autoría de un mensaje directo recién encolado, `ttl` segundos */
+async function recordAuthor(message, ttl) {
+    await redis.set(authorKey(message.id), authorTag(message.to, message.id, message.from, message.replyToken), "EX", ttl);
+}
+
+/**
+ * ¿Puede `senderId` retirar o editar `msg.messageId` (en la cola de `msg.to`)?
+ * Retorna null si no, o { queued, sealed }: `queued` es lo que retorna
+ * store.peek (null si ya no está en cola).
+ */
+async function authorize(senderId, msg) {
+    const queued = await store.peek(msg.to, msg.messageId);
+    if (queued) {
+        const m = queued.message;
+        if (m.room) return null;
+        const mine = m.sealed ? msg.replyToken === m.replyToken : !msg.replyToken && m.from === senderId;
+        return mine ? { queued, sealed: m.sealed === true } : null;
+    }
+    const recorded = await redis.get(authorKey(msg.messageId));
+    if (!recorded || recorded !== authorTag(msg.to, msg.messageId, senderId, msg.replyToken)) return null;
+    return { queued: null, sealed: Boolean(msg.replyToken) };
+}
+
+// ─── Sesiones reanudables ────────────────────────────────────────────
+//  session:{token}   string   userId dueño de la sesión
+//
+//  Cada socket registrado recibe un token. Al reconectar, el cliente lo
+//  presenta con el mayor seq que ya mostró (`cursor`) y solo recibe lo
+//  posterior. Es un atajo, no una credencial: el register sigue
+//  exigiendo la firma, y un token caducado o ajeno solo implica
+//  entregar la cola completa.
+
+function sessionKey(token) {
+    return `session:${token}`;
+}
+
+async function openSession(ownerId) {
+    const token = crypto.randomBytes(24).toString("base64url");
+    await redis.set(sessionKey(token), ownerId, "EX", SESSION_RESUME_TTL_SECONDS);
+    return token;
+}
+
+/** true si `token` es una sesión viva de `ownerId` (y la renueva) */
+async function resumeSession(token, ownerId) {
+    if (!token) return false;
+    const owner = await redis.get(sessionKey(token));
+    if (owner !== ownerId) return false;
+    await redis.expire(sessionKey(token), SESSION_RESUME_TTL_SECONDS);
+    return true;
+}
+
+// ─── Adjuntos ────────────────────────────────────────────────────────
+//  Trozos cifrados en Redis (ver attachments.js). Un adjunto se liga a
+//  los destinatarios al enviar su mensaje y se libera con cada copia
+//  que sale de una cola: vista, caducada o descartada.
+
+/**
+ * Liga `msg.attachment` (si hay) a `readers` hasta `expiresAt`.
+ * Si no es del remitente o le faltan trozos responde
+ * `attachment_rejected` y retorna false.
+ */
+async function linkAttachment(ws, senderId, msg, readers, expiresAt) {
+    if (!msg.attachment) return true;
+    const reason = AttachmentStore.errorReason(
+        await attachments.link(senderId, msg.attachment, readers, expiresAt)
+    );
+    if (!reason) return true;
+    sendError(ws, "attachment_rejected", {
+        ...requestOf(msg),
+        attachmentId: msg.attachment,
+        field: "attachment",
+        reason,
+    });
+    return false;
+}
+
+/** `recipientId` ya no verá estos mensajes: suelta sus adjuntos */
+async function releaseAttachments(recipientId, messages) {
+    for (const m of messages) {
+        if (m && m.attachment) await attachments.release(m.attachment, recipientId);
+    }
+}
+
+// ─── Salas ───────────────────────────────────────────────────────────
+//  room:{id}              hash  name, owner, quorum
+//  room:{id}:members      set   userIds
+//  user:{userId}:rooms    set   ids de sala
+//  roommsg:{msgId}        hash  room, from, required, seen
+//  roommsg:{msgId}:pending set  miembros que aún no lo ven
+//  Las copias de cada miembro viven en su cola (ver store.js).
+
+async function loadRoom(roomId) {
+    const [info, members] = await Promise.all([
+        redis.hgetall(`room:${roomId}`),
+        redis.smembers(`room:${roomId}:members`),
+    ]);
+    if (!info || !info.owner) return null;
+    return {
+        id: roomId,
+        name: info.name,
+        owner: info.owner,
+        quorum: parseInt(info.quorum, 10) || null,
+        members: members.sort(),
+    };
+}
+
+function broadcastRoom(room) {
+    for (const m of room.members) {
+        sendToUser(m, { type: "room_update", room });
+    }
+}
+
+/**
+ * Saca a un miembro de la sala, descarta sus copias pendientes de
+ * mensajes de esa sala y avisa al resto. Si el dueño se va, hereda
+ * el primer miembro; una sala vacía se borra.
+ */
+async function removeFromRoom(room, memberId, reason) {
+    await redis.multi()
+        .srem(`room:${room.id}:members`, memberId)
+        .srem(`user:${memberId}:rooms`, room.id)
+        .exec();
+
+    const { messages: queued } = await store.fetchPending(memberId);
+    for (const m of queued) {
+        if (m.room === room.id && await store.take(memberId, m.id)) {
+            await releaseAttachments(memberId, [m]);
+            await settleRoomMessage(m.id, memberId, false);
+        }
+    }
+
+    sendToUser(memberId, { type: "room_removed", room: room.id, reason });
+
+    room.members = room.members.filter((m) => m !== memberId);
+    if (room.members.length === 0) {
+        await redis.del(`room:${room.id}`, `room:${room.id}:members`);
+        return;
+    }
+    if (room.owner === memberId) {
+        room.owner = room.members[0];
+        await redis.hset(`room:${room.id}`, "owner", room.owner);
+    }
+    broadcastRoom(room);
+}
+
+/**
+ * Marca que `memberId` ya no está pendiente para un mensaje de sala
+ * (lo vio, o salió de la sala). Al alcanzar el quórum borra las copias
+ * que aún quedan en las colas de los demás miembros.
+ */
+async function settleRoomMessage(messageId, memberId, seen) {
+    const trackKey = `roommsg:${messageId}`;
+    const pendingKey = `roommsg:${messageId}:pending`;
+
+    if (!(await redis.srem(pendingKey, memberId))) return;
+
+    const seenCount = seen
+        ? await redis.hincrby(trackKey, "seen", 1)
+        : parseInt(await redis.hget(trackKey, "seen"), 10) || 0;
+    const [info, remaining] = await Promise.all([
+        redis.hgetall(trackKey),
+        redis.smembers(pendingKey),
+    ]);
+    if (!info || !info.from) return;
+
+    const required = parseInt(info.required, 10);
+    const complete = seenCount >= required || remaining.length === 0;
+
+    if (seen) {
+        sendToUser(info.from, {
+            type: "message_seen",
+            messageId,
+            seenBy: memberId,
+            room: info.room,
+            seenCount,
+            required,
+            complete,
+            timestamp: Date.now(),
+        });
+    }
+    if (!complete) return;
+
+    // Solo quien borra el registro limpia las copias restantes
+    if (!(await redis.del(trackKey))) return;
+    await redis.del(pendingKey);
+    for (const other of remaining) {
+        await releaseAttachments(other, [await store.take(other, messageId)]);
+    }
+}
+
+/**
+ * Entrega los mensajes pendientes almacenados en Redis cuando un
+ * usuario se conecta/registra: todos, o solo los de seq > `afterSeq`
+ * si reanuda una sesión.
+ */
+async function deliverPending(userId, ws, afterSeq = 0) {
+    // Los caducados que el barrido aún no borró no se entregan
+    const now = Date.now();
+    const { messages: queued, dropped } = await store.fetchPending(userId, afterSeq);
+    const messages = queued.filter((m) => !m.expiresAt || m.expiresAt > now).map(withoutReplyToken);
+
+    // `dropped`: sellados con una clave que ya no existe (p. ej. el
+    // servidor se reinició sin STORE_SEAL_SECRET); ya no están en la cola
+    if (messages.length > 0 || dropped > 0) {
         ws.send(
             JSON.stringify({
                 type: "pending_messages",
                 messages,
                 count: messages.length,
-            })
+                ...(dropped > 0 ? { dropped } : {}),
+            }),
+            (err) => { if (!err) confirmDelivery(userId, messages); }
         );
         // pending messages delivered — no log
     }
 }
 
+// ─── Presencia ───────────────────────────────────────────────────────
+//  Solo en memoria (ver presence.js). Cada nodo anuncia el estado de sus
+//  usuarios locales por el canal `cluster` y lo refresca periódicamente.
+
+/** Mejor estado entre los sockets locales de `targetId` que comparten */
+function localPresence(targetId) {
+    let status = "offline";
+    for (const sock of clients.get(targetId) || []) {
+        const own = socketPresence.get(sock);
+        if (!own || !own.share) continue;
+        if (own.status === "online") return "online";
+        status = own.status;
+    }
+    return status;
+}
+
+function presenceEvent(targetId) {
+    return { type: "presence", userId: targetId, ...board.get(targetId) };
+}
+
+function notifyWatchers(targetId) {
+    const sockets = watchers.get(targetId);
+    if (!sockets) return;
+    const data = JSON.stringify(presenceEvent(targetId));
+    for (const sock of sockets) {
+        if (sock.readyState === 1) sock.send(data);
+    }
+}
+
+function unwatch(targetId, ws) {
+    const sockets = watchers.get(targetId);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) watchers.delete(targetId);
+}
+
+/** Recalcula el estado local de `targetId` y lo anuncia si cambió */
+function publishPresence(targetId) {
+    const status = localPresence(targetId);
+    if (board.reported(targetId, NODE_ID) === status) return;
+    if (board.report(targetId, NODE_ID, status)) notifyWatchers(targetId);
+    cluster.broadcast({ kind: "presence", entries: [[targetId, status]] }).catch(() => { /* silent */ });
+}
+
+/** Re-anuncia todos los usuarios locales visibles (refresco y nodos nuevos) */
+function announcePresence() {
+    const entries = [];
+    for (const targetId of clients.keys()) {
+        const status = localPresence(targetId);
+        if (status === "offline") continue;
+        board.report(targetId, NODE_ID, status);
+        entries.push([targetId, status]);
+    }
+    if (entries.length > 0) {
+        cluster.broadcast({ kind: "presence", entries }).catch(() => { /* silent */ });
+    }
+}
+
+function handleClusterEvent(event) {
+    if (event.kind === "presence" && Array.isArray(event.entries)) {
+        for (const [targetId, status] of event.entries) {
+            if (typeof targetId !== "string" || !["online", "away", "offline"].includes(status)) continue;
+            if (board.report(targetId, event.from, status)) notifyWatchers(targetId);
+        }
+    } else if (event.kind === "presence_sync") {
+        announcePresence();
+    } else if (event.kind === "reply" && typeof event.token === "string") {
+        deliverReply(event.token).catch(() => { /* silent */ });
+    } else if (event.kind === "seal_check") {
+        checkSeal(event);
+    }
+}
+
+// ─── Sellado entre réplicas ──────────────────────────────────────────
+//  Una réplica solo abre la cola que sellan las demás si todas derivan
+//  las claves del mismo STORE_SEAL_SECRET; si no, lo que se encola en
+//  una se descarta como `dropped` al entregarlo otra. Al arrancar cada
+//  réplica publica la huella de su secreto y las demás contestan con la
+//  suya: si no coinciden, o falta, se avisa por stderr.
+
+let sealWarned = false;
+
+function announceSeal(reply = false) {
+    cluster.broadcast({ kind: "seal_check", fingerprint: sealer.fingerprint(), reply }).catch(() => { /* silent */ });
+}
+
+function checkSeal(event) {
+    const mine = sealer.fingerprint();
+    if (!sealWarned && (mine === null || event.fingerprint !== mine)) {
+        sealWarned = true;
+        console.error(mine === null
+            ? "⚠  Hay otras réplicas y STORE_SEAL_SECRET no está definido: cada una sella la cola con su propia clave y los mensajes que entregue otra réplica se PIERDEN. Define el mismo STORE_SEAL_SECRET en todas."
+            : "⚠  Otra réplica usa un STORE_SEAL_SECRET distinto (o ninguno): los mensajes que entregue se PIERDEN. Define el mismo STORE_SEAL_SECRET en todas.");
+    }
+    if (!event.reply) announceSeal(true);
+}
+
+// ─── Caducidad ───────────────────────────────────────────────────────
+
 /**
- * Busca un mensaje por ID en la lista Redis del usuario y lo elimina.
- * Retorna el mensaje eliminado o null si no se encontró.
- *
- * Estrategia: recorrer la lista, encontrar el mensaje, usar LREM para borrarlo.
- * Esto es O(n) pero aceptable para colas de mensajes cortas (chat volátil).
+ * TTL en segundos pedido por el remitente (el esquema ya garantiza un
+ * entero ≥ 1 o null), acotado al máximo configurado.
  */
-async function deleteMessageFromRedis(userId, messageId) {
-    const redisKey = `chat:${userId}`;
-    const allMessages = await redis.lrange(redisKey, 0, -1);
+function resolveTtl(ttl) {
+    if (ttl == null) return Math.min(MESSAGE_TTL_DEFAULT_SECONDS, MESSAGE_TTL_MAX_SECONDS);
+    return Math.min(ttl, MESSAGE_TTL_MAX_SECONDS);
+}
 
-    for (const raw of allMessages) {
-        try {
-            const parsed = JSON.parse(raw);
-            if (parsed.id === messageId) {
-                // LREM elimina la primera ocurrencia exacta del valor
-                await redis.lrem(redisKey, 1, raw);
-                return parsed;
-            }
-        } catch { }
+/**
+ * Borra los mensajes caducados y avisa a los remitentes conectados con
+ * `message_expired`. Cada entrada la procesa un solo barrido, así que
+ * varias instancias no duplican avisos.
+ */
+async function sweepExpired() {
+    const claimed = await store.claimExpired(Date.now(), EXPIRY_SWEEP_BATCH);
+
+    for (const { userId: recipientId, messageId } of claimed) {
+        const expired = await store.take(recipientId, messageId);
+        if (!expired) continue;
+        await releaseAttachments(recipientId, [expired]);
+
+        if (expired.room) await settleRoomMessage(messageId, recipientId, false);
+        const notice = {
+            type: "message_expired",
+            messageId,
+            to: recipientId,
+            room: expired.room,
+            expiresAt: expired.expiresAt,
+        };
+        if (expired.sealed) {
+            await notifyReply(expired.replyToken, { ...notice, sealed: true });
+        } else {
+            sendToUser(expired.from, notice);
+        }
     }
-    return null;
 }
 
 // ─── Start ───────────────────────────────────────────────────────────
-server.listen(PORT, () => {
-    // Server running — no identifying logs
+cluster.start().then(() => {
+    server.listen(PORT, () => {
+        // Server running — no identifying logs
+    });
+    // Pedir a las demás réplicas el estado de sus usuarios
+    cluster.broadcast({ kind: "presence_sync" }).catch(() => { /* silent */ });
+    announceSeal();
+});
+
+setInterval(() => {
+    sweepExpired().catch(() => { /* silent — se reintenta en el próximo barrido */ });
+}, EXPIRY_SWEEP_INTERVAL_MS);
+
+// Rotar la clave de sellado y pasar la cola a la nueva dentro de la ventana
+setInterval(() => {
+    if (sealer.tick()) store.resealAll().catch(() => { /* silent */ });
+}, EXPIRY_SWEEP_INTERVAL_MS);
+
+setInterval(() => {
+    refreshIdentities().catch(() => { /* silent — se reintenta en la próxima vuelta */ });
+}, IDENTITY_REFRESH_MS);
+
+setInterval(() => {
+    announcePresence();
+    for (const targetId of board.expire()) notifyWatchers(targetId);
+}, PRESENCE_REFRESH_MS);
+
+// Al parar, liberar la presencia de este nodo para que nadie le enrute
+// (sin esperar más de SHUTDOWN_TIMEOUT_MS: con Redis caído no respondería)
+process.on("SIGTERM", () => {
+    sealer.destroy();
+    const giveUp = new Promise((resolve) => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS));
+    Promise.race([cluster.stop(), giveUp]).catch(() => { }).finally(() => process.exit(0));
 });
@@ -0,0 +1,326 @@
+// ─── Cola de mensajes por destinatario (Redis) ───────────────────────
+//
+//  chat:{userId}:msgs    hash    id → mensaje sellado (ver seal.js)
+//  chat:{userId}:order   zset    id → seq (orden de llegada)
+//  chat:{userId}:seq     string  contador de seq del usuario
+//  chat:{userId}:bytes   string  bytes guardados en cola (para el tope)
+//  chat:expiry           zset    "{id}:{userId}" → expiresAt (ms)
+//
+//  Cada operación es un script Lua: atómica frente a otros sockets o
+//  instancias, y `take` borra un mensaje sin recorrer la cola
+//  (HDEL O(1) + ZREM O(log n)).
+//
+//  Con un `sealer` (RecordSealer) los mensajes se guardan sellados y
+//  se abren al leerlos; lo que ya no se puede abrir (claves de un
+//  proceso anterior) se descarta al entregar la cola. Sin él, JSON.
+
+const EXPIRY_KEY = "chat:expiry";
+
+// Lo que retorna enqueue cuando la cola del destinatario está llena
+const QUEUE_FULL = { MESSAGES: -1, BYTES: -2 };
+
+// Descuenta bytes de la cola; si quedó vacía borra el contador, así
+// cualquier desfase (p. ej. colas anteriores al tope) se corrige solo
+const RELEASE_BYTES = (amount) => `
+            if redis.call("HLEN", KEYS[1]) == 0 then
+                redis.call("DEL", KEYS[4])
+            else
+                redis.call("DECRBY", KEYS[4], ${amount})
+            end`;
+
+const SCRIPTS = {
+    // KEYS: msgs, order, seq, expiry, bytes
+    // ARGV: id, payload, expiresAt, expiryMember, maxMessages, maxBytes (0 = sin tope)
+    // Retorna el seq, o QUEUE_FULL si no cabe (y no toca nada)
+    enqueueMessage: {
+        numberOfKeys: 5,
+        lua: `
+            local maxMessages = tonumber(ARGV[5])
+            local maxBytes = tonumber(ARGV[6])
+            if maxMessages > 0 and redis.call("HLEN", KEYS[1]) >= maxMessages then
+                return ${QUEUE_FULL.MESSAGES}
+            end
+            local size = string.len(ARGV[2])
+            local queued = tonumber(redis.call("GET", KEYS[5]) or "0")
+            if maxBytes > 0 and queued + size > maxBytes then
+                return ${QUEUE_FULL.BYTES}
+            end
+            local seq = redis.call("INCR", KEYS[3])
+            redis.call("HSET", KEYS[1], ARGV[1], ARGV[2])
+            redis.call("ZADD", KEYS[2], seq, ARGV[1])
+            redis.call("ZADD", KEYS[4], ARGV[3], ARGV[4])
+            redis.call("INCRBY", KEYS[5], size)
+            return seq
+        `,
+    },
+
+    // KEYS: msgs, order — ARGV: afterSeq
+    // Retorna { seq1, id1, payload1, seq2, id2, payload2, ... } en orden de llegada
+    fetchMessages: {
+        numberOfKeys: 2,
+        lua: `
+            local ids = redis.call("ZRANGEBYSCORE", KEYS[2], "(" .. ARGV[1], "+inf", "WITHSCORES")
+            local out = {}
+            for i = 1, #ids, 2 do
+                local payload = redis.call("HGET", KEYS[1], ids[i])
+                if payload then
+                    out[#out + 1] = ids[i + 1]
+                    out[#out + 1] = ids[i]
+                    out[#out + 1] = payload
+                end
+            end
+            return out
+        `,
+    },
+
+    // KEYS: msgs, order, expiry, bytes — ARGV: id, expiryMember
+    takeMessage: {
+        numberOfKeys: 4,
+        lua: `
+            local payload = redis.call("HGET", KEYS[1], ARGV[1])
+            if not payload then return false end
+            redis.call("HDEL", KEYS[1], ARGV[1])
+            redis.call("ZREM", KEYS[2], ARGV[1])
+            redis.call("ZREM", KEYS[3], ARGV[2])
+            ${RELEASE_BYTES("string.len(payload)")}
+            return payload
+        `,
+    },
+
+    // KEYS: msgs, order, expiry, bytes — ARGV: userId, upTo ("" = ninguno), id1, id2, ...
+    // Saca los mensajes con seq <= upTo más los ids indicados; solo toca
+    // lo que el cliente confirmó, nunca lo que llegó después.
+    // Retorna { id1, payload1, id2, payload2, ... }
+    takeMessages: {
+        numberOfKeys: 4,
+        lua: `
+            local ids = {}
+            if ARGV[2] ~= "" then
+                ids = redis.call("ZRANGEBYSCORE", KEYS[2], "-inf", ARGV[2])
+            end
+            for i = 3, #ARGV do ids[#ids + 1] = ARGV[i] end
+            local out = {}
+            local freed = 0
+            for _, id in ipairs(ids) do
+                local payload = redis.call("HGET", KEYS[1], id)
+                if payload then
+                    out[#out + 1] = id
+                    out[#out + 1] = payload
+                    freed = freed + string.len(payload)
+                    redis.call("HDEL", KEYS[1], id)
+                    redis.call("ZREM", KEYS[2], id)
+                    redis.call("ZREM", KEYS[3], id .. ":" .. ARGV[1])
+                end
+            end
+            ${RELEASE_BYTES("freed")}
+            return out
+        `,
+    },
+
+    // KEYS: msgs, bytes — ARGV: id, registro actual, registro nuevo
+    // Cambia el registro solo si nadie lo tocó mientras tanto
+    replaceMessage: {
+        numberOfKeys: 2,
+        lua: `
+            if redis.call("HGET", KEYS[1], ARGV[1]) ~= ARGV[2] then return 0 end
+            redis.call("HSET", KEYS[1], ARGV[1], ARGV[3])
+            redis.call("INCRBY", KEYS[2], string.len(ARGV[3]) - string.len(ARGV[2]))
+            return 1
+        `,
+    },
+};
+
+class MessageStore {
+    /**
+     * @param {Redis} redis
+     * @param {object} [limits]  tope por cola de destinatario (0 = sin tope)
+     * @param {number} [limits.maxMessages]
+     * @param {number} [limits.maxBytes]  bytes guardados (sellados)
+     * @param {RecordSealer} [limits.sealer]  sella cada mensaje (seal.js)
+     */
+    constructor(redis, { maxMessages = 0, maxBytes = 0, sealer = null } = {}) {
+        this.redis = redis;
+        this.maxMessages = maxMessages;
+        this.maxBytes = maxBytes;
+        this.sealer = sealer;
+        for (const [name, definition] of Object.entries(SCRIPTS)) {
+            redis.defineCommand(name, definition);
+        }
+    }
+
+    static keys(userId) {
+        return {
+            msgs: `chat:${userId}:msgs`,
+            order: `chat:${userId}:order`,
+            seq: `chat:${userId}:seq`,
+            bytes: `chat:${userId}:bytes`,
+        };
+    }
+
+    static expiryMember(userId, messageId) {
+        // messageId es un UUID (sin ':'), así el userId puede contener cualquier cosa
+        return `${messageId}:${userId}`;
+    }
+
+    pack(message) {
+        return this.sealer ? this.sealer.seal(message.id, message) : JSON.stringify(message);
+    }
+
+    /** El mensaje guardado bajo `id`, o null si no se puede abrir */
+    unpack(id, raw) {
+        if (this.sealer) return this.sealer.open(id, raw);
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Encola `message` para `message.to`. Con `tx` (MULTI de ioredis) solo
+     * añade el comando a la transacción; si no, lo ejecuta y retorna el seq.
+     * Si la cola está llena el resultado es QUEUE_FULL.MESSAGES o
+     * QUEUE_FULL.BYTES (ver MessageStore.fullReason).
+     */
+    enqueue(message, tx = this.redis) {
+        const k = MessageStore.keys(message.to);
+        return tx.enqueueMessage(
+            k.msgs, k.order, k.seq, EXPIRY_KEY, k.bytes,
+            message.id,
+            this.pack(message),
+            message.expiresAt,
+            MessageStore.expiryMember(message.to, message.id),
+            this.maxMessages,
+            this.maxBytes
+        );
+    }
+
+    /** "messages" / "bytes" si `seq` indica cola llena, si no null */
+    static fullReason(seq) {
+        if (seq === QUEUE_FULL.MESSAGES) return "messages";
+        if (seq === QUEUE_FULL.BYTES) return "bytes";
+        return null;
+    }
+
+    /**
+     * Mensajes en cola con seq > afterSeq, en orden de llegada.
+     * Cada mensaje incluye su `seq`. Los que ya no se pueden abrir se
+     * sacan de la cola: `dropped` dice cuántos.
+     * Retorna { messages, dropped }.
+     */
+    async fetchPending(userId, afterSeq = 0) {
+        const k = MessageStore.keys(userId);
+        const flat = await this.redis.fetchMessages(k.msgs, k.order, afterSeq);
+        const messages = [];
+        const unreadable = [];
+        for (let i = 0; i < flat.length; i += 3) {
+            const message = this.unpack(flat[i + 1], flat[i + 2]);
+            if (message) messages.push({ ...message, seq: Number(flat[i]) });
+            else unreadable.push(flat[i + 1]);
+        }
+        let dropped = 0;
+        if (unreadable.length > 0) {
+            const raws = await this.redis.takeMessages(k.msgs, k.order, EXPIRY_KEY, k.bytes, userId, "", ...unreadable);
+            dropped = raws.length / 2;
+        }
+        return { messages, dropped };
+    }
+
+    /**
+     * Saca un mensaje de la cola (y del índice de caducidad).
+     * Retorna el mensaje o null si ya no estaba.
+     */
+    async take(userId, messageId) {
+        const k = MessageStore.keys(userId);
+        const raw = await this.redis.takeMessage(
+            k.msgs, k.order, EXPIRY_KEY, k.bytes, messageId, MessageStore.expiryMember(userId, messageId)
+        );
+        if (!raw) return null;
+        return this.unpack(messageId, raw);
+    }
+
+    /**
+     * Lee un mensaje sin sacarlo de la cola.
+     * Retorna { message, raw } (raw para `replace`) o null si no está
+     * o ya no se puede abrir.
+     */
+    async peek(userId, messageId) {
+        const raw = await this.redis.hget(MessageStore.keys(userId).msgs, messageId);
+        const message = raw && this.unpack(messageId, raw);
+        return message ? { message, raw } : null;
+    }
+
+    /**
+     * Sustituye el mensaje leído con `peek` por `message` (mismo id,
+     * mismo seq y misma caducidad). Retorna false si entretanto salió de
+     * la cola o cambió.
+     */
+    async replace(userId, raw, message) {
+        const k = MessageStore.keys(userId);
+        return (await this.redis.replaceMessage(k.msgs, k.bytes, message.id, raw, this.pack(message))) === 1;
+    }
+
+    /**
+     * Saca de forma atómica los mensajes con seq <= `upTo` y los de
+     * `messageIds` (cualquiera de los dos puede omitirse).
+     * Retorna los mensajes que seguían en la cola.
+     */
+    async takeAcknowledged(userId, { upTo = null, messageIds = [] } = {}) {
+        const k = MessageStore.keys(userId);
+        const flat = await this.redis.takeMessages(
+            k.msgs, k.order, EXPIRY_KEY, k.bytes, userId, upTo === null ? "" : upTo, ...messageIds
+        );
+        const messages = [];
+        for (let i = 0; i < flat.length; i += 2) {
+            const message = this.unpack(flat[i], flat[i + 1]);
+            if (message) messages.push(message);
+        }
+        return messages;
+    }
+
+    /**
+     * Tras rotar la clave del sealer, vuelve a sellar con la vigente todo
+     * lo que sigue en cola (lo recorre por el índice de caducidad). Lo que
+     * ya no se puede abrir se deja: lo descarta la entrega o el barrido.
+     * Retorna cuántos registros cambió.
+     */
+    async resealAll(batch = 100) {
+        if (!this.sealer) return 0;
+        let resealed = 0;
+        let cursor = "0";
+        do {
+            const [next, flat] = await this.redis.zscan(EXPIRY_KEY, cursor, "COUNT", batch);
+            cursor = next;
+            for (let i = 0; i < flat.length; i += 2) {
+                const member = flat[i];
+                const sep = member.indexOf(":");
+                const messageId = member.slice(0, sep);
+                const k = MessageStore.keys(member.slice(sep + 1));
+                const raw = await this.redis.hget(k.msgs, messageId);
+                if (!raw || this.sealer.isCurrent(raw)) continue;
+                const message = this.sealer.open(messageId, raw);
+                if (!message) continue;
+                resealed += await this.redis.replaceMessage(k.msgs, k.bytes, messageId, raw, this.sealer.seal(messageId, message));
+            }
+        } while (cursor !== "0");
+        return resealed;
+    }
+
+    /**
+     * Reclama hasta `limit` entradas caducadas. ZREM decide quién procesa
+     * cada una, así que varios barridos concurrentes no se pisan.
+     * Retorna [{ userId, messageId }].
+     */
+    async claimExpired(now, limit) {
+        const due = await this.redis.zrangebyscore(EXPIRY_KEY, "-inf", now, "LIMIT", 0, limit);
+        const claimed = [];
+        for (const member of due) {
+            if (!(await this.redis.zrem(EXPIRY_KEY, member))) continue;
+            const sep = member.indexOf(":");
+            claimed.push({ messageId: member.slice(0, sep), userId: member.slice(sep + 1) });
+        }
+        return claimed;
+    }
+}
+
+module.exports = { MessageStore, EXPIRY_KEY, QUEUE_FULL };
@@ -0,0 +1,76 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────
+//  Microbenchmark: decrypting a pending_messages batch
+//  with the shared password, per-message PBKDF2 (encryptWithPassword)
+//  vs. the cached keyring (createPasswordKeyring).
+//  Runs crypto-browser.js on Node's Web Crypto.
+//  Run with:  node bench-keyring.js [batch sizes…]   (default: 10 50)
+// ─────────────────────────────────────────────────────────────
+
+const CryptoBrowser = require('./crypto-browser');
+
+const PASSWORD = 'clave compartida';
+const CONVERSATION = 'alice>bob';
+const SIZES = process.argv.slice(2).map(Number).filter((n) => n > 0);
+if (SIZES.length === 0) SIZES.push(10, 50);
+
+async function timed(fn) {
+    const start = process.hrtime.bigint();
+    await fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function texts(size) {
+    return Array.from({ length: size }, (_, i) => `mensaje ${i} `.repeat(8));
+}
+
+// ── Per-message PBKDF2 (envelope v1) ──
+
+async function benchPassword(size) {
+    const batch = [];
+    for (const text of texts(size)) batch.push(await CryptoBrowser.encryptWithPassword(text, PASSWORD));
+    return timed(async () => {
+        for (const payload of batch) await CryptoBrowser.decryptWithPassword(payload, PASSWORD);
+    });
+}
+
+// ── Keyring (envelope v2): a fresh reader, as after a reconnect ──
+
+async function benchKeyring(size) {
+    const writer = CryptoBrowser.createPasswordKeyring(PASSWORD);
+    const batch = [];
+    for (const text of texts(size)) batch.push(await writer.encrypt(text, CONVERSATION));
+    writer.destroy();
+
+    const reader = CryptoBrowser.createPasswordKeyring(PASSWORD);
+    const ms = await timed(async () => {
+        for (const payload of batch) await reader.decrypt(payload, CONVERSATION);
+    });
+    reader.destroy();
+    return ms;
+}
+
+function row(label, size, ms) {
+    return [
+        label.padEnd(8),
+        String(size).padStart(5),
+        ms.toFixed(1).padStart(10),
+        (ms / size).toFixed(2).padStart(10),
+        (size / (ms / 1000)).toFixed(1).padStart(10),
+    ].join('  ');
+}
+
+async function main() {
+    console.log(`PBKDF2-SHA-512, ${CryptoBrowser.PBKDF2_ITERATIONS} iterations`);
+    console.log('mode       msgs  total(ms)   ms/msg     msgs/s');
+    for (const size of SIZES) {
+        console.log(row('password', size, await benchPassword(size)));
+        console.log(row('keyring', size, await benchKeyring(size)));
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
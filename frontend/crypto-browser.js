@@ -12,6 +12,44 @@ const CryptoBrowser = (() => {
     const SALT_LENGTH = 32;
     const KEY_LENGTH = 32;
     const PBKDF2_ITERATIONS = 100_000; // browser-friendly; still strong
+    const PBKDF2_MAX_ITERATIONS = 10_000_000;
+    const LEGACY_NODE_ITERATIONS = 600_000; // pre-envelope crypto-module.js payloads
+    const ENVELOPE_MAGIC = [0x56, 0x43, 0x45]; // 'VCE'
+    const ENVELOPE_VERSION = 0x01;
+    const KEYRING_VERSION = 0x02;
+    const PADDED_FLAG = 0x80;
+    const KEYRING_INFO = 'volatile-chat:message:v1';
+    const MESSAGE_SALT_LENGTH = 16;
+    const KEYRING_MAX_MASTERS = 64;
+    const AEAD_AES_256_GCM = 0x01;
+    const KDF_TARGET_MS = 500;
+    const KDF_MAX_MEMORY = 256 * 1024 * 1024;
+    // Most a received envelope may make us spend; its header is not authenticated until after the KDF runs
+    const KDF_ACCEPT = Object.freeze({ maxMemory: 128 * 1024 * 1024, maxIterations: 2_000_000, maxPasses: 4, maxLanes: 4 });
+    const CONVERSATION_INFO = 'volatile-chat:conversation:v1';
+    const RATCHET_INFO = 'volatile-chat:ratchet:v1';
+    const SEALED_SENDER_VERSION = 0x01;
+    const SEALED_SENDER_INFO = 'volatile-chat:sealed-sender:v1';
+    const PADDING_POLICIES = ['none', 'padme', 'buckets'];
+    const PADDING_MARKER = 0x80;
+    const PADDING_BUCKETS = [64, 256, 1024, 4096, 16384];
+    const P256_SPKI_LENGTH = 91;
+    const RATCHET_ROOT_INFO = 'volatile-chat:ratchet:root';
+    const RATCHET_BOOTSTRAP_INFO = 'volatile-chat:ratchet:bootstrap';
+    const MAX_SKIP = 1000;
+    const MAX_SKIPPED_KEYS = 2000;
+    const ATTACHMENT_CHUNK_SIZE = 256 * 1024;
+    const ATTACHMENT_INFO = 'volatile-chat:attachment';
+    const SAFETY_NUMBER_VERSION = 0;
+    const SAFETY_NUMBER_ITERATIONS = 5200;
+    const STREAM_VERSION = 0x01;
+    const STREAM_INFO = 'volatile-chat:stream:v1';
+    const STREAM_SALT_LENGTH = 32;
+    const STREAM_NONCE_PREFIX_LENGTH = 7;
+    const STREAM_HEADER_LENGTH = 1 + 4 + STREAM_SALT_LENGTH + STREAM_NONCE_PREFIX_LENGTH;
+    const STREAM_CHUNK_SIZE = 64 * 1024;
+    const STREAM_MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+    const STREAM_MAX_CHUNKS = 2 ** 32;
 
     // ── Helpers ──────────────────────────────────────────────
 
@@ -45,7 +83,7 @@ const CryptoBrowser = (() => {
 
     // ── PBKDF2 Key Derivation ──────────────────────────────
 
-    async function deriveKey(password, salt) {
+    async function deriveKey(password, salt, iterations = PBKDF2_ITERATIONS) {
         const enc = new TextEncoder();
         const keyMaterial = await crypto.subtle.importKey(
             'raw', enc.encode(password), 'PBKDF2', false, ['deriveKey']
@@ -54,62 +92,1105 @@ const CryptoBrowser = (() => {
         const usedSalt = salt || getRandomBytes(SALT_LENGTH);
 
         const key = await crypto.subtle.deriveKey(
-            { name: 'PBKDF2', salt: usedSalt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-512' },
+            { name: 'PBKDF2', salt: usedSalt, iterations, hash: 'SHA-512' },
             keyMaterial,
             { name: 'AES-GCM', length: 256 },
             false,
             ['encrypt', 'decrypt']
         );
 
-        return { key, salt: usedSalt };
+        return { key, salt: usedSalt, iterations };
     }
 
-    // ── AES-256-GCM Encrypt ────────────────────────────────
+    // ── Password KDFs ──────────────────────────────────────
+    //  Same ids, parameter layouts and bounds as crypto-module.js.
+    //  Web Crypto only has PBKDF2; Argon2id and scrypt run on the
+    //  hash-wasm WebAssembly builds the server ships under
+    //  /vendor/hash-wasm/ (global `hashwasm`). argon2-browser's global
+    //  `argon2`, or a function set with useArgon2id, also works.
+
+    let argon2idImpl = null;
+
+    /**
+     * Plugs an Argon2id implementation:
+     *   fn(password: Uint8Array, salt: Uint8Array, { memory (KiB), passes, parallelism })
+     *     → Promise<Uint8Array(32)>
+     * Pass null to fall back to a loaded WASM build.
+     */
+    function useArgon2id(fn) {
+        argon2idImpl = fn;
+    }
+
+    function argon2id() {
+        if (argon2idImpl) return argon2idImpl;
+        const wasm = globalThis.hashwasm;
+        if (wasm && typeof wasm.argon2id === 'function') {
+            return (password, salt, { memory, passes, parallelism }) => wasm.argon2id({
+                password, salt, iterations: passes, memorySize: memory, parallelism, hashLength: KEY_LENGTH, outputType: 'binary',
+            });
+        }
+        const lib = globalThis.argon2;
+        if (!lib || typeof lib.hash !== 'function') return null;
+        return async (pass, salt, { memory, passes, parallelism }) => (await lib.hash({
+            pass, salt, time: passes, mem: memory, parallelism, hashLen: KEY_LENGTH, type: lib.ArgonType.Argon2id,
+        })).hash;
+    }
+
+    function scrypt() {
+        const wasm = globalThis.hashwasm;
+        if (!wasm || typeof wasm.scrypt !== 'function') return null;
+        return (password, salt, { logN, r, p }) => wasm.scrypt({
+            password, salt, costFactor: 2 ** logN, blockSize: r, parallelism: p, hashLength: KEY_LENGTH, outputType: 'binary',
+        });
+    }
+
+    /** KDFs this page can derive with, strongest first (see calibrateKdf). */
+    function availableKdfs() {
+        return [argon2id() && 'argon2id', scrypt() && 'scrypt', 'pbkdf2'].filter(Boolean);
+    }
+
+    const KDFS = {
+        pbkdf2: {
+            id: 0x01,
+            defaults: { iterations: PBKDF2_ITERATIONS },
+            minimum: { iterations: 100_000 },
+            valid: ({ iterations }) => Number.isInteger(iterations) && iterations >= 1 && iterations <= PBKDF2_MAX_ITERATIONS,
+            affordable: ({ iterations }, limits) => iterations <= limits.maxIterations,
+            encode: ({ iterations }) => {
+                const out = new Uint8Array(4);
+                new DataView(out.buffer).setUint32(0, iterations);
+                return out;
+            },
+            decode: (read) => ({ iterations: readUint32(read(4)) }),
+            derive: async (password, salt, { iterations }) => {
+                const material = await crypto.subtle.importKey(
+                    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+                );
+                return new Uint8Array(await crypto.subtle.deriveBits(
+                    { name: 'PBKDF2', salt, iterations, hash: 'SHA-512' }, material, KEY_LENGTH * 8
+                ));
+            },
+            scale: ({ iterations }, factor) => ({ iterations: Math.min(PBKDF2_MAX_ITERATIONS, Math.ceil(iterations * factor)) }),
+        },
+
+        scrypt: {
+            id: 0x02,
+            defaults: { logN: 17, r: 8, p: 1 },
+            minimum: { logN: 15, r: 8, p: 1 },
+            valid: ({ logN, r, p }, maxMemory = KDF_MAX_MEMORY) =>
+                [logN, r, p].every(Number.isInteger) && logN >= 10 && logN <= 24 && r >= 1 && r <= 32 && p >= 1 && p <= 16 &&
+                128 * 2 ** logN * r <= maxMemory,
+            affordable: ({ logN, r, p }, limits) => 128 * 2 ** logN * r <= limits.maxMemory && p <= limits.maxLanes,
+            encode: ({ logN, r, p }) => new Uint8Array([logN, r, p]),
+            decode: (read) => {
+                const [logN, r, p] = read(3);
+                return { logN, r, p };
+            },
+            derive: async (password, salt, params) => {
+                const impl = scrypt();
+                if (!impl) throw new Error('scrypt is not available: load the hash-wasm WASM build.');
+                return new Uint8Array(await impl(new TextEncoder().encode(password), salt, params));
+            },
+            // Memory and time both double with N
+            scale: ({ logN, r, p }, factor) => ({ logN: logN + Math.max(1, Math.floor(Math.log2(factor))), r, p }),
+        },
+
+        argon2id: {
+            id: 0x03,
+            defaults: { memory: 64 * 1024, passes: 3, parallelism: 1 },
+            minimum: { memory: 19 * 1024, passes: 2, parallelism: 1 },
+            valid: ({ memory, passes, parallelism }, maxMemory = KDF_MAX_MEMORY) =>
+                [memory, passes, parallelism].every(Number.isInteger) && memory >= 8 * 1024 && memory * 1024 <= maxMemory &&
+                passes >= 1 && passes <= 16 && parallelism >= 1 && parallelism <= 16,
+            affordable: ({ memory, passes, parallelism }, limits) =>
+                memory * 1024 <= limits.maxMemory && passes <= limits.maxPasses && parallelism <= limits.maxLanes,
+            encode: ({ memory, passes, parallelism }) => {
+                const out = new Uint8Array(6);
+                new DataView(out.buffer).setUint32(0, memory);
+                out[4] = passes;
+                out[5] = parallelism;
+                return out;
+            },
+            decode: (read) => {
+                const bytes = read(6);
+                return { memory: readUint32(bytes), passes: bytes[4], parallelism: bytes[5] };
+            },
+            derive: async (password, salt, params) => {
+                const impl = argon2id();
+                if (!impl) throw new Error('Argon2id is not available: load a WASM build or call useArgon2id.');
+                return new Uint8Array(await impl(new TextEncoder().encode(password), salt, params));
+            },
+            scale: ({ memory, passes, parallelism }, factor, maxMemory) => {
+                const grown = Math.min(Math.floor(maxMemory / 1024), Math.ceil(memory * factor));
+                if (grown > memory) return { memory: grown, passes, parallelism };
+                return { memory, passes: Math.min(16, passes + Math.max(1, Math.round(passes * (factor - 1)))), parallelism };
+            },
+        },
+    };
+
+    const KDF_BY_ID = new Map(Object.entries(KDFS).map(([name, kdf]) => [kdf.id, name]));
+
+    function readUint32(bytes) {
+        return new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+    }
+
+    function kdfOf(name) {
+        const kdf = KDFS[name];
+        if (!kdf) throw new TypeError(`Unknown KDF "${name}".`);
+        return kdf;
+    }
+
+    /** KDF_ACCEPT with the caller's overrides */
+    function acceptLimits(accept) {
+        return { ...KDF_ACCEPT, ...accept };
+    }
+
+    /** Refuses to derive with parameters that cost more than `limits` allow */
+    function checkAffordable(kdf, params, limits) {
+        if (!KDFS[kdf].affordable(params, limits)) {
+            throw new RangeError(`The ${kdf} parameters cost more than this reader accepts.`);
+        }
+    }
+
+    /**
+     * Derives a non-extractable AES-GCM key from a password with any
+     * supported KDF. Options: kdf ('pbkdf2' default, 'argon2id', 'scrypt'), salt,
+     * and cost parameters (missing ones take the KDF's defaults).
+     * Returns { key, salt, kdf, params }.
+     */
+    async function derivePasswordKey(password, { kdf = 'pbkdf2', salt, ...params } = {}) {
+        if (!password || typeof password !== 'string') {
+            throw new TypeError('Password must be a non-empty string.');
+        }
+        const impl = kdfOf(kdf);
+        const used = { ...impl.defaults, ...params };
+        if (!impl.valid(used)) throw new RangeError(`Invalid ${kdf} parameters.`);
+
+        const usedSalt = salt || getRandomBytes(SALT_LENGTH);
+        const raw = await impl.derive(password, usedSalt, used);
+        const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+        raw.fill(0);
+        return { key, salt: usedSalt, kdf, params: used };
+    }
+
+    /**
+     * Picks cost parameters for `kdf` that take about `targetMs` to derive
+     * on this device (see crypto-module.js). Options: targetMs, maxMemory
+     * (default 128 MiB), accept (the readers' KDF_ACCEPT overrides).
+     * Returns { kdf, ...params }, ready for encryptWithPassword.
+     */
+    async function calibrateKdf(kdf, { targetMs = KDF_TARGET_MS, maxMemory, accept } = {}) {
+        const impl = kdfOf(kdf);
+        if (!availableKdfs().includes(kdf)) throw new Error(`${kdf} is not available in this browser.`);
+        const limits = acceptLimits(accept);
+        const cap = Math.min(maxMemory ?? limits.maxMemory, limits.maxMemory);
+        const fits = (params) => impl.valid(params, cap) && impl.affordable(params, limits);
+        if (!fits(impl.minimum)) throw new RangeError(`maxMemory is below the ${kdf} minimum.`);
+        const salt = getRandomBytes(SALT_LENGTH);
+        let params = impl.minimum;
+
+        for (;;) {
+            const start = performance.now();
+            await impl.derive('calibration', salt, params);
+            const elapsed = performance.now() - start;
+            if (elapsed >= targetMs * 0.9) break;
+
+            const next = impl.scale(params, Math.max(1.1, targetMs / Math.max(elapsed, 1)), cap);
+            if (!fits(next) || JSON.stringify(next) === JSON.stringify(params)) break;
+            params = next;
+        }
+        return { kdf, ...params };
+    }
+
+    // ── Padding ────────────────────────────────────────────
+    //  Byte-compatible with crypto-module.js, which documents the
+    //  PADMÉ and bucket policies and how the padded flag is bound.
+
+    /** Padded length (marker included) of a `length`-byte plaintext. */
+    function paddedLength(length, policy) {
+        const total = length + 1;
+        if (policy === 'padme') {
+            if (total < 2) return total;
+            const e = Math.floor(Math.log2(total));
+            const step = 2 ** (e - Math.floor(Math.log2(e)) - 1);
+            return Math.ceil(total / step) * step;
+        }
+        if (policy === 'buckets') {
+            const largest = PADDING_BUCKETS[PADDING_BUCKETS.length - 1];
+            return PADDING_BUCKETS.find((size) => size >= total) || Math.ceil(total / largest) * largest;
+        }
+        throw new RangeError(`Unknown padding policy: ${policy}.`);
+    }
+
+    /** data | 0x80 | 0x00… up to paddedLength; 'none' returns it unchanged. */
+    function padPlaintext(data, policy) {
+        if (policy === 'none') return data;
+        const out = new Uint8Array(paddedLength(data.length, policy));
+        out.set(data);
+        out[data.length] = PADDING_MARKER;
+        return out;
+    }
+
+    /** Strips the padding. Call only on authenticated plaintext. */
+    function unpadPlaintext(data) {
+        let end = data.length - 1;
+        while (end >= 0 && data[end] === 0x00) end--;
+        if (end < 0 || data[end] !== PADDING_MARKER) throw new Error('Invalid padding.');
+        return data.subarray(0, end);
+    }
+
+    function checkPadding(policy) {
+        if (!PADDING_POLICIES.includes(policy)) throw new RangeError(`Unknown padding policy: ${policy}.`);
+        return policy !== 'none';
+    }
+
+    function decodePlaintext(plainBuf, padded) {
+        const bytes = new Uint8Array(plainBuf);
+        return new TextDecoder().decode(padded ? unpadPlaintext(bytes) : bytes);
+    }
+
+    // ── Password envelope ──────────────────────────────────
+    //  Byte-compatible with crypto-module.js, which documents the
+    //  layout and the legacy formats decryptWithPassword still reads.
+
+    function envelopeHeader(kdf, params, salt, version = ENVELOPE_VERSION) {
+        const impl = KDFS[kdf];
+        return concatBuffers(
+            new Uint8Array([...ENVELOPE_MAGIC, version, impl.id]), impl.encode(params),
+            new Uint8Array([salt.length]), salt, new Uint8Array([AEAD_AES_256_GCM])
+        );
+    }
+
+    // Null for payloads without the magic (legacy); throws on a bad header
+    function parseEnvelope(data) {
+        if (data.length < ENVELOPE_MAGIC.length || ENVELOPE_MAGIC.some((b, i) => data[i] !== b)) return null;
+        let offset = ENVELOPE_MAGIC.length;
+        const need = (n) => {
+            if (data.length < offset + n) throw new Error('Envelope is truncated.');
+            offset += n;
+            return data.subarray(offset - n, offset);
+        };
+
+        const versionByte = need(1)[0];
+        const version = versionByte & ~PADDED_FLAG;
+        if (version !== ENVELOPE_VERSION && version !== KEYRING_VERSION) throw new Error('Unsupported envelope version.');
+        const kdf = KDF_BY_ID.get(need(1)[0]);
+        if (!kdf) throw new Error('Unsupported envelope KDF.');
+        const params = KDFS[kdf].decode(need);
+        if (!KDFS[kdf].valid(params)) throw new Error(`Invalid ${kdf} parameters.`);
+        const salt = need(need(1)[0]);
+        if (salt.length < 16) throw new Error('Envelope salt is too short.');
+        if (need(1)[0] !== AEAD_AES_256_GCM) throw new Error('Unsupported envelope cipher.');
+
+        const header = data.slice(0, offset);
+        const messageSalt = version === KEYRING_VERSION ? need(MESSAGE_SALT_LENGTH).slice() : null;
+        const iv = need(IV_LENGTH);
+        if (data.length < offset + AUTH_TAG_LENGTH) throw new Error('Envelope is truncated.');
+        return {
+            header, version, padded: (versionByte & PADDED_FLAG) !== 0,
+            kdf, params, salt: salt.slice(), messageSalt, iv: iv.slice(), ciphertextWithTag: data.slice(offset),
+        };
+    }
 
     /**
      * Encrypts plaintext with a password.
-     * Output: base64( Salt[32] | IV[12] | Ciphertext+AuthTag )
+     * Output: base64( password envelope ). Options: KDF and cost, as
+     * for derivePasswordKey (e.g. { iterations } or a calibrateKdf result),
+     * plus `padding` (one of PADDING_POLICIES, default 'none').
      */
-    async function encryptWithPassword(plaintext, password) {
-        const { key, salt } = await deriveKey(password);
+    async function encryptWithPassword(plaintext, password, { padding = 'none', ...options } = {}) {
+        const padded = checkPadding(padding);
+        const { key, salt, kdf, params } = await derivePasswordKey(password, { ...options, salt: null });
+        const header = envelopeHeader(kdf, params, salt, ENVELOPE_VERSION | (padded ? PADDED_FLAG : 0));
         const iv = getRandomBytes(IV_LENGTH);
-        const enc = new TextEncoder();
 
         const ciphertextWithTag = await crypto.subtle.encrypt(
-            { name: 'AES-GCM', iv, tagLength: AUTH_TAG_LENGTH * 8 },
+            { name: 'AES-GCM', iv, tagLength: AUTH_TAG_LENGTH * 8, additionalData: header },
             key,
-            enc.encode(plaintext)
+            padPlaintext(new TextEncoder().encode(plaintext), padding)
         );
 
-        const packed = concatBuffers(salt, iv, new Uint8Array(ciphertextWithTag));
-        return toBase64(packed);
+        return toBase64(concatBuffers(header, iv, new Uint8Array(ciphertextWithTag)));
     }
 
-    // ── AES-256-GCM Decrypt ────────────────────────────────
-
     /**
-     * Decrypts a base64 payload produced by encryptWithPassword.
+     * Decrypts a payload produced by encryptWithPassword in either module
+     * (base64 string or bytes), including the legacy formats. Envelopes
+     * whose KDF costs more than `accept` (overrides of KDF_ACCEPT) allows
+     * are rejected before deriving anything.
      */
-    async function decryptWithPassword(payload, password) {
-        const data = fromBase64(payload);
+    async function decryptWithPassword(payload, password, { accept } = {}) {
+        const data = typeof payload === 'string' ? fromBase64(payload) : new Uint8Array(payload);
 
+        const envelope = parseEnvelope(data);
+        if (envelope && envelope.version === KEYRING_VERSION) {
+            throw new Error('Keyring envelope: decrypt it with a password keyring.');
+        }
+        if (envelope) {
+            checkAffordable(envelope.kdf, envelope.params, acceptLimits(accept));
+            const { key } = await derivePasswordKey(password, { kdf: envelope.kdf, salt: envelope.salt, ...envelope.params });
+            const plainBuf = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: envelope.iv, tagLength: AUTH_TAG_LENGTH * 8, additionalData: envelope.header },
+                key,
+                envelope.ciphertextWithTag
+            );
+            return decodePlaintext(plainBuf, envelope.padded);
+        }
+        return decryptLegacy(data, password);
+    }
+
+    async function decryptLegacy(data, password) {
         if (data.length < SALT_LENGTH + IV_LENGTH + AUTH_TAG_LENGTH + 1) {
             throw new Error('Payload too short.');
         }
 
         const salt = data.slice(0, SALT_LENGTH);
         const iv = data.slice(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
-        const ciphertext = data.slice(SALT_LENGTH + IV_LENGTH);
+        const rest = data.slice(SALT_LENGTH + IV_LENGTH);
+        const params = { name: 'AES-GCM', iv, tagLength: AUTH_TAG_LENGTH * 8 };
+
+        // Same bytes, two layouts: try the browser one (Ciphertext | Tag) first
+        try {
+            const { key } = await deriveKey(password, salt);
+            return new TextDecoder().decode(await crypto.subtle.decrypt(params, key, rest));
+        } catch {
+            const { key } = await deriveKey(password, salt, LEGACY_NODE_ITERATIONS);
+            const tagFirst = concatBuffers(rest.subarray(AUTH_TAG_LENGTH), rest.subarray(0, AUTH_TAG_LENGTH));
+            return new TextDecoder().decode(await crypto.subtle.decrypt(params, key, tagFirst));
+        }
+    }
+
+    // ── Password keyring (cached master + HKDF subkeys) ────
+    //  Byte-compatible with createPasswordKeyring in crypto-module.js,
+    //  which documents the version 2 envelope. The KDF runs once per
+    //  conversation (ours) or per sender header (theirs); every message
+    //  then costs one HKDF. Keys are non-extractable CryptoKeys.
+
+    /**
+     * Returns { encrypt(plaintext, conversation, { padding }?), decrypt(payload, conversation), destroy() }.
+     * Options: KDF, cost and default `padding` for our messages, as for encryptWithPassword;
+     * kdf 'auto' calibrates the first of availableKdfs() on first use (targetMs, maxMemory);
+     * `accept` overrides KDF_ACCEPT, the most a received header may cost (ours must fit it too).
+     * decrypt also reads version 1 and legacy payloads (one KDF run each).
+     */
+    function createPasswordKeyring(password, options = {}) {
+        if (!password || typeof password !== 'string') {
+            throw new TypeError('Password must be a non-empty string.');
+        }
+        const { padding: defaultPadding = 'none', accept, ...kdfOptions } = options;
+        checkPadding(defaultPadding);
+        const limits = acceptLimits(accept);
+        let secret = password;
+        const own = new Map();    // conversation → Promise<{ header, master }>
+        const known = new Map();  // base64(header, padded bit clear) → Promise<master>, oldest first
+        let chosen = null;        // Promise<{ kdf, ...params }> (see writerKdf)
+
+        function alive() {
+            if (secret === null) throw new Error('Keyring has been destroyed.');
+        }
+
+        function remember(id, master) {
+            known.set(id, master);
+            if (known.size > KEYRING_MAX_MASTERS) known.delete(known.keys().next().value);
+            // A failed derivation (e.g. no Argon2id yet) must not stick
+            master.catch(() => known.get(id) === master && known.delete(id));
+            return master;
+        }
+
+        async function importMaster(kdf, params, salt) {
+            const impl = kdfOf(kdf);
+            if (!impl.valid(params)) throw new RangeError(`Invalid ${kdf} parameters.`);
+            checkAffordable(kdf, params, limits);
+            const raw = await impl.derive(secret, salt, params);
+            const master = await crypto.subtle.importKey('raw', raw, 'HKDF', false, ['deriveKey']);
+            raw.fill(0);
+            return master;
+        }
+
+        // { kdf, ...params } for our masters; 'auto' calibrates once
+        function writerKdf() {
+            if (!chosen) {
+                const { kdf = 'pbkdf2', targetMs, maxMemory, ...params } = kdfOptions;
+                chosen = kdf === 'auto'
+                    ? calibrateKdf(availableKdfs()[0], { targetMs, maxMemory, accept })
+                    : Promise.resolve({ kdf, ...kdfOf(kdf).defaults, ...params });
+                chosen.catch(() => { chosen = null; });
+            }
+            return chosen;
+        }
+
+        function ownMaster(conversation) {
+            if (!own.has(conversation)) {
+                const entry = writerKdf().then(async ({ kdf, ...used }) => {
+                    const salt = getRandomBytes(SALT_LENGTH);
+                    const header = envelopeHeader(kdf, used, salt, KEYRING_VERSION);
+                    const master = remember(toBase64(header), importMaster(kdf, used, salt));
+                    return { header, master: await master };
+                });
+                own.set(conversation, entry);
+                entry.catch(() => own.get(conversation) === entry && own.delete(conversation));
+            }
+            return own.get(conversation);
+        }
+
+        function messageKey(master, messageSalt, conversation) {
+            return crypto.subtle.deriveKey(
+                { name: 'HKDF', hash: 'SHA-256', salt: messageSalt, info: new TextEncoder().encode(`${KEYRING_INFO}|${conversation}`) },
+                master,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        }
+
+        function messageAAD(header, messageSalt, conversation) {
+            return concatBuffers(header, messageSalt, new TextEncoder().encode(conversation));
+        }
+
+        function masterId(header) {
+            const id = header.slice();
+            id[ENVELOPE_MAGIC.length] &= ~PADDED_FLAG;
+            return toBase64(id);
+        }
+
+        async function encrypt(plaintext, conversation, { padding = defaultPadding } = {}) {
+            alive();
+            const padded = checkPadding(padding);
+            const { header: ownHeader, master } = await ownMaster(conversation);
+            const header = ownHeader.slice();
+            if (padded) header[ENVELOPE_MAGIC.length] |= PADDED_FLAG;
+            const messageSalt = getRandomBytes(MESSAGE_SALT_LENGTH);
+            const iv = getRandomBytes(IV_LENGTH);
+            const ciphertextWithTag = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv, tagLength: AUTH_TAG_LENGTH * 8, additionalData: messageAAD(header, messageSalt, conversation) },
+                await messageKey(master, messageSalt, conversation),
+                padPlaintext(new TextEncoder().encode(plaintext), padding)
+            );
+            return toBase64(concatBuffers(header, messageSalt, iv, new Uint8Array(ciphertextWithTag)));
+        }
+
+        async function decrypt(payload, conversation) {
+            alive();
+            const data = typeof payload === 'string' ? fromBase64(payload) : new Uint8Array(payload);
+            const envelope = parseEnvelope(data);
+            if (!envelope || envelope.version !== KEYRING_VERSION) return decryptWithPassword(data, secret, { accept });
+
+            const id = masterId(envelope.header);
+            const master = await (known.get(id) || remember(id, importMaster(envelope.kdf, envelope.params, envelope.salt)));
+            const plainBuf = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM', iv: envelope.iv, tagLength: AUTH_TAG_LENGTH * 8,
+                    additionalData: messageAAD(envelope.header, envelope.messageSalt, conversation),
+                },
+                await messageKey(master, envelope.messageSalt, conversation),
+                envelope.ciphertextWithTag
+            );
+            return decodePlaintext(plainBuf, envelope.padded);
+        }
+
+        /** Drops every cached key; the keyring refuses further use. */
+        function destroy() {
+            secret = null;
+            own.clear();
+            known.clear();
+        }
+
+        return { encrypt, decrypt, destroy };
+    }
+
+    // ── Identity (ECDSA P-256) ─────────────────────────────
+
+    /**
+     * Generates the identity key pair used to answer the server's
+     * registration challenge. The private key is non-extractable and
+     * lives only in memory for the duration of the session.
+     * Returns { privateKey, publicKey } where publicKey is base64(SPKI).
+     */
+    async function generateIdentityKeyPair() {
+        const pair = await crypto.subtle.generateKey(
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['sign', 'verify']
+        );
+        const spki = await crypto.subtle.exportKey('spki', pair.publicKey);
+        return { privateKey: pair.privateKey, publicKey: toBase64(new Uint8Array(spki)) };
+    }
+
+    /**
+     * Signs a UTF-8 message with the identity private key.
+     * Output: base64 of the raw (r || s) ECDSA signature.
+     */
+    async function sign(privateKey, message) {
+        const sig = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            privateKey,
+            new TextEncoder().encode(message)
+        );
+        return toBase64(new Uint8Array(sig));
+    }
+
+    /**
+     * Verifies a base64 ECDSA signature made with sign() against a
+     * base64(SPKI) identity public key.
+     */
+    async function verify(publicKey, message, signature) {
+        try {
+            const key = await crypto.subtle.importKey(
+                'spki', fromBase64(publicKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+            );
+            return await crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                key,
+                fromBase64(signature),
+                new TextEncoder().encode(message)
+            );
+        } catch {
+            return false;
+        }
+    }
+
+    // ── Safety numbers ─────────────────────────────────────
+    //  Each side's half: SHA-512 iterated SAFETY_NUMBER_ITERATIONS
+    //  times over (version | identity key | alias), then the first 30
+    //  bytes as six 5-digit groups (40-bit chunks mod 100 000). The
+    //  lower alias' half goes first, so both sides see the same 60
+    //  digits; they only match if nobody swapped an identity key.
+
+    async function fingerprintHalf(id, identityKey) {
+        const key = fromBase64(identityKey);
+        let hash = concatBuffers(new Uint8Array([0, SAFETY_NUMBER_VERSION]), key, new TextEncoder().encode(id));
+        for (let i = 0; i < SAFETY_NUMBER_ITERATIONS; i++) {
+            hash = new Uint8Array(await crypto.subtle.digest('SHA-512', concatBuffers(hash, key)));
+        }
+        let digits = '';
+        for (let i = 0; i < 30; i += 5) {
+            const chunk = hash.subarray(i, i + 5).reduce((n, b) => n * 256 + b, 0);
+            digits += String(chunk % 100000).padStart(5, '0');
+        }
+        return digits;
+    }
+
+    /**
+     * 60-digit safety number for a conversation, from both aliases and
+     * their base64(SPKI) identity keys. Same result on both sides.
+     */
+    async function safetyNumber(localId, localIdentityKey, peerId, peerIdentityKey) {
+        const [local, peer] = await Promise.all([
+            fingerprintHalf(localId, localIdentityKey),
+            fingerprintHalf(peerId, peerIdentityKey),
+        ]);
+        return localId < peerId ? local + peer : peer + local;
+    }
+
+    // ── ECDH Key Agreement (P-256 + HKDF-SHA-256) ──────────
+
+    /**
+     * Generates the ephemeral ECDH key pair for this session.
+     * Returns { privateKey, publicKey } where publicKey is base64(SPKI).
+     */
+    async function generateKeyAgreementPair() {
+        const pair = await crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            ['deriveBits']
+        );
+        const spki = await crypto.subtle.exportKey('spki', pair.publicKey);
+        return { privateKey: pair.privateKey, publicKey: toBase64(new Uint8Array(spki)) };
+    }
 
-        const { key } = await deriveKey(password, salt);
+    async function ecdh(ownPair, peerPublicKey) {
+        const peerKey = await crypto.subtle.importKey(
+            'spki', fromBase64(peerPublicKey), { name: 'ECDH', namedCurve: 'P-256' }, false, []
+        );
+        return new Uint8Array(await crypto.subtle.deriveBits(
+            { name: 'ECDH', public: peerKey }, ownPair.privateKey, KEY_LENGTH * 8
+        ));
+    }
+
+    async function hkdf(ikm, salt, info, length) {
+        const hkdfKey = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(info) },
+            hkdfKey,
+            length * 8
+        );
+        return new Uint8Array(bits);
+    }
+
+    async function hmac(key, data) {
+        const hmacKey = await crypto.subtle.importKey(
+            'raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, data));
+    }
+
+    /**
+     * Same salt/info layout as crypto-module.js so both sides agree:
+     *   salt = SPKI(lower key) | SPKI(higher key)
+     *   info = label + ':' + lowerAlias + '|' + higherAlias
+     */
+    async function deriveSharedSecret(label, ownPair, peerPublicKey, localId, peerId) {
+        const keys = [ownPair.publicKey, peerPublicKey].sort();
+        const ids = [localId, peerId].sort();
+        const salt = concatBuffers(fromBase64(keys[0]), fromBase64(keys[1]));
+
+        return hkdf(await ecdh(ownPair, peerPublicKey), salt, `${label}:${ids[0]}|${ids[1]}`, KEY_LENGTH);
+    }
+
+    /**
+     * Derives the per-conversation AES-256-GCM key (non-extractable).
+     */
+    async function deriveConversationKey(ownPair, peerPublicKey, localId, peerId) {
+        const secret = await deriveSharedSecret(CONVERSATION_INFO, ownPair, peerPublicKey, localId, peerId);
+        const key = await crypto.subtle.importKey(
+            'raw', secret, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+        );
+        secret.fill(0);
+        return key;
+    }
+
+    /**
+     * Derives the initial shared secret (SK) for a ratchet session.
+     * Returns raw bytes (Uint8Array); pass it to createRatchet*.
+     */
+    function deriveRatchetSecret(ownPair, peerPublicKey, localId, peerId) {
+        return deriveSharedSecret(RATCHET_INFO, ownPair, peerPublicKey, localId, peerId);
+    }
+
+    // ── Sealed sender ───────────────────────────────────────
+    //  Same format as crypto-module.js (see sealSender there):
+    //  Version | Ephemeral SPKI (91) | IV | Ciphertext+AuthTag,
+    //  plaintext SenderLength (1) | Sender | Content. The server
+    //  only sees the recipient; the inner envelope authenticates
+    //  the sender.
+
+    async function sealedSenderKey(shared, ephemeralSpki, recipientPublicKey, recipientId, usage) {
+        const salt = concatBuffers(ephemeralSpki, fromBase64(recipientPublicKey));
+        const raw = await hkdf(shared, salt, `${SEALED_SENDER_INFO}|${recipientId}`, KEY_LENGTH);
+        shared.fill(0);
+        const key = await crypto.subtle.importKey('raw', raw, { name: 'AES-GCM', length: 256 }, false, [usage]);
+        raw.fill(0);
+        return key;
+    }
+
+    /**
+     * Seals `content` and our alias to the recipient's published ECDH key.
+     * Output: base64 sealed-sender payload.
+     */
+    async function sealSender(recipientPublicKey, recipientId, sender, content) {
+        const senderBytes = new TextEncoder().encode(sender);
+        if (senderBytes.length === 0 || senderBytes.length > 255) {
+            throw new RangeError('Sender must be 1–255 bytes.');
+        }
+
+        const ephemeral = await generateKeyAgreementPair();
+        const ephemeralSpki = fromBase64(ephemeral.publicKey);
+        const shared = await ecdh(ephemeral, recipientPublicKey);
+        const key = await sealedSenderKey(shared, ephemeralSpki, recipientPublicKey, recipientId, 'encrypt');
+
+        const header = concatBuffers(new Uint8Array([SEALED_SENDER_VERSION]), ephemeralSpki);
+        const iv = getRandomBytes(IV_LENGTH);
+        const plaintext = concatBuffers(
+            new Uint8Array([senderBytes.length]), senderBytes, new TextEncoder().encode(content)
+        );
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: header, tagLength: AUTH_TAG_LENGTH * 8 }, key, plaintext
+        );
+        return toBase64(concatBuffers(header, iv, new Uint8Array(ciphertext)));
+    }
+
+    /**
+     * Opens a sealed-sender payload addressed to us with the key pair
+     * whose public half we published. Returns { sender, content }.
+     */
+    async function openSealedSender(ownPair, sealed, recipientId) {
+        const data = fromBase64(sealed);
+        const headerLength = 1 + P256_SPKI_LENGTH;
+        if (data.length < headerLength + IV_LENGTH + 1 + AUTH_TAG_LENGTH || data[0] !== SEALED_SENDER_VERSION) {
+            throw new Error('Not a sealed-sender payload.');
+        }
 
-        const plainBuf = await crypto.subtle.decrypt(
-            { name: 'AES-GCM', iv, tagLength: AUTH_TAG_LENGTH * 8 },
+        const header = data.slice(0, headerLength);
+        const ephemeralSpki = header.slice(1);
+        const shared = await ecdh(ownPair, toBase64(ephemeralSpki));
+        const key = await sealedSenderKey(shared, ephemeralSpki, ownPair.publicKey, recipientId, 'decrypt');
+        const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: data.slice(headerLength, headerLength + IV_LENGTH), additionalData: header, tagLength: AUTH_TAG_LENGTH * 8 },
             key,
-            ciphertext
+            data.slice(headerLength + IV_LENGTH)
+        ));
+
+        const senderLength = plaintext[0];
+        if (senderLength === 0 || plaintext.length < 1 + senderLength) {
+            throw new Error('Malformed sealed-sender payload.');
+        }
+        const decoder = new TextDecoder();
+        return {
+            sender: decoder.decode(plaintext.subarray(1, 1 + senderLength)),
+            content: decoder.decode(plaintext.subarray(1 + senderLength)),
+        };
+    }
+
+    /**
+     * Encrypts plaintext with an already-derived AES-GCM key.
+     * Output: base64( IV[12] | Ciphertext+AuthTag )
+     * The payload does not say whether it is padded (`padding` option):
+     * the caller must bind that into `aad` and tell decryptWithKey.
+     */
+    async function encryptWithKey(plaintext, key, aad, { padding = 'none' } = {}) {
+        checkPadding(padding);
+        const iv = getRandomBytes(IV_LENGTH);
+        const params = { name: 'AES-GCM', iv, tagLength: AUTH_TAG_LENGTH * 8 };
+        if (aad) params.additionalData = new TextEncoder().encode(aad);
+
+        const ciphertextWithTag = await crypto.subtle.encrypt(
+            params, key, padPlaintext(new TextEncoder().encode(plaintext), padding)
         );
+        return toBase64(concatBuffers(iv, new Uint8Array(ciphertextWithTag)));
+    }
+
+    /**
+     * Decrypts a base64 payload produced by encryptWithKey
+     * (`padded`: it was encrypted with a padding policy).
+     */
+    async function decryptWithKey(payload, key, aad, { padded = false } = {}) {
+        const data = fromBase64(payload);
+
+        if (data.length < IV_LENGTH + AUTH_TAG_LENGTH + 1) {
+            throw new Error('Payload too short.');
+        }
+
+        const params = { name: 'AES-GCM', iv: data.slice(0, IV_LENGTH), tagLength: AUTH_TAG_LENGTH * 8 };
+        if (aad) params.additionalData = new TextEncoder().encode(aad);
+
+        const plainBuf = await crypto.subtle.decrypt(params, key, data.slice(IV_LENGTH));
+        return decodePlaintext(plainBuf, padded);
+    }
+
+    // ── Attachments (chunked AES-256-GCM) ──────────────────
 
-        return new TextDecoder().decode(plainBuf);
+    // Position and count of every chunk are authenticated, so the server
+    // cannot reorder, drop or truncate chunks without decryption failing
+    function attachmentAAD(index, total) {
+        return new TextEncoder().encode(`${ATTACHMENT_INFO}:${index}/${total}`);
+    }
+
+    /**
+     * Encrypts a file under a fresh random key, ATTACHMENT_CHUNK_SIZE bytes
+     * per chunk. The key is meant to travel inside an end-to-end
+     * encrypted message; the chunks go to the server.
+     * Returns { key: base64(raw key), chunks: [base64(IV[12] | CT+Tag)] }.
+     */
+    async function encryptAttachment(bytes) {
+        const data = new Uint8Array(bytes);
+        const rawKey = getRandomBytes(KEY_LENGTH);
+        const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt']);
+        const total = Math.max(1, Math.ceil(data.length / ATTACHMENT_CHUNK_SIZE));
+
+        const chunks = [];
+        for (let i = 0; i < total; i++) {
+            const iv = getRandomBytes(IV_LENGTH);
+            const ciphertextWithTag = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv, tagLength: AUTH_TAG_LENGTH * 8, additionalData: attachmentAAD(i, total) },
+                key,
+                data.subarray(i * ATTACHMENT_CHUNK_SIZE, (i + 1) * ATTACHMENT_CHUNK_SIZE)
+            );
+            chunks.push(toBase64(concatBuffers(iv, new Uint8Array(ciphertextWithTag))));
+        }
+
+        const encodedKey = toBase64(rawKey);
+        rawKey.fill(0);
+        return { key: encodedKey, chunks };
+    }
+
+    /**
+     * Decrypts the chunks produced by encryptAttachment, in order.
+     * Returns the file as a Uint8Array.
+     */
+    async function decryptAttachment(chunks, encodedKey) {
+        if (!Array.isArray(chunks) || chunks.length === 0) throw new Error('No chunks.');
+        const rawKey = fromBase64(encodedKey);
+        if (rawKey.length !== KEY_LENGTH) throw new Error('Invalid attachment key.');
+        const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+        rawKey.fill(0);
+
+        const parts = [];
+        for (let i = 0; i < chunks.length; i++) {
+            const data = fromBase64(chunks[i]);
+            if (data.length < IV_LENGTH + AUTH_TAG_LENGTH) throw new Error('Payload too short.');
+            parts.push(new Uint8Array(await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: data.slice(0, IV_LENGTH), tagLength: AUTH_TAG_LENGTH * 8, additionalData: attachmentAAD(i, chunks.length) },
+                key,
+                data.slice(IV_LENGTH)
+            )));
+        }
+        return concatBuffers(...parts);
+    }
+
+    // ── Streaming (chunked AES-256-GCM) ────────────────────
+    //  Byte-compatible with createEncryptStream/createDecryptStream
+    //  in crypto-module.js, which documents the format.
+
+    async function importStreamKey(rawKey, header) {
+        const ikm = new Uint8Array(rawKey);
+        if (ikm.length !== KEY_LENGTH) throw new TypeError(`Key must be ${KEY_LENGTH} bytes.`);
+        const salt = header.subarray(5, 5 + STREAM_SALT_LENGTH);
+        const secret = await hkdf(ikm, salt, STREAM_INFO, KEY_LENGTH);
+        const key = await crypto.subtle.importKey('raw', secret, 'AES-GCM', false, ['encrypt', 'decrypt']);
+        secret.fill(0);
+        return key;
+    }
+
+    function streamParams(header, index, final, aad) {
+        if (index >= STREAM_MAX_CHUNKS) throw new Error('Stream has too many chunks.');
+        const position = new Uint8Array(5);
+        new DataView(position.buffer).setUint32(0, index);
+        position[4] = final ? 1 : 0;
+        const iv = concatBuffers(header.subarray(STREAM_HEADER_LENGTH - STREAM_NONCE_PREFIX_LENGTH), position);
+        const extra = !aad ? new Uint8Array(0) : typeof aad === 'string' ? new TextEncoder().encode(aad) : new Uint8Array(aad);
+        return { name: 'AES-GCM', iv, tagLength: AUTH_TAG_LENGTH * 8, additionalData: concatBuffers(header, position, extra) };
+    }
+
+    /**
+     * Returns a TransformStream (Uint8Array in, Uint8Array out) that
+     * encrypts everything written to it under `rawKey` (32 bytes).
+     * Options: chunkSize (default STREAM_CHUNK_SIZE), aad (string or bytes).
+     */
+    function encryptStream(rawKey, { chunkSize = STREAM_CHUNK_SIZE, aad } = {}) {
+        if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > STREAM_MAX_CHUNK_SIZE) {
+            throw new RangeError(`Chunk size must be between 1 and ${STREAM_MAX_CHUNK_SIZE} bytes.`);
+        }
+
+        const header = new Uint8Array(STREAM_HEADER_LENGTH);
+        header[0] = STREAM_VERSION;
+        new DataView(header.buffer).setUint32(1, chunkSize);
+        header.set(getRandomBytes(STREAM_SALT_LENGTH + STREAM_NONCE_PREFIX_LENGTH), 5);
+        const keyPromise = importStreamKey(rawKey, header);
+
+        let pending = new Uint8Array(0);
+        let index = 0;
+
+        const seal = async (plaintext, final) => new Uint8Array(await crypto.subtle.encrypt(
+            streamParams(header, index++, final, aad), await keyPromise, plaintext
+        ));
+
+        return new TransformStream({
+            async start(controller) {
+                await keyPromise;
+                controller.enqueue(header.slice());
+            },
+            async transform(data, controller) {
+                pending = concatBuffers(pending, new Uint8Array(data));
+                // Hold back the last chunk: only flush knows it is the final one
+                while (pending.length > chunkSize) {
+                    controller.enqueue(await seal(pending.subarray(0, chunkSize), false));
+                    pending = pending.subarray(chunkSize);
+                }
+            },
+            async flush(controller) {
+                controller.enqueue(await seal(pending, true));
+            },
+        });
+    }
+
+    /**
+     * Returns a TransformStream that decrypts a stream produced by
+     * encryptStream (or crypto-module.js). Errors if any chunk fails to
+     * authenticate or the stream is truncated; treat the output as
+     * unverified until the stream finishes without an error.
+     */
+    function decryptStream(rawKey, { aad } = {}) {
+        let header = null;
+        let key = null;
+        let record = 0;
+        let buffered = new Uint8Array(0);
+        let index = 0;
+
+        const open = async (chunk, final) => new Uint8Array(await crypto.subtle.decrypt(
+            streamParams(header, index++, final, aad), key, chunk
+        ));
+
+        return new TransformStream({
+            async transform(data, controller) {
+                buffered = concatBuffers(buffered, new Uint8Array(data));
+                if (!header) {
+                    if (buffered.length < STREAM_HEADER_LENGTH) return;
+                    header = buffered.slice(0, STREAM_HEADER_LENGTH);
+                    buffered = buffered.subarray(STREAM_HEADER_LENGTH);
+                    const chunkSize = new DataView(header.buffer).getUint32(1);
+                    if (header[0] !== STREAM_VERSION) throw new Error('Unsupported stream version.');
+                    if (chunkSize < 1 || chunkSize > STREAM_MAX_CHUNK_SIZE) throw new Error('Invalid stream chunk size.');
+                    key = await importStreamKey(rawKey, header);
+                    record = chunkSize + AUTH_TAG_LENGTH;
+                }
+                // A full record is only known not to be final once more data follows
+                while (buffered.length > record) {
+                    controller.enqueue(await open(buffered.subarray(0, record), false));
+                    buffered = buffered.subarray(record);
+                }
+            },
+            async flush(controller) {
+                if (!header || buffered.length < AUTH_TAG_LENGTH) throw new Error('Stream is truncated.');
+                controller.enqueue(await open(buffered, true));
+            },
+        });
+    }
+
+    // ── Double Ratchet ─────────────────────────────────────
+    //  Byte-compatible with DoubleRatchet in crypto-module.js,
+    //  which documents the KDFs, roles and message layout.
+
+    async function kdfRoot(rootKey, dhOutput) {
+        const out = await hkdf(dhOutput, rootKey, RATCHET_ROOT_INFO, 2 * KEY_LENGTH);
+        return [out.slice(0, KEY_LENGTH), out.slice(KEY_LENGTH)];
+    }
+
+    async function kdfChain(chainKey) {
+        return [await hmac(chainKey, Uint8Array.of(0x02)), await hmac(chainKey, Uint8Array.of(0x01))];
+    }
+
+    function headerAAD(aad, header) {
+        return new TextEncoder().encode(`${aad}|${header.dh}.${header.pn}.${header.n}${header.p ? '.p' : ''}`);
+    }
+
+    function bootstrapChain(sharedSecret) {
+        return hmac(sharedSecret, new TextEncoder().encode(RATCHET_BOOTSTRAP_INFO));
+    }
+
+    /**
+     * Wraps ratchet state. Operations are serialized so interleaved
+     * async calls (e.g. a pending batch and a live push) cannot
+     * corrupt the chains; decrypt only commits state on success.
+     */
+    function createRatchet(initial) {
+        let state = initial;
+        let lock = Promise.resolve();
+
+        function serialized(fn) {
+            const run = lock.then(fn);
+            lock = run.catch(() => {});
+            return run;
+        }
+
+        async function skipMessageKeys(s, until) {
+            if (!s.ckr) return;
+            if (until - s.nr > MAX_SKIP) throw new Error('Too many skipped messages.');
+            while (s.nr < until) {
+                const [nextChain, messageKey] = await kdfChain(s.ckr);
+                s.ckr = nextChain;
+                s.skipped.set(`${s.dhr}:${s.nr}`, messageKey);
+                s.nr++;
+            }
+            while (s.skipped.size > MAX_SKIPPED_KEYS) {
+                s.skipped.delete(s.skipped.keys().next().value);
+            }
+        }
+
+        async function stepDH(s, peerRatchetKey) {
+            s.pn = s.ns;
+            s.ns = 0;
+            s.nr = 0;
+            s.dhr = peerRatchetKey;
+            [s.rk, s.ckr] = await kdfRoot(s.rk, await ecdh(s.dhs, s.dhr));
+            s.dhs = await generateKeyAgreementPair();
+            [s.rk, s.cks] = await kdfRoot(s.rk, await ecdh(s.dhs, s.dhr));
+        }
+
+        async function open(messageKey, header, ciphertext, aad) {
+            const data = fromBase64(ciphertext);
+            if (data.length < IV_LENGTH + AUTH_TAG_LENGTH) throw new Error('Payload too short.');
+
+            const key = await crypto.subtle.importKey('raw', messageKey, 'AES-GCM', false, ['decrypt']);
+            const plainBuf = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: data.slice(0, IV_LENGTH), tagLength: AUTH_TAG_LENGTH * 8, additionalData: headerAAD(aad, header) },
+                key,
+                data.slice(IV_LENGTH)
+            );
+            return decodePlaintext(plainBuf, header.p === 1);
+        }
+
+        /**
+         * Returns { header: { dh, pn, n, p? }, ciphertext: base64(IV | CT | Tag) }.
+         * Options: `padding`, one of PADDING_POLICIES (default 'none').
+         */
+        function encrypt(plaintext, aad = '', { padding = 'none' } = {}) {
+            const padded = checkPadding(padding);
+            return serialized(async () => {
+                const [nextChain, messageKey] = await kdfChain(state.cks);
+                state.cks = nextChain;
+
+                const header = { dh: state.dhs.publicKey, pn: state.pn, n: state.ns, ...(padded ? { p: 1 } : {}) };
+                state.ns++;
+
+                const iv = getRandomBytes(IV_LENGTH);
+                const key = await crypto.subtle.importKey('raw', messageKey, 'AES-GCM', false, ['encrypt']);
+                const ciphertextWithTag = await crypto.subtle.encrypt(
+                    { name: 'AES-GCM', iv, tagLength: AUTH_TAG_LENGTH * 8, additionalData: headerAAD(aad, header) },
+                    key,
+                    padPlaintext(new TextEncoder().encode(plaintext), padding)
+                );
+
+                return { header, ciphertext: toBase64(concatBuffers(iv, new Uint8Array(ciphertextWithTag))) };
+            });
+        }
+
+        function decrypt(header, ciphertext, aad = '') {
+            return serialized(async () => {
+                if (!header || typeof header.dh !== 'string' || !Number.isInteger(header.n)
+                    || !Number.isInteger(header.pn) || header.n < 0 || header.pn < 0
+                    || (header.p !== undefined && header.p !== 1)) {
+                    throw new Error('Malformed ratchet header.');
+                }
+
+                // Work on a copy; commit only if the message authenticates
+                const s = { ...state, skipped: new Map(state.skipped) };
+                const skippedId = `${header.dh}:${header.n}`;
+                let messageKey;
+
+                if (s.skipped.has(skippedId)) {
+                    messageKey = s.skipped.get(skippedId);
+                    s.skipped.delete(skippedId);
+                } else {
+                    if (header.dh !== s.dhr) {
+                        await skipMessageKeys(s, header.pn);
+                        await stepDH(s, header.dh);
+                    }
+                    await skipMessageKeys(s, header.n);
+                    [s.ckr, messageKey] = await kdfChain(s.ckr);
+                    s.nr++;
+                }
+
+                const plaintext = await open(messageKey, header, ciphertext, aad);
+                state = s;
+                return plaintext;
+            });
+        }
+
+        return { encrypt, decrypt };
+    }
+
+    /**
+     * Initiator side (lower alias): starts with a fresh ratchet key
+     * against the responder's session public key.
+     */
+    async function createRatchetInitiator(sharedSecret, peerRatchetKey) {
+        const dhs = await generateKeyAgreementPair();
+        const [rk, cks] = await kdfRoot(sharedSecret, await ecdh(dhs, peerRatchetKey));
+        return createRatchet({
+            dhs, dhr: peerRatchetKey, rk, cks, ckr: await bootstrapChain(sharedSecret),
+            ns: 0, nr: 0, pn: 0, skipped: new Map(),
+        });
+    }
+
+    /**
+     * Responder side: starts with its session key pair and the
+     * bootstrap sending chain.
+     */
+    async function createRatchetResponder(sharedSecret, ownPair) {
+        return createRatchet({
+            dhs: ownPair, dhr: null, rk: sharedSecret.slice(), cks: await bootstrapChain(sharedSecret), ckr: null,
+            ns: 0, nr: 0, pn: 0, skipped: new Map(),
+        });
     }
 
     // ── Public API ─────────────────────────────────────────
@@ -117,7 +1198,32 @@ const CryptoBrowser = (() => {
     return {
         encryptWithPassword,
         decryptWithPassword,
+        createPasswordKeyring,
         deriveKey,
+        derivePasswordKey,
+        calibrateKdf,
+        useArgon2id,
+        availableKdfs,
+        generateIdentityKeyPair,
+        sign,
+        verify,
+        safetyNumber,
+        generateKeyAgreementPair,
+        deriveConversationKey,
+        deriveRatchetSecret,
+        sealSender,
+        openSealedSender,
+        paddedLength,
+        padPlaintext,
+        unpadPlaintext,
+        createRatchetInitiator,
+        createRatchetResponder,
+        encryptWithKey,
+        decryptWithKey,
+        encryptAttachment,
+        decryptAttachment,
+        encryptStream,
+        decryptStream,
         toBase64,
         fromBase64,
         SALT_LENGTH,
@@ -125,5 +1231,17 @@ const CryptoBrowser = (() => {
         AUTH_TAG_LENGTH,
         KEY_LENGTH,
         PBKDF2_ITERATIONS,
+        KDF_ACCEPT,
+        ENVELOPE_VERSION,
+        PADDING_POLICIES,
+        PADDING_BUCKETS,
+        ATTACHMENT_CHUNK_SIZE,
+        STREAM_CHUNK_SIZE,
+        STREAM_HEADER_LENGTH,
     };
 })();
+
+// Node (tests): expose the same API via CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CryptoBrowser;
+}
@@ -1,11 +1,14 @@
 'use strict';
 
 const crypto = require('crypto');
+const { Transform } = require('stream');
+const { promisify } = require('util');
 
 // ─────────────────────────────────────────────────────────────
 //  AES-256-GCM Encryption Module
 //  - Session-unique keys (never persisted to database)
 //  - PBKDF2 key derivation with random salt
+//  - Versioned password envelope shared with crypto-browser.js
 // ─────────────────────────────────────────────────────────────
 
 const ALGORITHM = 'aes-256-gcm';
@@ -15,6 +18,42 @@ const SALT_LENGTH = 32;        // 256-bit salt for PBKDF2
 const KEY_LENGTH = 32;         // 256-bit key (for AES-256)
 const PBKDF2_ITERATIONS = 600_000; // OWASP recommendation 2023+
 const PBKDF2_DIGEST = 'sha512';
+const PBKDF2_MAX_ITERATIONS = 10_000_000;  // cap on what an envelope may ask for
+const LEGACY_BROWSER_ITERATIONS = 100_000; // pre-envelope crypto-browser.js payloads
+const ENVELOPE_MAGIC = Buffer.from('VCE', 'ascii');
+const ENVELOPE_VERSION = 0x01;
+const KEYRING_VERSION = 0x02;
+const PADDED_FLAG = 0x80;          // envelope version bit: the plaintext is padded
+const KEYRING_INFO = 'volatile-chat:message:v1';
+const MESSAGE_SALT_LENGTH = 16;
+const KEYRING_MAX_MASTERS = 64;            // cached sender masters per keyring
+const AEAD_AES_256_GCM = 0x01;
+const KDF_TARGET_MS = 500;                 // calibrateKdf default
+const KDF_MAX_MEMORY = 256 * 1024 * 1024;  // cap for scrypt / Argon2id (bytes)
+// Most a received envelope may make us spend; its header is not authenticated until after the KDF runs
+const KDF_ACCEPT = Object.freeze({ maxMemory: 128 * 1024 * 1024, maxIterations: 2_000_000, maxPasses: 4, maxLanes: 4 });
+const ECDH_CURVE = 'prime256v1';   // P-256 — Web Crypto namedCurve 'P-256'
+const HKDF_DIGEST = 'sha256';
+const CONVERSATION_INFO = 'volatile-chat:conversation:v1';
+const RATCHET_INFO = 'volatile-chat:ratchet:v1';
+const SEALED_SENDER_VERSION = 0x01;
+const SEALED_SENDER_INFO = 'volatile-chat:sealed-sender:v1';
+const PADDING_POLICIES = ['none', 'padme', 'buckets'];
+const PADDING_MARKER = 0x80;
+const PADDING_BUCKETS = [64, 256, 1024, 4096, 16384]; // then multiples of the last
+const P256_SPKI_LENGTH = 91;
+const RATCHET_ROOT_INFO = 'volatile-chat:ratchet:root';
+const RATCHET_BOOTSTRAP_INFO = 'volatile-chat:ratchet:bootstrap';
+const MAX_SKIP = 1000;             // max message keys skipped in one chain
+const MAX_SKIPPED_KEYS = 2000;     // max stored skipped keys per ratchet
+const STREAM_VERSION = 0x01;
+const STREAM_INFO = 'volatile-chat:stream:v1';
+const STREAM_SALT_LENGTH = 32;
+const STREAM_NONCE_PREFIX_LENGTH = 7;
+const STREAM_HEADER_LENGTH = 1 + 4 + STREAM_SALT_LENGTH + STREAM_NONCE_PREFIX_LENGTH; // 44
+const STREAM_CHUNK_SIZE = 64 * 1024;         // default plaintext bytes per chunk
+const STREAM_MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const STREAM_MAX_CHUNKS = 2 ** 32;           // the chunk index is a uint32
 
 // ─────────────────────────────────────────────────────────────
 //  Session Key Manager
@@ -26,8 +65,15 @@ class SessionKeyManager {
   #key;
   #createdAt;
 
-  constructor() {
-    this.#key = crypto.randomBytes(KEY_LENGTH);
+  /**
+   * @param {Buffer} [key] – Take ownership of an already derived key
+   *                         (destroy() zeroes it); random if omitted
+   */
+  constructor(key) {
+    if (key !== undefined && (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH)) {
+      throw new TypeError(`Key must be a ${KEY_LENGTH}-byte Buffer.`);
+    }
+    this.#key = key ?? crypto.randomBytes(KEY_LENGTH);
     this.#createdAt = Date.now();
   }
 
@@ -83,6 +129,186 @@ async function deriveKey(password, salt, iterations = PBKDF2_ITERATIONS) {
   });
 }
 
+// ─────────────────────────────────────────────────────────────
+//  Password KDFs (PBKDF2 / scrypt / Argon2id)
+//
+//  Every KDF has an envelope id, a fixed KdfParams layout and bounds
+//  checked before deriving anything, so a hostile payload cannot ask
+//  for hours of CPU or gigabytes of memory.
+//
+//  0x01 pbkdf2    Iterations (uint32 BE)                      both modules
+//  0x02 scrypt    log2(N) (1) | r (1) | p (1)                 Node only
+//  0x03 argon2id  Memory KiB (uint32 BE) | Passes (1) | Lanes (1)
+//                 Node ≥ 24.7 (crypto.argon2); browser with a WASM build
+//
+//  PBKDF2 stays the default because it is the only one both sides can
+//  always derive; pick a memory-hard KDF when the reader supports it.
+// ─────────────────────────────────────────────────────────────
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+const scrypt = promisify(crypto.scrypt);
+const argon2 = crypto.argon2 && promisify(crypto.argon2);
+
+const KDFS = {
+  pbkdf2: {
+    id: 0x01,
+    defaults: { iterations: PBKDF2_ITERATIONS },
+    minimum: { iterations: 100_000 },
+    valid: ({ iterations }) => Number.isInteger(iterations) && iterations >= 1 && iterations <= PBKDF2_MAX_ITERATIONS,
+    affordable: ({ iterations }, limits) => iterations <= limits.maxIterations,
+    encode: ({ iterations }) => {
+      const out = Buffer.alloc(4);
+      out.writeUInt32BE(iterations, 0);
+      return out;
+    },
+    decode: (read) => ({ iterations: read(4).readUInt32BE(0) }),
+    derive: (password, salt, { iterations }) => pbkdf2(password, salt, iterations, KEY_LENGTH, PBKDF2_DIGEST),
+    // Cost is linear in the iterations
+    scale: ({ iterations }, factor) => ({ iterations: Math.min(PBKDF2_MAX_ITERATIONS, Math.ceil(iterations * factor)) }),
+  },
+
+  scrypt: {
+    id: 0x02,
+    defaults: { logN: 17, r: 8, p: 1 },
+    minimum: { logN: 15, r: 8, p: 1 },
+    valid: ({ logN, r, p }, maxMemory = KDF_MAX_MEMORY) =>
+      [logN, r, p].every(Number.isInteger) && logN >= 10 && logN <= 24 && r >= 1 && r <= 32 && p >= 1 && p <= 16 &&
+      128 * 2 ** logN * r <= maxMemory,
+    affordable: ({ logN, r, p }, limits) => 128 * 2 ** logN * r <= limits.maxMemory && p <= limits.maxLanes,
+    encode: ({ logN, r, p }) => Buffer.from([logN, r, p]),
+    decode: (read) => {
+      const [logN, r, p] = read(3);
+      return { logN, r, p };
+    },
+    derive: (password, salt, { logN, r, p }) =>
+      scrypt(password, salt, KEY_LENGTH, { N: 2 ** logN, r, p, maxmem: 2 * 128 * 2 ** logN * r }),
+    // Memory and time both double with N
+    scale: ({ logN, r, p }, factor) => ({ logN: logN + Math.max(1, Math.floor(Math.log2(factor))), r, p }),
+  },
+
+  argon2id: {
+    id: 0x03,
+    defaults: { memory: 64 * 1024, passes: 3, parallelism: 1 },
+    minimum: { memory: 19 * 1024, passes: 2, parallelism: 1 },
+    valid: ({ memory, passes, parallelism }, maxMemory = KDF_MAX_MEMORY) =>
+      [memory, passes, parallelism].every(Number.isInteger) && memory >= 8 * 1024 && memory * 1024 <= maxMemory &&
+      passes >= 1 && passes <= 16 && parallelism >= 1 && parallelism <= 16,
+    affordable: ({ memory, passes, parallelism }, limits) =>
+      memory * 1024 <= limits.maxMemory && passes <= limits.maxPasses && parallelism <= limits.maxLanes,
+    encode: ({ memory, passes, parallelism }) => {
+      const out = Buffer.alloc(6);
+      out.writeUInt32BE(memory, 0);
+      out[4] = passes;
+      out[5] = parallelism;
+      return out;
+    },
+    decode: (read) => {
+      const bytes = read(6);
+      return { memory: bytes.readUInt32BE(0), passes: bytes[4], parallelism: bytes[5] };
+    },
+    derive: (password, salt, { memory, passes, parallelism }) => {
+      if (!argon2) return Promise.reject(new Error('Argon2id is not available in this Node.js version.'));
+      return argon2('argon2id', { message: password, nonce: salt, memory, passes, parallelism, tagLength: KEY_LENGTH });
+    },
+    // Grow memory first; once at the cap, add passes
+    scale: ({ memory, passes, parallelism }, factor, maxMemory) => {
+      const grown = Math.min(Math.floor(maxMemory / 1024), Math.ceil(memory * factor));
+      if (grown > memory) return { memory: grown, passes, parallelism };
+      return { memory, passes: Math.min(16, passes + Math.max(1, Math.round(passes * (factor - 1)))), parallelism };
+    },
+  },
+};
+
+const KDF_BY_ID = new Map(Object.entries(KDFS).map(([name, kdf]) => [kdf.id, name]));
+
+function kdfOf(name) {
+  const kdf = KDFS[name];
+  if (!kdf) throw new TypeError(`Unknown KDF "${name}".`);
+  return kdf;
+}
+
+/** KDF_ACCEPT with the caller's overrides */
+function acceptLimits(accept) {
+  return { ...KDF_ACCEPT, ...accept };
+}
+
+/** Refuses to derive with parameters that cost more than `limits` allow */
+function checkAffordable(kdf, params, limits) {
+  if (!KDFS[kdf].affordable(params, limits)) {
+    throw new RangeError(`The ${kdf} parameters cost more than this reader accepts.`);
+  }
+}
+
+/**
+ * Derives an AES-256 key from a password with any supported KDF.
+ * Missing cost parameters take the KDF's defaults.
+ *
+ * @param {string}  password              – User-supplied passphrase
+ * @param {object}  [options]
+ * @param {string}  [options.kdf]         – 'pbkdf2' (default), 'scrypt' or 'argon2id'
+ * @param {Buffer}  [options.salt]        – Optional salt; a random one is generated if omitted
+ * @param {...number} [options.params]    – iterations | logN, r, p | memory (KiB), passes, parallelism
+ * @returns {Promise<{ key: Buffer, salt: Buffer, kdf: string, params: object }>}
+ */
+async function derivePasswordKey(password, { kdf = 'pbkdf2', salt, ...params } = {}) {
+  if (!password || typeof password !== 'string') {
+    throw new TypeError('Password must be a non-empty string.');
+  }
+  const impl = kdfOf(kdf);
+  const used = { ...impl.defaults, ...params };
+  if (!impl.valid(used)) throw new RangeError(`Invalid ${kdf} parameters.`);
+
+  const usedSalt = salt ?? crypto.randomBytes(SALT_LENGTH);
+  const key = await impl.derive(password, usedSalt, used);
+  return { key: Buffer.from(key), salt: usedSalt, kdf, params: used };
+}
+
+/**
+ * KDFs this runtime can derive with, strongest first. Argon2id needs
+ * Node ≥ 24.7 (crypto.argon2).
+ *
+ * @returns {string[]}
+ */
+function availableKdfs() {
+  return [argon2 && 'argon2id', 'scrypt', 'pbkdf2'].filter(Boolean);
+}
+
+/**
+ * Picks cost parameters for `kdf` that take about `targetMs` to derive
+ * on this machine, never below the KDF's recommended minimum. Pass the
+ * result as the options of encryptWithPassword / derivePasswordKey.
+ * The result also stays within what readers accept by default, so they
+ * open it without raising their limits.
+ *
+ * @param {string}  kdf                    – 'pbkdf2', 'scrypt' or 'argon2id'
+ * @param {object}  [options]
+ * @param {number}  [options.targetMs]     – Target derivation time (default: 500)
+ * @param {number}  [options.maxMemory]    – Memory cap in bytes (default: 128 MiB)
+ * @param {object}  [options.accept]       – Overrides of KDF_ACCEPT the readers use
+ * @returns {Promise<object>} – { kdf, ...params }
+ */
+async function calibrateKdf(kdf, { targetMs = KDF_TARGET_MS, maxMemory, accept } = {}) {
+  const impl = kdfOf(kdf);
+  const limits = acceptLimits(accept);
+  const cap = Math.min(maxMemory ?? limits.maxMemory, limits.maxMemory);
+  const fits = (params) => impl.valid(params, cap) && impl.affordable(params, limits);
+  if (!fits(impl.minimum)) throw new RangeError(`maxMemory is below the ${kdf} minimum.`);
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  let params = impl.minimum;
+
+  for (;;) {
+    const start = process.hrtime.bigint();
+    await impl.derive('calibration', salt, params);
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    if (elapsed >= targetMs * 0.9) break;
+
+    const next = impl.scale(params, Math.max(1.1, targetMs / Math.max(elapsed, 1)), cap);
+    if (!fits(next) || JSON.stringify(next) === JSON.stringify(params)) break;
+    params = next;
+  }
+  return { kdf, ...params };
+}
+
 // ─────────────────────────────────────────────────────────────
 //  AES-256-GCM Encrypt / Decrypt
 // ─────────────────────────────────────────────────────────────
@@ -151,44 +377,946 @@ function decrypt(encrypted, key, aad) {
 }
 
 // ─────────────────────────────────────────────────────────────
-//  High-level convenience: encrypt / decrypt with password
+//  Padding (hides the plaintext length from whoever stores it)
+//  Byte-compatible with CryptoBrowser's padding.
+//
+//  Padded = Plaintext | 0x80 | 0x00 … (ISO/IEC 7816-4)
+//
+//  For L = plaintext length + 1, the padded length is
+//    padme    PADMÉ: L rounded up so only its top ⌊log2 E⌋ + 1 bits
+//             vary, E = ⌊log2 L⌋ — at most ~12% overhead
+//    buckets  the smallest of PADDING_BUCKETS that fits, then a
+//             multiple of the largest — every short message looks alike
+//  'none' leaves the plaintext as it is.
+//
+//  Padding goes inside the AEAD and is stripped only after the tag
+//  verifies. Whether a payload is padded is authenticated too (a bit
+//  in the envelope version, `p` in the ratchet header), so nobody in
+//  between can add or strip it.
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Padded length (marker included) of a `length`-byte plaintext.
+ *
+ * @param {number} length
+ * @param {string} policy  – 'padme' or 'buckets'
+ * @returns {number}
+ */
+function paddedLength(length, policy) {
+  const total = length + 1;
+  if (policy === 'padme') {
+    if (total < 2) return total;
+    const e = Math.floor(Math.log2(total));
+    const step = 2 ** (e - Math.floor(Math.log2(e)) - 1);
+    return Math.ceil(total / step) * step;
+  }
+  if (policy === 'buckets') {
+    const largest = PADDING_BUCKETS[PADDING_BUCKETS.length - 1];
+    return PADDING_BUCKETS.find((size) => size >= total) || Math.ceil(total / largest) * largest;
+  }
+  throw new RangeError(`Unknown padding policy: ${policy}.`);
+}
+
+/**
+ * Pads `data` under `policy`; 'none' returns it unchanged.
+ *
+ * @param {Buffer} data
+ * @param {string} policy  – One of PADDING_POLICIES
+ * @returns {Buffer}
+ */
+function padPlaintext(data, policy) {
+  if (policy === 'none') return data;
+  const out = Buffer.alloc(paddedLength(data.length, policy));
+  data.copy(out);
+  out[data.length] = PADDING_MARKER;
+  return out;
+}
+
+/**
+ * Strips the padding. Call only on authenticated plaintext.
+ *
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function unpadPlaintext(data) {
+  let end = data.length - 1;
+  while (end >= 0 && data[end] === 0x00) end--;
+  if (end < 0 || data[end] !== PADDING_MARKER) throw new Error('Invalid padding.');
+  return data.subarray(0, end);
+}
+
+function checkPadding(policy) {
+  if (!PADDING_POLICIES.includes(policy)) throw new RangeError(`Unknown padding policy: ${policy}.`);
+  return policy !== 'none';
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Password envelope (self-describing, shared with crypto-browser.js)
+//
+//  Envelope = Header | IV (12) | Ciphertext | AuthTag (16)
+//  Header   = Magic "VCE" (3) | Version (1) | KdfId (1) | KdfParams
+//             | SaltLength (1) | Salt | AeadId (1)
+//
+//  Version | 0x80 (PADDED_FLAG) marks a padded plaintext (see Padding).
+//  KdfId / KdfParams as listed under "Password KDFs" above.
+//  AeadId 0x01 AES-256-GCM, AAD = Header
+//
+//  Every parameter needed to re-derive the key travels in the payload
+//  and is authenticated as AAD, so either module decrypts what the
+//  other produced whatever its defaults are. Payloads without the magic
+//  are read as the legacy formats:
+//    Node     Salt (32) | IV (12) | AuthTag (16) | Ciphertext   PBKDF2 600 000
+//    Browser  base64( Salt (32) | IV (12) | Ciphertext | AuthTag ) PBKDF2 100 000
 // ─────────────────────────────────────────────────────────────
 
+function envelopeHeader(kdf, params, salt, version = ENVELOPE_VERSION) {
+  const impl = KDFS[kdf];
+  return Buffer.concat([
+    ENVELOPE_MAGIC, Buffer.from([version, impl.id]), impl.encode(params),
+    Buffer.from([salt.length]), salt, Buffer.from([AEAD_AES_256_GCM]),
+  ]);
+}
+
+/**
+ * Splits an envelope into its parts. Returns null when `data` does not
+ * start with the envelope magic (a legacy payload); throws if it does
+ * but the header is malformed or unsupported.
+ */
+function parseEnvelope(data) {
+  if (data.length < ENVELOPE_MAGIC.length || !data.subarray(0, ENVELOPE_MAGIC.length).equals(ENVELOPE_MAGIC)) {
+    return null;
+  }
+  let offset = ENVELOPE_MAGIC.length;
+  const need = (n) => {
+    if (data.length < offset + n) throw new Error('Envelope is truncated.');
+    const out = data.subarray(offset, offset + n);
+    offset += n;
+    return out;
+  };
+
+  const versionByte = need(1)[0];
+  const version = versionByte & ~PADDED_FLAG;
+  if (version !== ENVELOPE_VERSION && version !== KEYRING_VERSION) throw new Error('Unsupported envelope version.');
+  const kdf = KDF_BY_ID.get(need(1)[0]);
+  if (!kdf) throw new Error('Unsupported envelope KDF.');
+  const params = KDFS[kdf].decode(need);
+  if (!KDFS[kdf].valid(params)) throw new Error(`Invalid ${kdf} parameters.`);
+  const salt = need(need(1)[0]);
+  if (salt.length < 16) throw new Error('Envelope salt is too short.');
+  if (need(1)[0] !== AEAD_AES_256_GCM) throw new Error('Unsupported envelope cipher.');
+
+  const header = data.subarray(0, offset);
+  const messageSalt = version === KEYRING_VERSION ? need(MESSAGE_SALT_LENGTH) : null;
+  const iv = need(IV_LENGTH);
+  if (data.length < offset + AUTH_TAG_LENGTH) throw new Error('Envelope is truncated.');
+  return {
+    header,
+    version,
+    padded: (versionByte & PADDED_FLAG) !== 0,
+    messageSalt,
+    kdf,
+    params,
+    salt,
+    iv,
+    ciphertext: data.subarray(offset, data.length - AUTH_TAG_LENGTH),
+    authTag: data.subarray(data.length - AUTH_TAG_LENGTH),
+  };
+}
+
+function openGcm(key, iv, ciphertext, authTag, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+  decipher.setAuthTag(authTag);
+  if (aad) decipher.setAAD(aad);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/** Opens an envelope body and strips its padding if the header says so */
+function openEnvelope(key, envelope, aad) {
+  const plaintext = openGcm(key, envelope.iv, envelope.ciphertext, envelope.authTag, aad);
+  return (envelope.padded ? unpadPlaintext(plaintext) : plaintext).toString('utf8');
+}
+
 /**
  * Encrypts plaintext using a password (derives key via PBKDF2 first).
  *
- * Output format (Buffer):
- *   [ Salt (32 bytes) | IV (12 bytes) | AuthTag (16 bytes) | Ciphertext ]
+ * Output format (Buffer): the password envelope described above.
  *
- * @param {string}  plaintext  – Data to encrypt
- * @param {string}  password   – User-supplied passphrase
+ * @param {string}  plaintext             – Data to encrypt
+ * @param {string}  password              – User-supplied passphrase
+ * @param {object}  [options]             – KDF and cost, as for derivePasswordKey
+ *                                          (e.g. { iterations } or a calibrateKdf result),
+ *                                          plus `padding` (one of PADDING_POLICIES, default 'none')
  * @returns {Promise<Buffer>}  – Self-contained encrypted payload
  */
-async function encryptWithPassword(plaintext, password) {
-  const { key, salt } = await deriveKey(password);
-  const { encrypted } = encrypt(plaintext, key);
+async function encryptWithPassword(plaintext, password, { padding = 'none', ...options } = {}) {
+  const padded = checkPadding(padding);
+  const { key, salt, kdf, params } = await derivePasswordKey(password, { ...options, salt: undefined });
+  const header = envelopeHeader(kdf, params, salt, ENVELOPE_VERSION | (padded ? PADDED_FLAG : 0));
+  const iv = crypto.randomBytes(IV_LENGTH);
 
-  // Prepend salt so we can re-derive the key during decryption
-  return Buffer.concat([salt, encrypted]);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+  cipher.setAAD(header);
+  const data = padPlaintext(Buffer.from(plaintext, 'utf8'), padding);
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  key.fill(0);
+
+  return Buffer.concat([header, iv, ciphertext, cipher.getAuthTag()]);
 }
 
 /**
- * Decrypts a payload that was encrypted with `encryptWithPassword`.
+ * Decrypts a payload that was encrypted with `encryptWithPassword` in
+ * either module, including the legacy (pre-envelope) formats.
+ * Envelopes whose KDF costs more than `accept` allows are rejected
+ * before deriving anything.
  *
- * @param {Buffer}  payload   – Buffer produced by encryptWithPassword
- * @param {string}  password  – Same passphrase used for encryption
+ * @param {Buffer|string}  payload            – Buffer, or the base64 string crypto-browser.js produces
+ * @param {string}         password           – Same passphrase used for encryption
+ * @param {object}         [options]
+ * @param {object}         [options.accept]   – Overrides of KDF_ACCEPT
+ *                                              ({ maxMemory, maxIterations, maxPasses, maxLanes })
  * @returns {Promise<string>} – Decrypted plaintext (UTF-8)
  */
-async function decryptWithPassword(payload, password) {
-  if (!Buffer.isBuffer(payload) || payload.length < SALT_LENGTH + IV_LENGTH + AUTH_TAG_LENGTH + 1) {
+async function decryptWithPassword(payload, password, { accept } = {}) {
+  const data = typeof payload === 'string' ? Buffer.from(payload, 'base64') : payload;
+  if (!Buffer.isBuffer(data)) {
+    throw new TypeError('Payload must be a Buffer or a base64 string.');
+  }
+
+  const envelope = parseEnvelope(data);
+  if (envelope && envelope.version === KEYRING_VERSION) {
+    throw new Error('Keyring envelope: decrypt it with a password keyring.');
+  }
+  if (envelope) {
+    checkAffordable(envelope.kdf, envelope.params, acceptLimits(accept));
+    const { key } = await derivePasswordKey(password, { kdf: envelope.kdf, salt: envelope.salt, ...envelope.params });
+    try {
+      return openEnvelope(key, envelope, envelope.header);
+    } finally {
+      key.fill(0);
+    }
+  }
+  return decryptLegacy(data, password);
+}
+
+async function decryptLegacy(data, password) {
+  if (data.length < SALT_LENGTH + IV_LENGTH + AUTH_TAG_LENGTH + 1) {
     throw new TypeError('Payload is too short or not a Buffer.');
   }
 
-  const salt      = payload.subarray(0, SALT_LENGTH);
-  const encrypted = payload.subarray(SALT_LENGTH);
+  // Both layouts are indistinguishable random bytes: try the Node one first
+  const salt = data.subarray(0, SALT_LENGTH);
+  const rest = data.subarray(SALT_LENGTH);
+  try {
+    const { key } = await deriveKey(password, salt);
+    return decrypt(rest, key).toString('utf8');
+  } catch {
+    const { key } = await deriveKey(password, salt, LEGACY_BROWSER_ITERATIONS);
+    return openGcm(
+      key, rest.subarray(0, IV_LENGTH), rest.subarray(IV_LENGTH, rest.length - AUTH_TAG_LENGTH), rest.subarray(rest.length - AUTH_TAG_LENGTH)
+    ).toString('utf8');
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Password keyring (one KDF run per conversation, HKDF per message)
+//  Byte-compatible with CryptoBrowser.createPasswordKeyring.
+//
+//  Envelope v2 = Header (Version 0x02) | MessageSalt (16) | IV (12) | Ciphertext | AuthTag (16)
+//
+//  MasterKey  = KDF(password, Salt)   – params and salt from the header
+//  MessageKey = HKDF-SHA-256(MasterKey, salt = MessageSalt,
+//                            info = KEYRING_INFO + '|' + conversation, 32)
+//  AAD        = Header | MessageSalt | conversation
+//
+//  The writer derives one master per conversation and reuses its
+//  header; the reader caches masters by header, so a batch of messages
+//  from the same sender costs one KDF run plus one HKDF per message.
+//  `conversation` must be the same string on both sides. The padded
+//  bit of the version is per message and not part of the cache id.
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Creates a keyring that caches password-derived master keys.
+ *
+ * @param {string}  password   – Shared passphrase
+ * @param {object}  [options]  – KDF, cost and default `padding`, as for encryptWithPassword;
+ *                               kdf 'auto' calibrates the first of availableKdfs() on first
+ *                               use (`targetMs` / `maxMemory` as for calibrateKdf); `accept`
+ *                               overrides KDF_ACCEPT, the most a received header may cost
+ *                               (our own params must fit it too)
+ * @returns {{ encrypt: function(string, string, object=): Promise<Buffer>,
+ *             decrypt: function(Buffer|string, string): Promise<string>,
+ *             destroy: function(): void }}
+ *   decrypt also reads version 1 and legacy payloads (one KDF run each).
+ */
+function createPasswordKeyring(password, options = {}) {
+  if (!password || typeof password !== 'string') {
+    throw new TypeError('Password must be a non-empty string.');
+  }
+  const { padding: defaultPadding = 'none', accept, ...kdfOptions } = options;
+  checkPadding(defaultPadding);
+  const limits = acceptLimits(accept);
+  let secret = password;
+  const own = new Map();    // conversation → Promise<{ header, master }>
+  const known = new Map();  // header (base64, padded bit clear) → Promise<master>, oldest first
+  let chosen = null;        // Promise<{ kdf, ...params }> (see writerKdf)
+
+  function alive() {
+    if (secret === null) throw new Error('Keyring has been destroyed.');
+  }
+
+  function remember(id, master) {
+    known.set(id, master);
+    if (known.size > KEYRING_MAX_MASTERS) known.delete(known.keys().next().value);
+    master.catch(() => known.get(id) === master && known.delete(id));
+    return master;
+  }
+
+  async function deriveMaster(kdf, params, salt) {
+    return (await derivePasswordKey(secret, { kdf, salt, ...params })).key;
+  }
+
+  // { kdf, ...params } for our masters; 'auto' calibrates once
+  function writerKdf() {
+    if (!chosen) {
+      const { kdf = 'pbkdf2', targetMs, maxMemory, ...params } = kdfOptions;
+      chosen = kdf === 'auto'
+        ? calibrateKdf(availableKdfs()[0], { targetMs, maxMemory, accept })
+        : Promise.resolve({ kdf, ...kdfOf(kdf).defaults, ...params });
+      chosen.catch(() => { chosen = null; });
+    }
+    return chosen;
+  }
+
+  function ownMaster(conversation) {
+    if (!own.has(conversation)) {
+      const entry = writerKdf().then(async ({ kdf, ...used }) => {
+        if (!kdfOf(kdf).valid(used)) throw new RangeError(`Invalid ${kdf} parameters.`);
+        checkAffordable(kdf, used, limits);
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const header = envelopeHeader(kdf, used, salt, KEYRING_VERSION);
+        const master = remember(header.toString('base64'), deriveMaster(kdf, used, salt));
+        return { header, master: await master };
+      });
+      own.set(conversation, entry);
+      entry.catch(() => own.get(conversation) === entry && own.delete(conversation));
+    }
+    return own.get(conversation);
+  }
+
+  function messageKey(master, messageSalt, conversation) {
+    return Buffer.from(crypto.hkdfSync(HKDF_DIGEST, master, messageSalt, `${KEYRING_INFO}|${conversation}`, KEY_LENGTH));
+  }
+
+  function messageAAD(header, messageSalt, conversation) {
+    return Buffer.concat([header, messageSalt, Buffer.from(conversation, 'utf8')]);
+  }
+
+  function masterId(header) {
+    const id = Buffer.from(header);
+    id[ENVELOPE_MAGIC.length] &= ~PADDED_FLAG;
+    return id.toString('base64');
+  }
+
+  async function encryptMessage(plaintext, conversation, { padding = defaultPadding } = {}) {
+    alive();
+    const padded = checkPadding(padding);
+    const { header: ownHeader, master } = await ownMaster(conversation);
+    const header = Buffer.from(ownHeader);
+    if (padded) header[ENVELOPE_MAGIC.length] |= PADDED_FLAG;
+    const messageSalt = crypto.randomBytes(MESSAGE_SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = messageKey(master, messageSalt, conversation);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+    cipher.setAAD(messageAAD(header, messageSalt, conversation));
+    const data = padPlaintext(Buffer.from(plaintext, 'utf8'), padding);
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    key.fill(0);
+    return Buffer.concat([header, messageSalt, iv, ciphertext, cipher.getAuthTag()]);
+  }
+
+  async function decryptMessage(payload, conversation) {
+    alive();
+    const data = typeof payload === 'string' ? Buffer.from(payload, 'base64') : payload;
+    const envelope = Buffer.isBuffer(data) ? parseEnvelope(data) : null;
+    if (!envelope || envelope.version !== KEYRING_VERSION) return decryptWithPassword(data, secret, { accept });
+
+    checkAffordable(envelope.kdf, envelope.params, limits);
+    const id = masterId(envelope.header);
+    const master = await (known.get(id) || remember(id, deriveMaster(envelope.kdf, envelope.params, envelope.salt)));
+    const key = messageKey(master, envelope.messageSalt, conversation);
+    try {
+      return openEnvelope(key, envelope, messageAAD(envelope.header, envelope.messageSalt, conversation));
+    } finally {
+      key.fill(0);
+    }
+  }
+
+  /** Wipes every cached master (once pending derivations settle); the keyring refuses further use. */
+  function destroy() {
+    secret = null;
+    const wipe = (key) => key.fill(0);
+    for (const master of known.values()) master.then(wipe, () => {});
+    for (const entry of own.values()) entry.then(({ master }) => wipe(master), () => {});
+    own.clear();
+    known.clear();
+  }
+
+  return { encrypt: encryptMessage, decrypt: decryptMessage, destroy };
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Streaming AES-256-GCM (chunked, for large payloads)
+//  Byte-compatible with CryptoBrowser.encryptStream/decryptStream.
+//
+//  Stream   = Header | Chunk 0 | Chunk 1 | … | Chunk n (final)
+//  Header   = Version (1) | ChunkSize (uint32 BE) | Salt (32) | NoncePrefix (7)
+//  Chunk    = Ciphertext (ChunkSize bytes; ≤ ChunkSize for the final one) | AuthTag (16)
+//
+//  StreamKey = HKDF-SHA-256(ikm = key, salt = Salt, info = STREAM_INFO, 32)
+//  Nonce(i)  = NoncePrefix | i (uint32 BE) | final (0x00 / 0x01)
+//  AAD(i)    = Header | i (uint32 BE) | final | aad
+//
+//  The fresh salt gives every stream its own key, so counter nonces
+//  never repeat. Index and final flag are authenticated: reordering,
+//  dropping or truncating chunks fails, and the final chunk (possibly
+//  empty) proves the stream ended where the sender ended it.
+//  Decrypted chunks are released as they authenticate; treat the output
+//  as unverified until the stream finishes without an error.
+// ─────────────────────────────────────────────────────────────
+
+function streamNonce(header, index, final) {
+  const nonce = Buffer.alloc(IV_LENGTH);
+  header.copy(nonce, 0, STREAM_HEADER_LENGTH - STREAM_NONCE_PREFIX_LENGTH);
+  nonce.writeUInt32BE(index, STREAM_NONCE_PREFIX_LENGTH);
+  nonce[IV_LENGTH - 1] = final ? 1 : 0;
+  return nonce;
+}
+
+function streamAAD(header, index, final, aad) {
+  const position = Buffer.alloc(5);
+  position.writeUInt32BE(index, 0);
+  position[4] = final ? 1 : 0;
+  const extra = !aad ? Buffer.alloc(0) : Buffer.isBuffer(aad) ? aad : Buffer.from(aad, 'utf8');
+  return Buffer.concat([header, position, extra]);
+}
+
+function deriveStreamKey(key, header) {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH) {
+    throw new TypeError(`Key must be a ${KEY_LENGTH}-byte Buffer.`);
+  }
+  const salt = header.subarray(5, 5 + STREAM_SALT_LENGTH);
+  return Buffer.from(crypto.hkdfSync(HKDF_DIGEST, key, salt, STREAM_INFO, KEY_LENGTH));
+}
+
+function sealChunk(streamKey, header, index, final, plaintext, aad) {
+  if (index >= STREAM_MAX_CHUNKS) throw new Error('Stream has too many chunks.');
+  const cipher = crypto.createCipheriv(ALGORITHM, streamKey, streamNonce(header, index, final), { authTagLength: AUTH_TAG_LENGTH });
+  cipher.setAAD(streamAAD(header, index, final, aad));
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function openChunk(streamKey, header, index, final, chunk, aad) {
+  if (index >= STREAM_MAX_CHUNKS) throw new Error('Stream has too many chunks.');
+  const decipher = crypto.createDecipheriv(ALGORITHM, streamKey, streamNonce(header, index, final), { authTagLength: AUTH_TAG_LENGTH });
+  decipher.setAuthTag(chunk.subarray(chunk.length - AUTH_TAG_LENGTH));
+  decipher.setAAD(streamAAD(header, index, final, aad));
+  return Buffer.concat([decipher.update(chunk.subarray(0, chunk.length - AUTH_TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Returns a Transform stream that encrypts everything written to it.
+ *
+ * @param {Buffer}  key                  – 256-bit key (a fresh subkey is derived per stream)
+ * @param {object}  [options]
+ * @param {number}  [options.chunkSize]  – Plaintext bytes per chunk (default: 64 KiB)
+ * @param {string|Buffer} [options.aad]  – Context bound to every chunk
+ * @returns {Transform}
+ */
+function createEncryptStream(key, { chunkSize = STREAM_CHUNK_SIZE, aad } = {}) {
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > STREAM_MAX_CHUNK_SIZE) {
+    throw new RangeError(`Chunk size must be between 1 and ${STREAM_MAX_CHUNK_SIZE} bytes.`);
+  }
+
+  const header = Buffer.alloc(STREAM_HEADER_LENGTH);
+  header[0] = STREAM_VERSION;
+  header.writeUInt32BE(chunkSize, 1);
+  crypto.randomFillSync(header, 5);
+  const streamKey = deriveStreamKey(key, header);
+
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  let headerSent = false;
+
+  // Once, before the first chunk (empty writes carry nothing)
+  const sendHeader = (stream) => {
+    if (headerSent) return;
+    headerSent = true;
+    stream.push(header);
+  };
+
+  return new Transform({
+    transform(data, _encoding, callback) {
+      try {
+        sendHeader(this);
+        pending = Buffer.concat([pending, data]);
+        // Hold back the last chunk: only flush knows it is the final one
+        while (pending.length > chunkSize) {
+          this.push(sealChunk(streamKey, header, index++, false, pending.subarray(0, chunkSize), aad));
+          pending = pending.subarray(chunkSize);
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        sendHeader(this);
+        this.push(sealChunk(streamKey, header, index, true, pending, aad));
+        streamKey.fill(0);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+}
+
+/**
+ * Returns a Transform stream that decrypts a stream produced by
+ * createEncryptStream (or CryptoBrowser.encryptStream). Errors if any
+ * chunk fails to authenticate or the stream is truncated.
+ *
+ * @param {Buffer}  key                  – Same key used for encryption
+ * @param {object}  [options]
+ * @param {string|Buffer} [options.aad]  – Must match the encryption AAD
+ * @returns {Transform}
+ */
+function createDecryptStream(key, { aad } = {}) {
+  let header = null;
+  let streamKey = null;
+  let record = 0;
+  let buffered = Buffer.alloc(0);
+  let index = 0;
+
+  return new Transform({
+    transform(data, _encoding, callback) {
+      try {
+        buffered = Buffer.concat([buffered, data]);
+        if (!header) {
+          if (buffered.length < STREAM_HEADER_LENGTH) return callback();
+          header = Buffer.from(buffered.subarray(0, STREAM_HEADER_LENGTH));
+          buffered = buffered.subarray(STREAM_HEADER_LENGTH);
+          const chunkSize = header.readUInt32BE(1);
+          if (header[0] !== STREAM_VERSION) throw new Error('Unsupported stream version.');
+          if (chunkSize < 1 || chunkSize > STREAM_MAX_CHUNK_SIZE) throw new Error('Invalid stream chunk size.');
+          streamKey = deriveStreamKey(key, header);
+          record = chunkSize + AUTH_TAG_LENGTH;
+        }
+        // A full record is only known not to be final once more data follows
+        while (buffered.length > record) {
+          this.push(openChunk(streamKey, header, index++, false, buffered.subarray(0, record), aad));
+          buffered = buffered.subarray(record);
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        if (!header || buffered.length < AUTH_TAG_LENGTH) throw new Error('Stream is truncated.');
+        this.push(openChunk(streamKey, header, index, true, buffered, aad));
+        streamKey.fill(0);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+//  ECDH Key Agreement (P-256 + HKDF-SHA-256)
+//  Each client holds an ephemeral key pair for the session; both
+//  peers derive the same per-conversation AES-256-GCM key.
+//  Byte-compatible with CryptoBrowser.deriveConversationKey.
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Generates an ephemeral ECDH P-256 key pair.
+ *
+ * @returns {{ privateKey: KeyObject, publicKey: string }} – publicKey is base64(SPKI)
+ */
+function generateKeyAgreementPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: ECDH_CURVE });
+  return {
+    privateKey,
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+  };
+}
+
+/**
+ * HKDF salt and info for a conversation. Both are order-independent
+ * so either peer derives the same key.
+ *
+ *   salt = SPKI(lower key) | SPKI(higher key)
+ *   info = label + ":" + lowerAlias + "|" + higherAlias
+ */
+function conversationContext(label, localId, peerId, localPublicKey, peerPublicKey) {
+  const keys = [localPublicKey, peerPublicKey].sort();
+  const ids = [localId, peerId].sort();
+  return {
+    salt: Buffer.concat(keys.map((k) => Buffer.from(k, 'base64'))),
+    info: Buffer.from(`${label}:${ids[0]}|${ids[1]}`, 'utf8'),
+  };
+}
+
+function importPublicKey(publicKey) {
+  return crypto.createPublicKey({
+    key: Buffer.from(publicKey, 'base64'),
+    format: 'der',
+    type: 'spki',
+  });
+}
+
+function deriveSharedSecret(label, ownPair, peerPublicKey, localId, peerId) {
+  const shared = crypto.diffieHellman({ privateKey: ownPair.privateKey, publicKey: importPublicKey(peerPublicKey) });
+  const { salt, info } = conversationContext(label, localId, peerId, ownPair.publicKey, peerPublicKey);
+
+  return Buffer.from(crypto.hkdfSync(HKDF_DIGEST, shared, salt, info, KEY_LENGTH));
+}
+
+/**
+ * Derives the per-conversation AES-256 key from our key pair and the
+ * peer's public key.
+ *
+ * @param {{ privateKey: KeyObject, publicKey: string }} ownPair
+ * @param {string}  peerPublicKey  – Peer's base64(SPKI) ECDH public key
+ * @param {string}  localId        – Our alias
+ * @param {string}  peerId         – Peer alias
+ * @returns {Buffer} – 256-bit key
+ */
+function deriveConversationKey(ownPair, peerPublicKey, localId, peerId) {
+  return deriveSharedSecret(CONVERSATION_INFO, ownPair, peerPublicKey, localId, peerId);
+}
+
+/**
+ * Derives the initial shared secret (SK) for a DoubleRatchet between two
+ * session key pairs. Same inputs as deriveConversationKey, different label.
+ *
+ * @returns {Buffer} – 256-bit secret
+ */
+function deriveRatchetSecret(ownPair, peerPublicKey, localId, peerId) {
+  return deriveSharedSecret(RATCHET_INFO, ownPair, peerPublicKey, localId, peerId);
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Sealed sender
+//  Hides who sent a message from the server: the sender alias and
+//  the (already end-to-end encrypted) content are sealed to the
+//  recipient's published ECDH key with a fresh ephemeral key.
+//  Byte-compatible with CryptoBrowser.sealSender.
+//
+//  Sealed = Version (1) | Ephemeral SPKI (91) | IV (12) | Ciphertext | AuthTag (16)
+//  Key    = HKDF-SHA-256(ECDH(ephemeral, recipient),
+//           salt = ephemeral SPKI | recipient SPKI,
+//           info = SEALED_SENDER_INFO + "|" + recipientId)
+//  Plain  = SenderLength (1) | Sender (UTF-8) | Content (UTF-8)
+//  AAD    = Version | Ephemeral SPKI
+//
+//  Sealing does not prove who the sender is; the inner envelope
+//  does (its AAD names sender and recipient).
+// ─────────────────────────────────────────────────────────────
+
+function sealedSenderKey(shared, ephemeralSpki, recipientPublicKey, recipientId) {
+  const salt = Buffer.concat([ephemeralSpki, Buffer.from(recipientPublicKey, 'base64')]);
+  return Buffer.from(crypto.hkdfSync(HKDF_DIGEST, shared, salt, `${SEALED_SENDER_INFO}|${recipientId}`, KEY_LENGTH));
+}
+
+/**
+ * Seals `content` and the sender alias to a recipient's ECDH key.
+ *
+ * @param {string}  recipientPublicKey  – Recipient's base64(SPKI) ECDH public key
+ * @param {string}  recipientId         – Recipient alias (bound into the key)
+ * @param {string}  sender              – Our alias, readable only by the recipient
+ * @param {string}  content             – Payload (normally an E2E envelope)
+ * @returns {Buffer}
+ */
+function sealSender(recipientPublicKey, recipientId, sender, content) {
+  const senderBytes = Buffer.from(sender, 'utf8');
+  if (senderBytes.length === 0 || senderBytes.length > 255) {
+    throw new RangeError('Sender must be 1–255 bytes.');
+  }
+
+  const ephemeral = generateKeyAgreementPair();
+  const ephemeralSpki = Buffer.from(ephemeral.publicKey, 'base64');
+  const shared = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: importPublicKey(recipientPublicKey) });
+  const key = sealedSenderKey(shared, ephemeralSpki, recipientPublicKey, recipientId);
+  shared.fill(0);
+
+  const header = Buffer.concat([Buffer.from([SEALED_SENDER_VERSION]), ephemeralSpki]);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+  cipher.setAAD(header);
+  const plaintext = Buffer.concat([Buffer.from([senderBytes.length]), senderBytes, Buffer.from(content, 'utf8')]);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  key.fill(0);
+
+  return Buffer.concat([header, iv, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * Opens a sealed-sender payload addressed to us.
+ *
+ * @param {{ privateKey: KeyObject, publicKey: string }} ownPair – Key pair whose public half we published
+ * @param {Buffer|string}  sealed       – Buffer, or the base64 string crypto-browser.js produces
+ * @param {string}         recipientId  – Our alias
+ * @returns {{ sender: string, content: string }}
+ */
+function openSealedSender(ownPair, sealed, recipientId) {
+  const data = Buffer.isBuffer(sealed) ? sealed : Buffer.from(sealed, 'base64');
+  const headerLength = 1 + P256_SPKI_LENGTH;
+  if (data.length < headerLength + IV_LENGTH + 1 + AUTH_TAG_LENGTH || data[0] !== SEALED_SENDER_VERSION) {
+    throw new Error('Not a sealed-sender payload.');
+  }
+
+  const header = data.subarray(0, headerLength);
+  const ephemeralSpki = header.subarray(1);
+  const iv = data.subarray(headerLength, headerLength + IV_LENGTH);
+  const ciphertext = data.subarray(headerLength + IV_LENGTH, data.length - AUTH_TAG_LENGTH);
+  const authTag = data.subarray(data.length - AUTH_TAG_LENGTH);
+
+  const shared = crypto.diffieHellman({
+    privateKey: ownPair.privateKey,
+    publicKey: importPublicKey(ephemeralSpki.toString('base64')),
+  });
+  const key = sealedSenderKey(shared, ephemeralSpki, ownPair.publicKey, recipientId);
+  shared.fill(0);
+  let plaintext;
+  try {
+    plaintext = openGcm(key, iv, ciphertext, authTag, header);
+  } finally {
+    key.fill(0);
+  }
+
+  const senderLength = plaintext[0];
+  if (senderLength === 0 || plaintext.length < 1 + senderLength) {
+    throw new Error('Malformed sealed-sender payload.');
+  }
+  return {
+    sender: plaintext.subarray(1, 1 + senderLength).toString('utf8'),
+    content: plaintext.subarray(1 + senderLength).toString('utf8'),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Double Ratchet (reference implementation)
+//  Signal-style DH + symmetric ratchet; every message uses a
+//  fresh key. Byte-compatible with CryptoBrowser's ratchet.
+//
+//  KDF_RK(rk, dh) = HKDF-SHA-256(ikm = dh, salt = rk,
+//                   info = RATCHET_ROOT_INFO, 64) → rk' | ck
+//  KDF_CK(ck)     = HMAC-SHA-256(ck, 0x02) → ck',
+//                   HMAC-SHA-256(ck, 0x01) → message key
+//  Message body   = IV (12) | Ciphertext | AuthTag (16)
+//  AAD            = aad + "|" + header.dh + "." + header.pn + "." + header.n
+//                   (+ ".p" when header.p = 1: the plaintext is padded)
+//
+//  Roles: the initiator (lower alias) starts with a fresh ratchet
+//  key; the responder starts with its session key pair and a
+//  bootstrap sending chain HMAC(SK, RATCHET_BOOTSTRAP_INFO), so
+//  both sides can send before hearing from the other.
+// ─────────────────────────────────────────────────────────────
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function kdfRoot(rootKey, dhOutput) {
+  const out = Buffer.from(crypto.hkdfSync(HKDF_DIGEST, dhOutput, rootKey, RATCHET_ROOT_INFO, 2 * KEY_LENGTH));
+  return [out.subarray(0, KEY_LENGTH), out.subarray(KEY_LENGTH)];
+}
+
+function kdfChain(chainKey) {
+  return [hmac(chainKey, Buffer.from([0x02])), hmac(chainKey, Buffer.from([0x01]))];
+}
+
+function ratchetDH(pair, publicKey) {
+  return crypto.diffieHellman({ privateKey: pair.privateKey, publicKey: importPublicKey(publicKey) });
+}
+
+function headerAAD(aad, header) {
+  return Buffer.from(`${aad}|${header.dh}.${header.pn}.${header.n}${header.p ? '.p' : ''}`, 'utf8');
+}
+
+class DoubleRatchet {
+  #dhs;            // own ratchet key pair { privateKey, publicKey }
+  #dhr = null;     // peer ratchet public key (base64 SPKI)
+  #rk;             // root key
+  #cks = null;     // sending chain key
+  #ckr = null;     // receiving chain key
+  #ns = 0;
+  #nr = 0;
+  #pn = 0;
+  #skipped = new Map();   // "dh:n" → message key
+
+  /**
+   * Creates the initiator side.
+   *
+   * @param {Buffer}  sharedSecret    – SK from deriveRatchetSecret
+   * @param {string}  peerRatchetKey  – Responder's session public key (base64 SPKI)
+   */
+  static initiator(sharedSecret, peerRatchetKey) {
+    const r = new DoubleRatchet();
+    r.#dhs = generateKeyAgreementPair();
+    r.#dhr = peerRatchetKey;
+    [r.#rk, r.#cks] = kdfRoot(sharedSecret, ratchetDH(r.#dhs, peerRatchetKey));
+    r.#ckr = hmac(sharedSecret, RATCHET_BOOTSTRAP_INFO);
+    return r;
+  }
+
+  /**
+   * Creates the responder side.
+   *
+   * @param {Buffer}  sharedSecret  – SK from deriveRatchetSecret
+   * @param {{ privateKey: KeyObject, publicKey: string }} ownPair – Our session key pair
+   */
+  static responder(sharedSecret, ownPair) {
+    const r = new DoubleRatchet();
+    r.#dhs = ownPair;
+    r.#rk = Buffer.from(sharedSecret);
+    r.#cks = hmac(sharedSecret, RATCHET_BOOTSTRAP_INFO);
+    return r;
+  }
+
+  /**
+   * Encrypts the next message in the sending chain.
+   *
+   * @param {string|Buffer} plaintext
+   * @param {string}        [aad]      – Context bound to the message (e.g. "from>to")
+   * @param {object}        [options]  – `padding`, one of PADDING_POLICIES (default 'none')
+   * @returns {{ header: { dh: string, pn: number, n: number, p?: 1 }, ciphertext: Buffer }}
+   */
+  encrypt(plaintext, aad = '', { padding = 'none' } = {}) {
+    const padded = checkPadding(padding);
+    const [nextChain, messageKey] = kdfChain(this.#cks);
+    this.#cks = nextChain;
+
+    const header = { dh: this.#dhs.publicKey, pn: this.#pn, n: this.#ns, ...(padded ? { p: 1 } : {}) };
+    this.#ns++;
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, messageKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+    cipher.setAAD(headerAAD(aad, header));
+
+    const data = padPlaintext(Buffer.isBuffer(plaintext) ? plaintext : Buffer.from(plaintext, 'utf8'), padding);
+    const ciphertext = Buffer.concat([iv, cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+
+    return { header, ciphertext };
+  }
+
+  /**
+   * Decrypts a message, handling skipped and out-of-order messages.
+   * State is only updated if the message authenticates.
+   *
+   * @param {{ dh: string, pn: number, n: number, p?: 1 }} header
+   * @param {Buffer}  ciphertext  – IV | Ciphertext | AuthTag
+   * @param {string}  [aad]
+   * @returns {Buffer} – Plaintext, padding already stripped
+   */
+  decrypt(header, ciphertext, aad = '') {
+    if (!header || typeof header.dh !== 'string' || !Number.isInteger(header.n) || !Number.isInteger(header.pn)
+      || header.n < 0 || header.pn < 0 || (header.p !== undefined && header.p !== 1)) {
+      throw new TypeError('Malformed ratchet header.');
+    }
+
+    const snapshot = this.#snapshot();
+    try {
+      return this.#decrypt(header, ciphertext, aad);
+    } catch (err) {
+      this.#restore(snapshot);
+      throw err;
+    }
+  }
+
+  #decrypt(header, ciphertext, aad) {
+    const skippedId = `${header.dh}:${header.n}`;
+    if (this.#skipped.has(skippedId)) {
+      const messageKey = this.#skipped.get(skippedId);
+      this.#skipped.delete(skippedId);
+      return DoubleRatchet.#open(messageKey, header, ciphertext, aad);
+    }
+
+    if (header.dh !== this.#dhr) {
+      this.#skipMessageKeys(header.pn);
+      this.#stepDH(header.dh);
+    }
+    this.#skipMessageKeys(header.n);
+
+    const [nextChain, messageKey] = kdfChain(this.#ckr);
+    this.#ckr = nextChain;
+    this.#nr++;
+
+    return DoubleRatchet.#open(messageKey, header, ciphertext, aad);
+  }
+
+  #skipMessageKeys(until) {
+    if (!this.#ckr) return;
+    if (until - this.#nr > MAX_SKIP) {
+      throw new Error('Too many skipped messages.');
+    }
+    while (this.#nr < until) {
+      const [nextChain, messageKey] = kdfChain(this.#ckr);
+      this.#ckr = nextChain;
+      this.#skipped.set(`${this.#dhr}:${this.#nr}`, messageKey);
+      this.#nr++;
+    }
+    // Drop the oldest keys beyond the cap
+    while (this.#skipped.size > MAX_SKIPPED_KEYS) {
+      this.#skipped.delete(this.#skipped.keys().next().value);
+    }
+  }
+
+  #stepDH(peerRatchetKey) {
+    this.#pn = this.#ns;
+    this.#ns = 0;
+    this.#nr = 0;
+    this.#dhr = peerRatchetKey;
+    [this.#rk, this.#ckr] = kdfRoot(this.#rk, ratchetDH(this.#dhs, this.#dhr));
+    this.#dhs = generateKeyAgreementPair();
+    [this.#rk, this.#cks] = kdfRoot(this.#rk, ratchetDH(this.#dhs, this.#dhr));
+  }
+
+  #snapshot() {
+    return {
+      dhs: this.#dhs, dhr: this.#dhr, rk: this.#rk, cks: this.#cks, ckr: this.#ckr,
+      ns: this.#ns, nr: this.#nr, pn: this.#pn, skipped: new Map(this.#skipped),
+    };
+  }
+
+  #restore(s) {
+    this.#dhs = s.dhs; this.#dhr = s.dhr; this.#rk = s.rk; this.#cks = s.cks; this.#ckr = s.ckr;
+    this.#ns = s.ns; this.#nr = s.nr; this.#pn = s.pn; this.#skipped = s.skipped;
+  }
+
+  static #open(messageKey, header, ciphertext, aad) {
+    if (!Buffer.isBuffer(ciphertext) || ciphertext.length < IV_LENGTH + AUTH_TAG_LENGTH) {
+      throw new TypeError('Ciphertext is too short or not a Buffer.');
+    }
+    const iv = ciphertext.subarray(0, IV_LENGTH);
+    const authTag = ciphertext.subarray(ciphertext.length - AUTH_TAG_LENGTH);
+    const body = ciphertext.subarray(IV_LENGTH, ciphertext.length - AUTH_TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, messageKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+    decipher.setAuthTag(authTag);
+    decipher.setAAD(headerAAD(aad, header));
 
-  const { key } = await deriveKey(password, salt);
-  return decrypt(encrypted, key).toString('utf8');
+    const plaintext = Buffer.concat([decipher.update(body), decipher.final()]);
+    return header.p ? unpadPlaintext(plaintext) : plaintext;
+  }
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -203,9 +1331,34 @@ module.exports = {
   // Password-based
   encryptWithPassword,
   decryptWithPassword,
+  createPasswordKeyring,
+
+  // Streaming
+  createEncryptStream,
+  createDecryptStream,
 
   // Key derivation
   deriveKey,
+  derivePasswordKey,
+  calibrateKdf,
+  availableKdfs,
+
+  // Key agreement
+  generateKeyAgreementPair,
+  deriveConversationKey,
+  deriveRatchetSecret,
+
+  // Sealed sender
+  sealSender,
+  openSealedSender,
+
+  // Padding
+  paddedLength,
+  padPlaintext,
+  unpadPlaintext,
+
+  // Forward secrecy
+  DoubleRatchet,
 
   // Session management
   SessionKeyManager,
@@ -218,4 +1371,13 @@ module.exports = {
   KEY_LENGTH,
   PBKDF2_ITERATIONS,
   PBKDF2_DIGEST,
+  KDF_ACCEPT,
+  ENVELOPE_VERSION,
+  PADDING_POLICIES,
+  PADDING_BUCKETS,
+  ECDH_CURVE,
+  HKDF_DIGEST,
+  MAX_SKIP,
+  STREAM_CHUNK_SIZE,
+  STREAM_HEADER_LENGTH,
 };
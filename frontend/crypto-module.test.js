@@ -1,25 +1,140 @@
 'use strict';
 
 // ─────────────────────────────────────────────────────────────
-//  Tests for crypto-module.js
+//  Tests for crypto-module.js and crypto-browser.js
+//  (the browser module runs on Node's Web Crypto)
 //  Run with:  node crypto-module.test.js
 // ─────────────────────────────────────────────────────────────
 
 const assert = require('assert');
 const crypto = require('crypto');
+const { Readable } = require('stream');
 const {
     encrypt,
     decrypt,
     encryptWithPassword,
     decryptWithPassword,
+    createPasswordKeyring,
+    availableKdfs,
     deriveKey,
+    derivePasswordKey,
+    calibrateKdf,
+    generateKeyAgreementPair,
+    deriveConversationKey,
+    deriveRatchetSecret,
+    sealSender,
+    openSealedSender,
+    paddedLength,
+    padPlaintext,
+    unpadPlaintext,
+    DoubleRatchet,
+    MAX_SKIP,
     SessionKeyManager,
+    createEncryptStream,
+    createDecryptStream,
+    STREAM_HEADER_LENGTH,
+    ENVELOPE_VERSION,
+    PADDING_BUCKETS,
     KEY_LENGTH,
     SALT_LENGTH,
+    IV_LENGTH,
+    AUTH_TAG_LENGTH,
 } = require('./crypto-module');
+const CryptoBrowser = require('./crypto-browser');
 
 let passed = 0;
 
+// Golden vectors (base64) that both modules must decrypt with 'correct horse'.
+// Salts and IVs are fixed byte sequences; regenerate only with a format bump.
+const ENVELOPE_VECTORS = [
+    {
+        name: 'envelope v1, PBKDF2 1000, 32-byte salt',
+        payload: 'VkNFAQEAAAPoIAABAgMEBQYHCAkKCwwNDg8QERITFBUWFxgZGhscHR4fAaChoqOkpaanqKmqq3V5j55OanN4PrJqYn1Uu1HlrmSaoTNJshM=',
+        plaintext: 'Hola 👻',
+    },
+    {
+        name: 'envelope v1, PBKDF2 2000, 16-byte salt, empty plaintext',
+        payload: 'VkNFAQEAAAfQEEBBQkNERUZHSElKS0xNTk8BsLGys7S1tre4ubq7ZQ5IGvVgRhnttU5zOGHdvg==',
+        plaintext: '',
+    },
+    {
+        name: 'legacy Node (Salt | IV | Tag | CT, PBKDF2 600 000)',
+        payload: 'EBESExQVFhcYGRobHB0eHyAhIiMkJSYnKCkqKywtLi/AwcLDxMXGx8jJyssIVWuTqFMGHboQpNQnIYSmZUe82yi0AtKFWag=',
+        plaintext: 'legado node',
+    },
+    {
+        name: 'legacy browser (Salt | IV | CT | Tag, PBKDF2 100 000)',
+        payload: 'ICEiIyQlJicoKSorLC0uLzAxMjM0NTY3ODk6Ozw9Pj/Q0dLT1NXW19jZ2tvth6VMmmpKkAaKjgciHUCKY8jfdkMe+4Do6P7p3tnkug==',
+        plaintext: 'legado navegador',
+    },
+    {
+        name: 'envelope v1, scrypt N=2^10 r=8 p=1, 16-byte salt',
+        payload: 'VkNFAQIKCAEQYGFiY2RlZmdoaWprbG1ubwHg4eLj5OXm5+jp6us58h/gXY6a/f7BdIO6KshPk2oYNqgY+4cR+WkD',
+        plaintext: 'memoria dura',
+        wasm: true,  // the browser needs hash-wasm
+    },
+];
+
+/** Initiator (alice) and responder (bob) ratchets over fresh session keys. */
+function ratchetPair() {
+    const alice = generateKeyAgreementPair();
+    const bob = generateKeyAgreementPair();
+    return {
+        a: DoubleRatchet.initiator(deriveRatchetSecret(alice, bob.publicKey, 'alice', 'bob'), bob.publicKey),
+        b: DoubleRatchet.responder(deriveRatchetSecret(bob, alice.publicKey, 'bob', 'alice'), bob),
+    };
+}
+
+function open(ratchet, msg) {
+    return ratchet.decrypt(msg.header, msg.ciphertext).toString('utf8');
+}
+
+/** Splits `buf` into uneven pieces so chunk boundaries never line up with writes. */
+function pieces(buf) {
+    const out = [];
+    for (let i = 0, n = 1; i < buf.length; i += n, n = n * 3 % 17 + 1) out.push(buf.subarray(i, i + n));
+    return out;
+}
+
+/** Pipes `input` through a Node Transform and collects the output. */
+async function throughNode(transform, input) {
+    const out = [];
+    for await (const chunk of Readable.from(pieces(input)).pipe(transform)) out.push(chunk);
+    return Buffer.concat(out);
+}
+
+/** Pipes `input` through a Web TransformStream and collects the output. */
+async function throughWeb(transform, input) {
+    const readable = new ReadableStream({
+        start(controller) {
+            for (const piece of pieces(input)) controller.enqueue(new Uint8Array(piece));
+            controller.close();
+        },
+    });
+    const out = [];
+    for await (const chunk of readable.pipeThrough(transform)) out.push(Buffer.from(chunk));
+    return Buffer.concat(out);
+}
+
+/** hash-wasm from the backend, which serves it to the page (null if not installed). */
+const hashWasm = (() => {
+    try {
+        return require('../backend/node_modules/hash-wasm');
+    } catch {
+        return null;
+    }
+})();
+
+/** Runs `fn` with hash-wasm loaded as the page's `hashwasm` global. */
+async function withHashWasm(fn) {
+    globalThis.hashwasm = hashWasm;
+    try {
+        return await fn();
+    } finally {
+        delete globalThis.hashwasm;
+    }
+}
+
 function test(name, fn) {
     return fn()
         .then(() => { passed++; console.log(`  ✔  ${name}`); })
@@ -43,6 +158,15 @@ function test(name, fn) {
         assert.throws(() => mgr.key, /destroyed/i);
     });
 
+    await test('SessionKeyManager adopts a given key and zeroes it on destroy', async () => {
+        const key = crypto.randomBytes(KEY_LENGTH);
+        const mgr = new SessionKeyManager(key);
+        assert.strictEqual(mgr.key, key);
+        mgr.destroy();
+        assert.ok(key.every((b) => b === 0));
+        assert.throws(() => new SessionKeyManager(Buffer.alloc(16)), /32-byte/);
+    });
+
     // ── PBKDF2 Key Derivation ───────────────────────────────
 
     await test('deriveKey returns key, salt, iterations', async () => {
@@ -128,6 +252,356 @@ function test(name, fn) {
         await assert.rejects(() => decryptWithPassword(payload, 'wrong'));
     });
 
+    // ── Password envelope ───────────────────────────────────
+
+    for (const vector of ENVELOPE_VECTORS) {
+        await test(`Golden vector (Node): ${vector.name}`, async () => {
+            assert.strictEqual(await decryptWithPassword(Buffer.from(vector.payload, 'base64'), 'correct horse'), vector.plaintext);
+        });
+        await test(`Golden vector (browser): ${vector.name}`, async () => {
+            if (vector.wasm) {
+                await assert.rejects(() => CryptoBrowser.decryptWithPassword(vector.payload, 'correct horse'), /not available/);
+                if (!hashWasm) return;
+            }
+            const result = await withHashWasm(() => CryptoBrowser.decryptWithPassword(vector.payload, 'correct horse'));
+            assert.strictEqual(result, vector.plaintext);
+        });
+    }
+
+    await test('Envelope header records version, KDF, iterations and cipher', async () => {
+        const fromNode = await encryptWithPassword('x', 'pw', { iterations: 1234 });
+        const fromBrowser = Buffer.from(await CryptoBrowser.encryptWithPassword('x', 'pw', { iterations: 1234 }), 'base64');
+        for (const payload of [fromNode, fromBrowser]) {
+            assert.strictEqual(payload.subarray(0, 3).toString('ascii'), 'VCE');
+            assert.strictEqual(payload[3], ENVELOPE_VERSION);
+            assert.strictEqual(payload[4], 0x01);                 // PBKDF2-SHA-512
+            assert.strictEqual(payload.readUInt32BE(5), 1234);
+            assert.strictEqual(payload[9], SALT_LENGTH);
+            assert.strictEqual(payload[10 + SALT_LENGTH], 0x01);  // AES-256-GCM
+        }
+        assert.strictEqual(fromNode.length, fromBrowser.length);
+    });
+
+    await test('Envelope: Node ↔ browser cross-decrypt with each default', async () => {
+        const fromNode = await encryptWithPassword('desde node 🟢', 'clave');
+        assert.strictEqual(await CryptoBrowser.decryptWithPassword(fromNode.toString('base64'), 'clave'), 'desde node 🟢');
+        const fromBrowser = await CryptoBrowser.encryptWithPassword('desde el navegador 🌐', 'clave');
+        assert.strictEqual(await decryptWithPassword(fromBrowser, 'clave'), 'desde el navegador 🌐');
+    });
+
+    await test('Envelope: tampered header or unknown version fails', async () => {
+        const payload = await encryptWithPassword('secret', 'pw', { iterations: 1000 });
+        const iterations = Buffer.from(payload);
+        iterations.writeUInt32BE(1001, 5);
+        await assert.rejects(() => decryptWithPassword(iterations, 'pw'));
+        const version = Buffer.from(payload);
+        version[3] = 0x7f;
+        await assert.rejects(() => decryptWithPassword(version, 'pw'), /version/);
+        await assert.rejects(() => CryptoBrowser.decryptWithPassword(version, 'pw'), /version/);
+        const greedy = Buffer.from(payload);
+        greedy.writeUInt32BE(0xffffffff, 5);
+        await assert.rejects(() => decryptWithPassword(greedy, 'pw'), /parameters/);
+        await assert.rejects(() => CryptoBrowser.decryptWithPassword(greedy, 'pw'), /parameters/);
+    });
+
+    // ── Memory-hard KDFs ────────────────────────────────────
+
+    await test('scrypt envelope records its cost and roundtrips', async () => {
+        const payload = await encryptWithPassword('scrypt 🧠', 'pw', { kdf: 'scrypt', logN: 12, r: 8, p: 2 });
+        assert.deepStrictEqual([...payload.subarray(4, 8)], [0x02, 12, 8, 2]);
+        assert.strictEqual(await decryptWithPassword(payload, 'pw'), 'scrypt 🧠');
+        await assert.rejects(() => decryptWithPassword(payload, 'otra'));
+    });
+
+    await test('KDF parameters out of bounds are refused before deriving', async () => {
+        await assert.rejects(() => encryptWithPassword('x', 'pw', { kdf: 'scrypt', logN: 30 }), RangeError);
+        await assert.rejects(() => encryptWithPassword('x', 'pw', { kdf: 'argon2id', memory: 4 * 1024 * 1024 }), RangeError);
+        await assert.rejects(() => encryptWithPassword('x', 'pw', { kdf: 'bcrypt' }), TypeError);
+        const payload = await encryptWithPassword('x', 'pw', { kdf: 'scrypt', logN: 10 });
+        payload[5] = 30;
+        await assert.rejects(() => decryptWithPassword(payload, 'pw'), /Invalid scrypt parameters/);
+        await assert.rejects(() => CryptoBrowser.decryptWithPassword(payload, 'pw'), /Invalid scrypt parameters/);
+    });
+
+    await test('KDF costs above what the reader accepts are refused before deriving', async () => {
+        const payload = await encryptWithPassword('x', 'pw', { iterations: 1000 });
+        payload.writeUInt32BE(5_000_000, 5);
+        const start = Date.now();
+        await assert.rejects(() => decryptWithPassword(payload, 'pw'), /accepts/);
+        await assert.rejects(() => CryptoBrowser.decryptWithPassword(payload, 'pw'), /accepts/);
+        assert.ok(Date.now() - start < 1000);
+
+        const scrypt = await encryptWithPassword('x', 'pw', { kdf: 'scrypt', logN: 10 });
+        scrypt[5] = 17;
+        const accept = { maxMemory: 64 * 1024 * 1024 };
+        await assert.rejects(() => decryptWithPassword(scrypt, 'pw', { accept }), /accepts/);
+        await assert.rejects(() => CryptoBrowser.decryptWithPassword(scrypt, 'pw', { accept }), /accepts/);
+
+        const node = createPasswordKeyring('pw', { iterations: 1000 });
+        const v2 = await node.encrypt('x', 'alice>bob');
+        v2.writeUInt32BE(5_000_000, 5);
+        await assert.rejects(() => node.decrypt(v2, 'alice>bob'), /accepts/);
+        await assert.rejects(() => CryptoBrowser.createPasswordKeyring('pw').decrypt(v2, 'alice>bob'), /accepts/);
+        await assert.rejects(() => createPasswordKeyring('pw', { iterations: 3_000_000 }).encrypt('x', 'a>b'), /accepts/);
+    });
+
+    await test('Browser keyring: a header over the passes limit never reaches Argon2id', async () => {
+        let runs = 0;
+        CryptoBrowser.useArgon2id(async (password, salt) => {
+            runs++;
+            return crypto.scryptSync(Buffer.from(password), Buffer.from(salt), KEY_LENGTH, { N: 1024 });
+        });
+        try {
+            const options = { kdf: 'argon2id', memory: 8 * 1024, passes: 8 };
+            await assert.rejects(() => CryptoBrowser.createPasswordKeyring('pw', options).encrypt('x', 'a>b'), /accepts/);
+            assert.strictEqual(runs, 0);
+
+            const writer = CryptoBrowser.createPasswordKeyring('pw', { ...options, accept: { maxPasses: 8 } });
+            const payload = await writer.encrypt('ocho pasadas', 'a>b');
+            assert.strictEqual(runs, 1);
+            await assert.rejects(() => CryptoBrowser.createPasswordKeyring('pw').decrypt(payload, 'a>b'), /accepts/);
+            assert.strictEqual(runs, 1);
+            const reader = CryptoBrowser.createPasswordKeyring('pw', { accept: { maxPasses: 8 } });
+            assert.strictEqual(await reader.decrypt(payload, 'a>b'), 'ocho pasadas');
+        } finally {
+            CryptoBrowser.useArgon2id(null);
+        }
+    });
+
+    await test('Argon2id in Node needs crypto.argon2', async () => {
+        if (typeof crypto.argon2 !== 'function') {
+            await assert.rejects(() => derivePasswordKey('pw', { kdf: 'argon2id' }), /not available/);
+            return;
+        }
+        const payload = await encryptWithPassword('argon 🧂', 'pw', { kdf: 'argon2id', memory: 8 * 1024, passes: 1 });
+        assert.strictEqual(await decryptWithPassword(payload, 'pw'), 'argon 🧂');
+    });
+
+    await test('Browser Argon2id goes through the plugged WASM implementation', async () => {
+        await assert.rejects(() => CryptoBrowser.encryptWithPassword('x', 'pw', { kdf: 'argon2id' }), /not available/);
+
+        // Stand-in for a WASM build: checks the plumbing, not Argon2 itself
+        const calls = [];
+        CryptoBrowser.useArgon2id(async (password, salt, params) => {
+            calls.push(params);
+            return crypto.scryptSync(Buffer.from(password), Buffer.from(salt), KEY_LENGTH, { N: 1024 });
+        });
+        try {
+            const payload = await CryptoBrowser.encryptWithPassword('hola', 'pw', { kdf: 'argon2id', memory: 8 * 1024, passes: 2 });
+            const bytes = Buffer.from(payload, 'base64');
+            assert.strictEqual(bytes[4], 0x03);
+            assert.strictEqual(bytes.readUInt32BE(5), 8 * 1024);
+            assert.deepStrictEqual([bytes[9], bytes[10]], [2, 1]);
+            assert.strictEqual(await CryptoBrowser.decryptWithPassword(payload, 'pw'), 'hola');
+            assert.deepStrictEqual(calls[1], { memory: 8 * 1024, passes: 2, parallelism: 1 });
+        } finally {
+            CryptoBrowser.useArgon2id(null);
+        }
+    });
+
+    await test('calibrateKdf never goes below the minimum and its result is usable', async () => {
+        const scrypt = await calibrateKdf('scrypt', { targetMs: 1 });
+        assert.deepStrictEqual(scrypt, { kdf: 'scrypt', logN: 15, r: 8, p: 1 });
+        const pbkdf2 = await calibrateKdf('pbkdf2', { targetMs: 200 });
+        assert.ok(pbkdf2.iterations >= 100_000);
+        const payload = await encryptWithPassword('calibrado', 'pw', pbkdf2);
+        assert.strictEqual(payload.readUInt32BE(5), pbkdf2.iterations);
+        await assert.rejects(() => calibrateKdf('scrypt', { maxMemory: 1024 * 1024 }), RangeError);
+
+        const browser = await CryptoBrowser.calibrateKdf('pbkdf2', { targetMs: 1 });
+        assert.deepStrictEqual(browser, { kdf: 'pbkdf2', iterations: 100_000 });
+        await assert.rejects(() => CryptoBrowser.calibrateKdf('scrypt'), /not available/);
+    });
+
+    await test('Browser scrypt and Argon2id on hash-wasm match Node byte for byte', async () => {
+        if (!hashWasm) return;
+        const salt = Buffer.alloc(SALT_LENGTH, 7);
+        await withHashWasm(async () => {
+            assert.deepStrictEqual(CryptoBrowser.availableKdfs(), ['argon2id', 'scrypt', 'pbkdf2']);
+            const node = await encryptWithPassword('mismo KDF', 'pw', { kdf: 'scrypt', logN: 10, salt });
+            assert.strictEqual(await CryptoBrowser.decryptWithPassword(node.toString('base64'), 'pw'), 'mismo KDF');
+            const browser = await CryptoBrowser.encryptWithPassword('de vuelta', 'pw', { kdf: 'scrypt', logN: 10 });
+            assert.strictEqual(await decryptWithPassword(Buffer.from(browser, 'base64'), 'pw'), 'de vuelta');
+
+            const argon = await CryptoBrowser.encryptWithPassword('argon 🧂', 'pw', { kdf: 'argon2id', memory: 8 * 1024, passes: 1 });
+            assert.strictEqual(await CryptoBrowser.decryptWithPassword(argon, 'pw'), 'argon 🧂');
+            if (typeof crypto.argon2 === 'function') {
+                assert.strictEqual(await decryptWithPassword(Buffer.from(argon, 'base64'), 'pw'), 'argon 🧂');
+            }
+        });
+    });
+
+    await test('calibrateKdf in the browser tunes the WASM KDFs under maxMemory', async () => {
+        if (!hashWasm) return;
+        await withHashWasm(async () => {
+            const scrypt = await CryptoBrowser.calibrateKdf('scrypt', { targetMs: 1 });
+            assert.deepStrictEqual(scrypt, { kdf: 'scrypt', logN: 15, r: 8, p: 1 });
+            const argon = await CryptoBrowser.calibrateKdf('argon2id', { targetMs: 1, maxMemory: 32 * 1024 * 1024 });
+            assert.deepStrictEqual(argon, { kdf: 'argon2id', memory: 19 * 1024, passes: 2, parallelism: 1 });
+            await assert.rejects(() => CryptoBrowser.calibrateKdf('argon2id', { maxMemory: 16 * 1024 * 1024 }), RangeError);
+        });
+    });
+
+    // ── Password keyring ────────────────────────────────────
+
+    await test('Keyring: Node ↔ browser roundtrip bound to the conversation', async () => {
+        const node = createPasswordKeyring('compartida', { iterations: 1000 });
+        const browser = CryptoBrowser.createPasswordKeyring('compartida', { iterations: 1000 });
+
+        const fromNode = await node.encrypt('hola 🔑', 'alice>bob');
+        assert.strictEqual(fromNode[3], 0x02);
+        assert.strictEqual(await browser.decrypt(fromNode.toString('base64'), 'alice>bob'), 'hola 🔑');
+        await assert.rejects(() => browser.decrypt(fromNode.toString('base64'), 'bob>alice'));
+
+        const fromBrowser = await browser.encrypt('adiós 👋', 'bob>alice');
+        assert.strictEqual(await node.decrypt(fromBrowser, 'bob>alice'), 'adiós 👋');
+        await assert.rejects(() => node.decrypt(fromBrowser, 'alice>bob'));
+        await assert.rejects(() => decryptWithPassword(fromBrowser, 'compartida'), /keyring/);
+    });
+
+    await test('Keyring: one KDF run per conversation and per sender, not per message', async () => {
+        let runs = 0;
+        CryptoBrowser.useArgon2id(async (password, salt) => {
+            runs++;
+            return crypto.scryptSync(Buffer.from(password), Buffer.from(salt), KEY_LENGTH, { N: 1024 });
+        });
+        try {
+            const options = { kdf: 'argon2id', memory: 8 * 1024, passes: 1 };
+            const alice = CryptoBrowser.createPasswordKeyring('pw', options);
+            const bob = CryptoBrowser.createPasswordKeyring('pw', options);
+            const batch = await Promise.all(Array.from({ length: 20 }, (_, i) => alice.encrypt(`m${i}`, 'alice>bob')));
+            assert.strictEqual(runs, 1);
+            const headers = new Set(batch.map((p) => Buffer.from(p, 'base64').subarray(0, 45).toString('hex')));
+            assert.strictEqual(headers.size, 1);
+            assert.strictEqual(new Set(batch).size, 20);
+
+            const out = await Promise.all(batch.map((p) => bob.decrypt(p, 'alice>bob')));
+            assert.deepStrictEqual(out, batch.map((_, i) => `m${i}`));
+            assert.strictEqual(runs, 2);
+            await alice.encrypt('otra', 'alice>carol');
+            assert.strictEqual(runs, 3);
+        } finally {
+            CryptoBrowser.useArgon2id(null);
+        }
+    });
+
+    await test('Keyring: kdf "auto" calibrates the strongest KDF once and records it in the header', async () => {
+        const node = createPasswordKeyring('pw', { kdf: 'auto', targetMs: 1 });
+        const [first, second] = [await node.encrypt('a', 'alice>bob'), await node.encrypt('b', 'alice>carol')];
+        const expected = availableKdfs()[0] === 'argon2id' ? 0x03 : 0x02;
+        assert.deepStrictEqual([first[4], second[4]], [expected, expected]);
+        assert.deepStrictEqual(first.subarray(5, 8), second.subarray(5, 8));
+        if (!hashWasm) return;
+
+        await withHashWasm(async () => {
+            const browser = CryptoBrowser.createPasswordKeyring('pw', { kdf: 'auto', targetMs: 1, maxMemory: 32 * 1024 * 1024 });
+            const bytes = Buffer.from(await browser.encrypt('hola', 'alice>bob'), 'base64');
+            assert.strictEqual(bytes[4], 0x03);
+            assert.strictEqual(bytes.readUInt32BE(5), 19 * 1024);
+            assert.strictEqual(await browser.decrypt(first.toString('base64'), 'alice>bob'), 'a');
+            if (typeof crypto.argon2 === 'function') assert.strictEqual(await node.decrypt(bytes, 'alice>bob'), 'hola');
+        });
+    });
+
+    await test('Keyring: reads version 1 payloads and refuses use after destroy', async () => {
+        const keyring = createPasswordKeyring('pw', { iterations: 1000 });
+        const v1 = await CryptoBrowser.encryptWithPassword('sobre v1', 'pw', { iterations: 1000 });
+        assert.strictEqual(await keyring.decrypt(v1, 'alice>bob'), 'sobre v1');
+
+        const browser = CryptoBrowser.createPasswordKeyring('pw', { iterations: 1000 });
+        const payload = await browser.encrypt('x', 'alice>bob');
+        browser.destroy();
+        await assert.rejects(() => browser.decrypt(payload, 'alice>bob'), /destroyed/);
+        await assert.rejects(() => browser.encrypt('x', 'alice>bob'), /destroyed/);
+        keyring.destroy();
+        await assert.rejects(() => keyring.encrypt('x', 'alice>bob'), /destroyed/);
+    });
+
+    // ── Padding ─────────────────────────────────────────────
+
+    await test('Padding: PADMÉ and bucket lengths agree across modules', async () => {
+        assert.deepStrictEqual([1, 5, 100, 1000, 5000].map((n) => paddedLength(n, 'padme')), [2, 6, 104, 1024, 5120]);
+        assert.deepStrictEqual([0, 63, 64, 300, 20000].map((n) => paddedLength(n, 'buckets')), [64, 64, 256, 1024, 32768]);
+        for (let n = 0; n < 40000; n += 37) {
+            for (const policy of ['padme', 'buckets']) {
+                const length = paddedLength(n, policy);
+                assert.ok(length > n);
+                assert.ok(policy === 'buckets' || length <= Math.ceil((n + 1) * 1.12));
+                assert.strictEqual(CryptoBrowser.paddedLength(n, policy), length);
+            }
+        }
+        assert.deepStrictEqual(CryptoBrowser.PADDING_BUCKETS, PADDING_BUCKETS);
+        assert.throws(() => paddedLength(10, 'random'), /policy/);
+    });
+
+    await test('Padding: unpad round-trips and rejects a missing marker', async () => {
+        const data = Buffer.from('hola\x00\x80', 'latin1');
+        const padded = padPlaintext(data, 'buckets');
+        assert.strictEqual(padded.length, 64);
+        assert.ok(unpadPlaintext(padded).equals(data));
+        assert.ok(Buffer.from(CryptoBrowser.unpadPlaintext(new Uint8Array(padded))).equals(data));
+        assert.strictEqual(padPlaintext(data, 'none'), data);
+        assert.throws(() => unpadPlaintext(Buffer.alloc(8)), /padding/);
+        assert.throws(() => CryptoBrowser.unpadPlaintext(Uint8Array.of(0x61, 0x81, 0x00)), /padding/);
+    });
+
+    await test('Padding: envelope hides the length and authenticates the flag', async () => {
+        const options = { iterations: 1000, padding: 'buckets' };
+        const short = await encryptWithPassword('sí', 'pw', options);
+        const long = await encryptWithPassword('una frase bastante más larga 👻', 'pw', options);
+        assert.strictEqual(short.length, long.length);
+        assert.strictEqual(short[3], ENVELOPE_VERSION | 0x80);
+        assert.strictEqual(await CryptoBrowser.decryptWithPassword(long.toString('base64'), 'pw'), 'una frase bastante más larga 👻');
+
+        const fromBrowser = await CryptoBrowser.encryptWithPassword('desde el navegador', 'pw', { iterations: 1000, padding: 'padme' });
+        assert.strictEqual(await decryptWithPassword(fromBrowser, 'pw'), 'desde el navegador');
+
+        // Clearing the flag would expose the padding: the header is AAD
+        const stripped = Buffer.from(short);
+        stripped[3] = ENVELOPE_VERSION;
+        await assert.rejects(() => decryptWithPassword(stripped, 'pw'));
+        await assert.rejects(() => CryptoBrowser.decryptWithPassword(stripped, 'pw'));
+    });
+
+    await test('Padding: keyring pads per message with one master', async () => {
+        const node = createPasswordKeyring('pw', { iterations: 1000, padding: 'buckets' });
+        const browser = CryptoBrowser.createPasswordKeyring('pw', { iterations: 1000 });
+
+        const padded = await node.encrypt('a', 'alice>bob');
+        const plain = await node.encrypt('a', 'alice>bob', { padding: 'none' });
+        assert.strictEqual(padded[3], 0x82);
+        assert.strictEqual(plain[3], 0x02);
+        assert.ok(padded.subarray(4, 43).equals(plain.subarray(4, 43)));  // same master header
+        assert.strictEqual(await browser.decrypt(padded.toString('base64'), 'alice>bob'), 'a');
+        assert.strictEqual(await browser.decrypt(plain.toString('base64'), 'alice>bob'), 'a');
+
+        const fromBrowser = await browser.encrypt('b', 'bob>alice', { padding: 'padme' });
+        assert.strictEqual(await node.decrypt(fromBrowser, 'bob>alice'), 'b');
+        await assert.rejects(() => browser.encrypt('c', 'bob>alice', { padding: 'huge' }), /policy/);
+    });
+
+    await test('Padding: ratchet header flag is bound across modules', async () => {
+        const alice = await CryptoBrowser.generateKeyAgreementPair();
+        const bob = generateKeyAgreementPair();
+        const a = await CryptoBrowser.createRatchetInitiator(
+            await CryptoBrowser.deriveRatchetSecret(alice, bob.publicKey, 'alice', 'bob'), bob.publicKey
+        );
+        const b = DoubleRatchet.responder(deriveRatchetSecret(bob, alice.publicKey, 'bob', 'alice'), bob);
+
+        const m0 = await a.encrypt('corto', 'alice>bob', { padding: 'buckets' });
+        const m1 = await a.encrypt('un poco más largo', 'alice>bob', { padding: 'buckets' });
+        assert.strictEqual(m0.header.p, 1);
+        assert.strictEqual(m0.ciphertext.length, m1.ciphertext.length);
+
+        const { p, ...stripped } = m0.header;
+        assert.throws(() => b.decrypt(stripped, Buffer.from(m0.ciphertext, 'base64'), 'alice>bob'));
+        assert.strictEqual(b.decrypt(m0.header, Buffer.from(m0.ciphertext, 'base64'), 'alice>bob').toString(), 'corto');
+        assert.strictEqual(b.decrypt(m1.header, Buffer.from(m1.ciphertext, 'base64'), 'alice>bob').toString(), 'un poco más largo');
+
+        const reply = b.encrypt('vale', 'bob>alice', { padding: 'padme' });
+        assert.strictEqual(await a.decrypt(reply.header, reply.ciphertext.toString('base64'), 'bob>alice'), 'vale');
+    });
+
     // ── Session key encrypt / decrypt ───────────────────────
 
     await test('Full session flow: create key → encrypt → decrypt → destroy', async () => {
@@ -141,6 +615,361 @@ function test(name, fn) {
         assert.throws(() => session.key);
     });
 
+    // ── ECDH Key Agreement ──────────────────────────────────
+
+    await test('deriveConversationKey: both peers derive the same key', async () => {
+        const alice = generateKeyAgreementPair();
+        const bob = generateKeyAgreementPair();
+        const a = deriveConversationKey(alice, bob.publicKey, 'alice', 'bob');
+        const b = deriveConversationKey(bob, alice.publicKey, 'bob', 'alice');
+        assert.strictEqual(a.length, KEY_LENGTH);
+        assert.ok(a.equals(b));
+    });
+
+    await test('deriveConversationKey: a third party derives a different key', async () => {
+        const alice = generateKeyAgreementPair();
+        const bob = generateKeyAgreementPair();
+        const eve = generateKeyAgreementPair();
+        const a = deriveConversationKey(alice, bob.publicKey, 'alice', 'bob');
+        const e = deriveConversationKey(eve, bob.publicKey, 'alice', 'bob');
+        assert.ok(!a.equals(e));
+    });
+
+    await test('deriveConversationKey: key is bound to the aliases', async () => {
+        const alice = generateKeyAgreementPair();
+        const bob = generateKeyAgreementPair();
+        const a = deriveConversationKey(alice, bob.publicKey, 'alice', 'bob');
+        const m = deriveConversationKey(alice, bob.publicKey, 'alice', 'mallory');
+        assert.ok(!a.equals(m));
+    });
+
+    await test('Browser ECDH ↔ Node ECDH: browser ciphertext decrypts in Node', async () => {
+        const alice = await CryptoBrowser.generateKeyAgreementPair();
+        const bob = generateKeyAgreementPair();
+
+        const browserKey = await CryptoBrowser.deriveConversationKey(alice, bob.publicKey, 'alice', 'bob');
+        const payload = CryptoBrowser.fromBase64(
+            await CryptoBrowser.encryptWithKey('hola bob', browserKey, 'alice>bob')
+        );
+
+        // Browser packs IV | Ciphertext | Tag; Node expects IV | Tag | Ciphertext
+        const iv = payload.subarray(0, IV_LENGTH);
+        const tag = payload.subarray(payload.length - AUTH_TAG_LENGTH);
+        const ct = payload.subarray(IV_LENGTH, payload.length - AUTH_TAG_LENGTH);
+
+        const nodeKey = deriveConversationKey(bob, alice.publicKey, 'bob', 'alice');
+        const plaintext = decrypt(Buffer.concat([iv, tag, ct]), nodeKey, 'alice>bob').toString('utf8');
+        assert.strictEqual(plaintext, 'hola bob');
+    });
+
+    await test('Browser encryptWithKey → decryptWithKey roundtrip and AAD check', async () => {
+        const alice = await CryptoBrowser.generateKeyAgreementPair();
+        const bob = await CryptoBrowser.generateKeyAgreementPair();
+        const ka = await CryptoBrowser.deriveConversationKey(alice, bob.publicKey, 'alice', 'bob');
+        const kb = await CryptoBrowser.deriveConversationKey(bob, alice.publicKey, 'bob', 'alice');
+
+        const payload = await CryptoBrowser.encryptWithKey('Mensaje 🚀', ka, 'alice>bob');
+        assert.strictEqual(await CryptoBrowser.decryptWithKey(payload, kb, 'alice>bob'), 'Mensaje 🚀');
+        await assert.rejects(() => CryptoBrowser.decryptWithKey(payload, kb, 'bob>alice'));
+    });
+
+    // ── Sealed sender ───────────────────────────────────────
+
+    await test('sealSender: Node ↔ browser roundtrip in both directions', async () => {
+        const nodeBob = generateKeyAgreementPair();
+        const browserBob = await CryptoBrowser.generateKeyAgreementPair();
+
+        const fromNode = sealSender(browserBob.publicKey, 'bob', 'alice', 'sobre cifrado 🚀');
+        assert.deepStrictEqual(
+            await CryptoBrowser.openSealedSender(browserBob, fromNode.toString('base64'), 'bob'),
+            { sender: 'alice', content: 'sobre cifrado 🚀' }
+        );
+
+        const fromBrowser = await CryptoBrowser.sealSender(nodeBob.publicKey, 'bob', 'álvaro', 'hola');
+        assert.deepStrictEqual(openSealedSender(nodeBob, fromBrowser, 'bob'), { sender: 'álvaro', content: 'hola' });
+    });
+
+    await test('sealSender: hides the sender and is bound to the recipient', async () => {
+        const bob = generateKeyAgreementPair();
+        const eve = generateKeyAgreementPair();
+        const sealed = sealSender(bob.publicKey, 'bob', 'alice', 'hola');
+        assert.ok(!sealed.includes(Buffer.from('alice')));
+        // Fresh ephemeral key each time
+        assert.ok(!sealed.equals(sealSender(bob.publicKey, 'bob', 'alice', 'hola')));
+
+        assert.throws(() => openSealedSender(bob, sealed, 'mallory'));
+        assert.throws(() => openSealedSender(eve, sealed, 'bob'));
+        const tampered = Buffer.from(sealed);
+        tampered[5] ^= 0x01; // inside the ephemeral key (authenticated header)
+        assert.throws(() => openSealedSender(bob, tampered, 'bob'));
+        assert.throws(() => openSealedSender(bob, sealed.subarray(0, 40), 'bob'), /sealed-sender/);
+    });
+
+    // ── Double Ratchet ──────────────────────────────────────
+
+    await test('DoubleRatchet: ping-pong in both directions', async () => {
+        const { a, b } = ratchetPair();
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual(open(b, a.encrypt(`a${i}`)), `a${i}`);
+            assert.strictEqual(open(a, b.encrypt(`b${i}`)), `b${i}`);
+        }
+    });
+
+    await test('DoubleRatchet: responder can send before hearing from initiator', async () => {
+        const { a, b } = ratchetPair();
+        const b0 = b.encrypt('first from bob');
+        const a0 = a.encrypt('first from alice');
+        assert.strictEqual(open(a, b0), 'first from bob');
+        assert.strictEqual(open(b, a0), 'first from alice');
+    });
+
+    await test('DoubleRatchet: every message uses a fresh key and advances the DH ratchet', async () => {
+        const { a, b } = ratchetPair();
+        const m1 = a.encrypt('same');
+        const m2 = a.encrypt('same');
+        assert.ok(!m1.ciphertext.equals(m2.ciphertext));
+        open(b, m1);
+        open(b, m2);
+        const reply = b.encrypt('reply');
+        assert.notStrictEqual(reply.header.dh, m1.header.dh);
+        open(a, reply);
+        assert.notStrictEqual(a.encrypt('next').header.dh, m1.header.dh);
+    });
+
+    await test('DoubleRatchet: reordered messages within a chain', async () => {
+        const { a, b } = ratchetPair();
+        const msgs = [0, 1, 2, 3, 4].map((i) => a.encrypt(`m${i}`));
+        for (const i of [3, 0, 4, 2, 1]) {
+            assert.strictEqual(open(b, msgs[i]), `m${i}`);
+        }
+    });
+
+    await test('DoubleRatchet: dropped messages do not block later ones', async () => {
+        const { a, b } = ratchetPair();
+        const msgs = [0, 1, 2, 3].map((i) => a.encrypt(`m${i}`));
+        assert.strictEqual(open(b, msgs[0]), 'm0');
+        assert.strictEqual(open(b, msgs[3]), 'm3');   // 1 and 2 never arrive
+        assert.strictEqual(open(a, b.encrypt('ok')), 'ok');
+        assert.strictEqual(open(b, a.encrypt('after')), 'after');
+    });
+
+    await test('DoubleRatchet: interleaved chains arriving out of order', async () => {
+        const { a, b } = ratchetPair();
+        // Bob's bootstrap chain, then a DH step, then more messages
+        const bOld = [b.encrypt('b0'), b.encrypt('b1')];
+        open(b, a.encrypt('a0'));
+        const bNew = [b.encrypt('b2'), b.encrypt('b3')];
+
+        // Like a pending batch racing live pushes: new chain first
+        assert.strictEqual(open(a, bNew[1]), 'b3');
+        assert.strictEqual(open(a, bOld[1]), 'b1');
+        assert.strictEqual(open(a, bNew[0]), 'b2');
+        assert.strictEqual(open(a, bOld[0]), 'b0');
+    });
+
+    await test('DoubleRatchet: replayed message is rejected', async () => {
+        const { a, b } = ratchetPair();
+        const m = a.encrypt('once');
+        open(b, m);
+        assert.throws(() => open(b, m));
+    });
+
+    await test('DoubleRatchet: tampered message fails without corrupting state', async () => {
+        const { a, b } = ratchetPair();
+        const m0 = a.encrypt('m0');
+        const m1 = a.encrypt('m1');
+        const forged = { header: m1.header, ciphertext: Buffer.from(m1.ciphertext) };
+        forged.ciphertext[forged.ciphertext.length - 1] ^= 0xff;
+        assert.throws(() => open(b, forged));
+        assert.strictEqual(open(b, m1), 'm1');
+        assert.strictEqual(open(b, m0), 'm0');
+    });
+
+    await test('DoubleRatchet: AAD is bound to each message', async () => {
+        const { a, b } = ratchetPair();
+        const m = a.encrypt('ctx', 'alice>bob');
+        assert.throws(() => b.decrypt(m.header, m.ciphertext, 'mallory>bob'));
+        assert.strictEqual(b.decrypt(m.header, m.ciphertext, 'alice>bob').toString('utf8'), 'ctx');
+    });
+
+    await test('DoubleRatchet: refuses to skip more than MAX_SKIP messages', async () => {
+        const { a, b } = ratchetPair();
+        const m = a.encrypt('far');
+        const header = { ...m.header, n: MAX_SKIP + 1 };
+        assert.throws(() => b.decrypt(header, m.ciphertext), /skipped/i);
+    });
+
+    await test('Browser ratchet ↔ Node ratchet: reordered two-way exchange', async () => {
+        const alice = await CryptoBrowser.generateKeyAgreementPair();
+        const bob = generateKeyAgreementPair();
+
+        const a = await CryptoBrowser.createRatchetInitiator(
+            await CryptoBrowser.deriveRatchetSecret(alice, bob.publicKey, 'alice', 'bob'), bob.publicKey
+        );
+        const b = DoubleRatchet.responder(deriveRatchetSecret(bob, alice.publicKey, 'bob', 'alice'), bob);
+
+        const fromA = [];
+        for (const t of ['a0', 'a1', 'a2']) fromA.push(await a.encrypt(t, 'alice>bob'));
+        for (const i of [2, 0, 1]) {
+            const { header, ciphertext } = fromA[i];
+            assert.strictEqual(b.decrypt(header, Buffer.from(ciphertext, 'base64'), 'alice>bob').toString(), `a${i}`);
+        }
+
+        const fromB = [b.encrypt('b0', 'bob>alice'), b.encrypt('b1', 'bob>alice')];
+        for (const i of [1, 0]) {
+            const { header, ciphertext } = fromB[i];
+            assert.strictEqual(await a.decrypt(header, ciphertext.toString('base64'), 'bob>alice'), `b${i}`);
+        }
+
+        const { header, ciphertext } = await a.encrypt('a3', 'alice>bob');
+        assert.strictEqual(b.decrypt(header, Buffer.from(ciphertext, 'base64'), 'alice>bob').toString(), 'a3');
+    });
+
+    await test('Browser ratchet: concurrent decrypts are serialized', async () => {
+        const alice = await CryptoBrowser.generateKeyAgreementPair();
+        const bob = await CryptoBrowser.generateKeyAgreementPair();
+        const a = await CryptoBrowser.createRatchetInitiator(
+            await CryptoBrowser.deriveRatchetSecret(alice, bob.publicKey, 'alice', 'bob'), bob.publicKey
+        );
+        const b = await CryptoBrowser.createRatchetResponder(
+            await CryptoBrowser.deriveRatchetSecret(bob, alice.publicKey, 'bob', 'alice'), bob
+        );
+
+        const msgs = [];
+        for (let i = 0; i < 5; i++) msgs.push(await a.encrypt(`m${i}`));
+        const out = await Promise.all([4, 1, 3, 0, 2].map((i) => b.decrypt(msgs[i].header, msgs[i].ciphertext)));
+        assert.deepStrictEqual(out, ['m4', 'm1', 'm3', 'm0', 'm2']);
+    });
+
+    // ── Safety numbers (browser) ────────────────────────────
+
+    await test('Browser safety number: same on both sides, 60 digits', async () => {
+        const alice = await CryptoBrowser.generateIdentityKeyPair();
+        const bob = await CryptoBrowser.generateIdentityKeyPair();
+        const seenByAlice = await CryptoBrowser.safetyNumber('alice', alice.publicKey, 'bob', bob.publicKey);
+        const seenByBob = await CryptoBrowser.safetyNumber('bob', bob.publicKey, 'alice', alice.publicKey);
+        assert.strictEqual(seenByAlice, seenByBob);
+        assert.match(seenByAlice, /^\d{60}$/);
+
+        // A swapped identity key (server in the middle) changes it
+        const mallory = await CryptoBrowser.generateIdentityKeyPair();
+        assert.notStrictEqual(await CryptoBrowser.safetyNumber('alice', alice.publicKey, 'bob', mallory.publicKey), seenByAlice);
+    });
+
+    await test('Browser safety number matches the documented derivation', async () => {
+        const half = (id, identityKey) => {
+            const key = Buffer.from(identityKey, 'base64');
+            let hash = Buffer.concat([Buffer.from([0, 0]), key, Buffer.from(id)]);
+            for (let i = 0; i < 5200; i++) hash = crypto.createHash('sha512').update(hash).update(key).digest();
+            let digits = '';
+            for (let i = 0; i < 30; i += 5) digits += String(hash.readUIntBE(i, 5) % 100000).padStart(5, '0');
+            return digits;
+        };
+        const alice = await CryptoBrowser.generateIdentityKeyPair();
+        const bob = await CryptoBrowser.generateIdentityKeyPair();
+        assert.strictEqual(
+            await CryptoBrowser.safetyNumber('bob', bob.publicKey, 'alice', alice.publicKey),
+            half('alice', alice.publicKey) + half('bob', bob.publicKey)
+        );
+    });
+
+    // ── Attachments (browser) ───────────────────────────────
+
+    await test('Browser attachment: multi-chunk roundtrip', async () => {
+        const file = crypto.randomBytes(CryptoBrowser.ATTACHMENT_CHUNK_SIZE * 2 + 100);
+        const { key, chunks } = await CryptoBrowser.encryptAttachment(file);
+        assert.strictEqual(chunks.length, 3);
+        const out = await CryptoBrowser.decryptAttachment(chunks, key);
+        assert.ok(Buffer.from(out).equals(file));
+    });
+
+    await test('Browser attachment: reordered, truncated or swapped chunks fail', async () => {
+        const file = crypto.randomBytes(CryptoBrowser.ATTACHMENT_CHUNK_SIZE + 1);
+        const { key, chunks } = await CryptoBrowser.encryptAttachment(file);
+        await assert.rejects(() => CryptoBrowser.decryptAttachment([chunks[1], chunks[0]], key));
+        await assert.rejects(() => CryptoBrowser.decryptAttachment([chunks[0]], key));
+
+        const other = await CryptoBrowser.encryptAttachment(Buffer.from('otro'));
+        await assert.rejects(() => CryptoBrowser.decryptAttachment(chunks, other.key));
+    });
+
+    // ── Streaming ───────────────────────────────────────────
+
+    await test('Stream: roundtrip at chunk boundaries', async () => {
+        const key = crypto.randomBytes(KEY_LENGTH);
+        for (const size of [0, 1, 63, 64, 65, 3 * 64 + 5]) {
+            const data = crypto.randomBytes(size);
+            const sealed = await throughNode(createEncryptStream(key, { chunkSize: 64, aad: 'ctx' }), data);
+            const chunks = Math.max(1, Math.ceil(size / 64));
+            assert.strictEqual(sealed.length, STREAM_HEADER_LENGTH + size + chunks * AUTH_TAG_LENGTH);
+            const out = await throughNode(createDecryptStream(key, { aad: 'ctx' }), sealed);
+            assert.ok(out.equals(data), `size ${size}`);
+        }
+    });
+
+    await test('Stream: empty and odd-sized writes emit the header once', async () => {
+        const key = crypto.randomBytes(KEY_LENGTH);
+        const writes = [Buffer.alloc(0), 'hello world', Buffer.alloc(0), crypto.randomBytes(7), crypto.randomBytes(65), Buffer.alloc(0)];
+        const data = Buffer.concat(writes.map((w) => Buffer.from(w)));
+
+        const encrypt = createEncryptStream(key, { chunkSize: 16 });
+        const out = [];
+        encrypt.on('data', (chunk) => out.push(chunk));
+        const done = new Promise((resolve, reject) => encrypt.on('end', resolve).on('error', reject));
+        for (const w of writes) encrypt.write(w);
+        encrypt.end();
+        await done;
+        const sealed = Buffer.concat(out);
+
+        assert.strictEqual(sealed.length, STREAM_HEADER_LENGTH + data.length + Math.ceil(data.length / 16) * AUTH_TAG_LENGTH);
+        assert.ok((await throughNode(createDecryptStream(key), sealed)).equals(data));
+        assert.ok((await throughWeb(CryptoBrowser.decryptStream(key), sealed)).equals(data));
+    });
+
+    await test('Stream: truncation, reordering and tampering fail', async () => {
+        const key = crypto.randomBytes(KEY_LENGTH);
+        const data = crypto.randomBytes(64 * 3);
+        const sealed = await throughNode(createEncryptStream(key, { chunkSize: 64 }), data);
+        const record = 64 + AUTH_TAG_LENGTH;
+        const chunk = (i) => sealed.subarray(STREAM_HEADER_LENGTH + i * record, STREAM_HEADER_LENGTH + (i + 1) * record);
+        const header = sealed.subarray(0, STREAM_HEADER_LENGTH);
+        const decrypt = (buf, opts) => throughNode(createDecryptStream(key, opts), buf);
+
+        // Dropping the final chunk leaves a stream that ends on a non-final one
+        await assert.rejects(() => decrypt(sealed.subarray(0, sealed.length - record)));
+        await assert.rejects(() => decrypt(header));
+        await assert.rejects(() => decrypt(Buffer.concat([header, chunk(1), chunk(0), chunk(2)])));
+
+        const flipped = Buffer.from(sealed);
+        flipped[1] ^= 1;
+        await assert.rejects(() => decrypt(flipped));
+        const salted = Buffer.from(sealed);
+        salted[10] ^= 1;
+        await assert.rejects(() => decrypt(salted));
+        await assert.rejects(() => decrypt(sealed, { aad: 'otro' }));
+        await assert.rejects(() => throughNode(createDecryptStream(crypto.randomBytes(KEY_LENGTH)), sealed));
+    });
+
+    await test('Stream: browser roundtrip and truncation', async () => {
+        const key = crypto.randomBytes(KEY_LENGTH);
+        const data = crypto.randomBytes(200);
+        const sealed = await throughWeb(CryptoBrowser.encryptStream(key, { chunkSize: 64 }), data);
+        const out = await throughWeb(CryptoBrowser.decryptStream(key), sealed);
+        assert.ok(out.equals(data));
+        await assert.rejects(() => throughWeb(CryptoBrowser.decryptStream(key), sealed.subarray(0, sealed.length - 1)));
+    });
+
+    await test('Stream: Node ↔ browser cross-decrypt', async () => {
+        const key = crypto.randomBytes(KEY_LENGTH);
+        for (const size of [0, 64, 1000]) {
+            const data = crypto.randomBytes(size);
+            const fromNode = await throughNode(createEncryptStream(key, { chunkSize: 64, aad: 'ctx' }), data);
+            assert.ok((await throughWeb(CryptoBrowser.decryptStream(key, { aad: 'ctx' }), fromNode)).equals(data));
+            const fromBrowser = await throughWeb(CryptoBrowser.encryptStream(key, { chunkSize: 64, aad: 'ctx' }), data);
+            assert.ok((await throughNode(createDecryptStream(key, { aad: 'ctx' }), fromBrowser)).equals(data));
+        }
+    });
+
     // ── Summary ─────────────────────────────────────────────
 
     console.log(`\n  ${passed} tests passed ✅\n`);
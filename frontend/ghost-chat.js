@@ -1,8 +1,15 @@
 // ─────────────────────────────────────────────────────────────
 //  ghost-chat.js
 //  WebSocket Ghost Chat — fully wired to volatile-chat backend
-//  Protocol: register → send_message → seen (auto-destruct)
-//  Encryption: AES-256-GCM via CryptoBrowser (crypto-browser.js)
+//  Protocol: register → challenge → auth → send_message → seen
+//  (schema and error codes shared with the server: protocol.js)
+//  Identity: ECDSA P-256 key pair, kept in memory only
+//  Encryption: AES-256-GCM via CryptoBrowser (crypto-browser.js),
+//  Double Ratchet seeded by per-session ECDH keys; the shared
+//  password is only a fallback for peers without a published key
+//  Verification: safety numbers from both identity keys (qr.js)
+//  Sealed sender (opt-in): direct messages name their sender only
+//  inside the payload; seen/expired notices come back by reply token
 // ─────────────────────────────────────────────────────────────
 
 const GhostChat = (() => {
@@ -14,13 +21,64 @@ const GhostChat = (() => {
     const VISIBILITY_THRESHOLD = 0.6;
     const RECONNECT_BASE_MS = 1_000;
     const RECONNECT_MAX_MS = 15_000;
+    const KEY_REQUEST_TIMEOUT_MS = 5_000;
+    const ENVELOPE_ECDH = 'ecdh1';     // static conversation key (self-addressed)
+    const ENVELOPE_RATCHET = 'dr1';    // Double Ratchet, fresh key per message
+    const SEEN_ELSEWHERE_MAX = 500;    // remembered ids seen on another device
+    const HANDLED_MAX = 1000;          // remembered ids already shown (redelivery dedupe)
+    const OUTGOING_MAX = 500;          // sent bubbles whose state is still tracked
+    const OUTBOX_MAX_ATTEMPTS = 5;     // automatic sends before a message is marked failed
+    const TRANSFER_TIMEOUT_MS = 30_000; // per uploaded chunk / whole download
+    const PREVIEW_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    const TYPING_SEND_INTERVAL_MS = 1_500;
+    const TYPING_DISPLAY_MS = 4_000;
+    const HELD_MAX = 200;              // messages held per alias while its key change is unconfirmed
+    const KDF_MAX_MEMORY = 64 * 1024 * 1024; // cap for Argon2id / scrypt, calibrating ours and accepting a peer's
+    const KDF_ACCEPT = { maxMemory: KDF_MAX_MEMORY, maxIterations: 1_000_000, maxPasses: 4 }; // most a peer's header may cost us
+    const PADDING_COMMANDS = { bloques: 'buckets', padme: 'padme', off: 'none' }; // /relleno → CryptoBrowser policy
 
     // ── State ──────────────────────────────────────────────
     let ws = null;
-    let sessionPassword = null;
+    let passwordKeyring = null;  // optional fallback shared secret (CryptoBrowser keyring)
+    let passwordKdf = null;      // Promise<{ kdf, ...params }> calibrated once per page for it
+    let identity = null;     // { privateKey, publicKey } — answers the register challenge
+    let keyAgreement = null; // { privateKey, publicKey } — ephemeral ECDH pair
+    const peers = new Map();       // alias → { publicKey, identityKey, key }
+    const identities = new Map();  // alias → identity key accepted this session
+    const verified = new Set();    // aliases whose safety number the user confirmed
+    const keyChanges = new Map();  // alias → peer_key with a new identity, blocked until accepted
+    const heldMessages = new Map(); // alias → messages received while blocked
+    let verifyPrompt = null;       // { alias, identityKey, changed } shown in the verify overlay
+    const keyRequests = new Map(); // alias → [resolve] awaiting peer_key
+    const sessions = new Map();    // alias → { peerKey, ratchet: Promise }
+    const rooms = new Map();       // roomId → { id, name, owner, quorum, members }
+    let activeRoom = null;         // roomId, or null for direct messages
+    let messageTtl = null;         // seconds until unseen messages expire; null = server default
+    const seenElsewhere = new Set(); // message ids already seen on another device
+    const handledIds = new Set();  // message ids already shown here
+    const unackedSeen = new Set(); // ids we sent `seen` for, awaiting ack_seen
+    let resumeToken = null;        // `session` from the last registered, to resume with
+    let lastSeq = 0;               // highest queue seq received; the server skips up to it
+    const outgoing = new Map();    // clientId → { clientId, el, id, state } for our sent bubbles
+    const outgoingIds = new Map(); // server message id → clientId
+    const sentDirect = new Map();  // server message id → { id, to, el, replyToken?, attachment } for /borrar, /editar and reactions
+    const pendingEdits = new Map(); // message id → new text awaiting ack_edit
+    const retracted = new Map();   // message id → sender (null if sealed) that withdrew it before we showed it
+    const heldEdits = new Map();   // message id → latest message_edited that arrived before we showed it
+    let outboxFlush = null;        // running flushOutbox(), if any
+    const uploads = new Map();     // attachmentId → { resolve, reject } awaiting attachment_stored
+    const downloads = new Map();   // attachmentId → { chunks, received, resolve, reject } from attachment_data
+    let sharePresence = false;     // opt-in: others only see us with /presencia on
+    let sealedSender = false;      // opt-in: /sellado on hides our alias from the server
+    let paddingPolicy = 'buckets'; // /relleno: CryptoBrowser padding for everything we encrypt
+    let watchedPeer = null;        // alias whose presence we follow
+    let peerPresence = null;       // { status, since } of watchedPeer
+    let peerTypingTimer = null;    // clears the "escribiendo…" hint
+    let lastTypingSent = 0;
     let userId = null;
     let recipientId = null;
     let isConnected = false;
+    let isRegistered = false;      // the server accepted our register/auth on this socket
     let reconnectAttempts = 0;
     let reconnectTimer = null;
 
@@ -36,12 +94,23 @@ const GhostChat = (() => {
         messages:       document.getElementById('ghost-messages'),
         input:          document.getElementById('ghost-input'),
         sendBtn:        document.getElementById('ghost-send-btn'),
+        attachBtn:      document.getElementById('ghost-attach-btn'),
+        fileInput:      document.getElementById('ghost-file'),
         connStatus:     document.getElementById('ghost-conn-status'),
         passwordModal:  document.getElementById('ghost-password-overlay'),
         passwordInput:  document.getElementById('ghost-password'),
         passwordBtn:    document.getElementById('ghost-password-btn'),
         aliasInput:     document.getElementById('ghost-alias'),
         recipientInput: document.getElementById('ghost-recipient'),
+        roomSelect:     document.getElementById('ghost-room'),
+        peerStatus:     document.getElementById('ghost-peer-status'),
+        verifyModal:    document.getElementById('ghost-verify-overlay'),
+        verifyTitle:    document.getElementById('ghost-verify-title'),
+        verifyText:     document.getElementById('ghost-verify-text'),
+        safetyNumber:   document.getElementById('ghost-safety-number'),
+        safetyQr:       document.getElementById('ghost-safety-qr'),
+        verifyConfirm:  document.getElementById('ghost-verify-confirm'),
+        verifyCancel:   document.getElementById('ghost-verify-cancel'),
     });
 
     // ── Initialize ─────────────────────────────────────────
@@ -54,6 +123,11 @@ const GhostChat = (() => {
             if (e.key === 'Enter') handlePasswordSubmit();
         });
 
+        d.roomSelect.addEventListener('change', () => {
+            activeRoom = d.roomSelect.value || null;
+            renderPeerStatus();
+        });
+
         d.sendBtn.addEventListener('click', handleSend);
         d.input.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -61,27 +135,95 @@ const GhostChat = (() => {
                 handleSend();
             }
         });
+        d.input.addEventListener('input', handleTypingInput);
+
+        d.attachBtn.addEventListener('click', () => d.fileInput.click());
+        d.fileInput.addEventListener('change', () => {
+            const file = d.fileInput.files[0];
+            d.fileInput.value = '';
+            if (file) handleAttach(file);
+        });
+
+        d.verifyConfirm.addEventListener('click', confirmVerifyPrompt);
+        d.verifyCancel.addEventListener('click', closeVerifyPrompt);
+
+        document.addEventListener('visibilitychange', sendPresence);
     }
 
-    function handlePasswordSubmit() {
+    async function handlePasswordSubmit() {
         const d = dom();
         const alias = (d.aliasInput.value || '').trim();
         const pw    = (d.passwordInput.value || '').trim();
         const to    = (d.recipientInput.value || '').trim();
 
-        if (!alias || !pw) return;
+        if (!alias) return;
+
+        if (!identity) {
+            try {
+                identity = await CryptoBrowser.generateIdentityKeyPair();
+                keyAgreement = await CryptoBrowser.generateKeyAgreementPair();
+            } catch {
+                addSystemMessage('\u26A0 No se pudo generar la identidad');
+                return;
+            }
+        }
 
+        if (userId !== alias) {
+            // Keys and ratchets are bound to our alias
+            peers.clear();
+            sessions.clear();
+            clearVerification();
+            seenElsewhere.clear();
+            outgoing.clear();
+            outgoingIds.clear();
+            // A resume token and cursor belong to the old alias's queue
+            handledIds.clear();
+            unackedSeen.clear();
+            resumeToken = null;
+            lastSeq = 0;
+        }
         userId = alias;
-        sessionPassword = pw;
+        if (passwordKeyring) passwordKeyring.destroy();
+        passwordKeyring = null;
         recipientId = to || null;
 
         d.passwordModal.classList.remove('active');
         d.input.focus();
 
+        // The chosen KDF and its cost travel in every envelope header
+        if (pw) {
+            if (!passwordKdf) addSystemMessage('Calibrando la clave compartida\u2026');
+            passwordKdf = passwordKdf || calibratePasswordKdf();
+            const kdf = await passwordKdf;
+            passwordKeyring = CryptoBrowser.createPasswordKeyring(pw, { ...kdf, accept: KDF_ACCEPT });
+            addSystemMessage('Clave compartida \u00B7 ' + describeKdf(kdf));
+        }
+
         connectWebSocket();
         addSystemMessage('Sesión cifrada iniciada · clave efímera en memoria');
     }
 
+    /**
+     * Strongest KDF this page can run (Argon2id on WASM, then scrypt,
+     * then PBKDF2), tuned to take about half a second here.
+     */
+    async function calibratePasswordKdf() {
+        for (const kdf of CryptoBrowser.availableKdfs()) {
+            try {
+                return await CryptoBrowser.calibrateKdf(kdf, { accept: KDF_ACCEPT });
+            } catch {
+                // WASM failed to run: try the next one
+            }
+        }
+        return { kdf: 'pbkdf2' };
+    }
+
+    function describeKdf({ kdf, ...params }) {
+        if (kdf === 'argon2id') return `Argon2id \u00B7 ${params.memory / 1024} MiB \u00B7 ${params.passes} pasadas`;
+        if (kdf === 'scrypt') return `scrypt \u00B7 N = 2^${params.logN}`;
+        return `PBKDF2 \u00B7 ${params.iterations || CryptoBrowser.PBKDF2_ITERATIONS} iteraciones`;
+    }
+
     // ── WebSocket ──────────────────────────────────────────
 
     function connectWebSocket() {
@@ -105,9 +247,11 @@ const GhostChat = (() => {
             reconnectAttempts = 0;
             updateConnectionUI(true);
 
-            // Register with the backend
-            ws.send(JSON.stringify({ type: 'register', userId }));
-            addSystemMessage('Conexión establecida · registrado como ' + userId);
+            // Register with the backend — completed once the challenge is signed.
+            // With a resume token the server skips what we already received.
+            const register = { type: 'register', userId, publicKey: identity.publicKey, version: Protocol.VERSION };
+            if (resumeToken) Object.assign(register, { resume: resumeToken, cursor: lastSeq });
+            transmit(register);
         });
 
         ws.addEventListener('message', async (event) => {
@@ -119,7 +263,68 @@ const GhostChat = (() => {
             }
 
             switch (msg.type) {
+                case 'challenge':
+                    await answerChallenge(msg.nonce);
+                    break;
+
+                case 'registered':
+                    addSystemMessage('Conexión establecida · registrado como ' + msg.userId);
+                    isRegistered = true;
+                    resumeToken = msg.session || null;
+                    // A fresh session redelivers the whole queue: handledIds filters it
+                    if (!msg.resumed) lastSeq = 0;
+                    resendUnackedSeen();
+                    // Peers may have rotated keys while we were away
+                    peers.clear();
+                    await publishKey();
+                    transmit({ type: 'list_rooms' });
+                    sendPresence();
+                    if (recipientId) watchPeer(recipientId, true);
+                    claimReplies();
+                    flushOutbox();
+                    break;
+
+                case 'presence':
+                    if (msg.userId === watchedPeer) {
+                        peerPresence = { status: msg.status, since: msg.since };
+                        renderPeerStatus();
+                    }
+                    break;
+
+                case 'presence_set':
+                    break;
+
+                case 'typing':
+                    handlePeerTyping(msg);
+                    break;
+
+                case 'rooms':
+                    rooms.clear();
+                    for (const room of msg.rooms || []) rooms.set(room.id, room);
+                    renderRooms();
+                    break;
+
+                case 'room_update':
+                    handleRoomUpdate(msg.room);
+                    break;
+
+                case 'room_removed':
+                    handleRoomRemoved(msg);
+                    break;
+
+                case 'peer_key':
+                    await handlePeerKey(msg);
+                    break;
+
+                case 'key_published':
+                    break;
+
+                case 'auth_error':
+                    handleAuthError(msg);
+                    break;
+
                 case 'new_message':
+                    if (msg.message.from === watchedPeer) clearPeerTyping();
                     await handleIncomingMessage(msg.message);
                     break;
 
@@ -130,32 +335,95 @@ const GhostChat = (() => {
                             await handleIncomingMessage(m);
                         }
                     }
+                    if (msg.dropped) {
+                        addSystemMessage(`\u26A0 ${msg.dropped} mensaje(s) en cola se perdieron al reiniciarse el servidor`);
+                    }
                     break;
 
                 case 'message_sent':
-                    // Silent confirmation
+                    handleMessageSent(msg);
+                    break;
+
+                case 'attachment_stored':
+                    settleTransfer(uploads, msg.attachmentId, 'resolve', msg);
+                    break;
+
+                case 'attachment_data':
+                    handleAttachmentData(msg);
+                    break;
+
+                case 'message_delivered':
+                    for (const id of msg.messageIds || []) updateOutgoing(id, 'delivered');
                     break;
 
                 case 'message_seen':
-                    addSystemMessage('\u2713\u2713 Mensaje visto por ' + msg.seenBy);
+                    // Rooms count as seen once the quorum is reached
+                    if (!msg.room || msg.complete) updateOutgoing(msg.messageId, 'seen');
+                    if (msg.room) {
+                        addSystemMessage(`\u2713\u2713 Visto por ${msg.seenBy} en #${roomName(msg.room)} (${msg.seenCount}/${msg.required})`);
+                    } else {
+                        addSystemMessage('\u2713\u2713 Mensaje visto por ' + msg.seenBy);
+                    }
+                    break;
+
+                case 'message_expired':
+                    updateOutgoing(msg.messageId, 'expired');
+                    addSystemMessage(msg.room
+                        ? `\u231B Caducó sin verse por ${msg.to} en #${roomName(msg.room)}`
+                        : `\u231B Mensaje a ${msg.to} caducó sin ser visto`);
                     break;
 
                 case 'all_messages_seen':
-                    addSystemMessage('\u2713\u2713 ' + msg.seenBy + ' vio todos los mensajes');
+                    for (const id of msg.messageIds || []) updateOutgoing(id, 'seen');
+                    addSystemMessage(`\u2713\u2713 ${msg.seenBy} vio ${msg.count} mensaje(s)`);
+                    break;
+
+                case 'seen_elsewhere':
+                    handleSeenElsewhere(msg.messageIds || []);
                     break;
 
                 case 'ack_seen':
+                    unackedSeen.delete(msg.messageId);
+                    break;
+
                 case 'ack_seen_all':
                     break;
 
+                case 'message_retracted':
+                    handleRetracted(msg);
+                    break;
+
+                case 'message_edited':
+                    await handleEdited(msg);
+                    break;
+
+                case 'reaction':
+                    await handleReaction(msg);
+                    break;
+
+                case 'ack_retract':
+                    handleAckRetract(msg);
+                    break;
+
+                case 'ack_edit':
+                    handleAckEdit(msg);
+                    break;
+
                 case 'error':
-                    addSystemMessage('\u26A0 ' + (msg.error || 'Error desconocido'));
+                    // A rejected send answers in place of its message_sent
+                    if (msg.clientId) handleSendError(msg);
+                    if (msg.attachmentId) failTransfers(msg.attachmentId, msg);
+                    if (msg.code === 'not_author') pendingEdits.delete(msg.messageId);
+                    addSystemMessage('\u26A0 ' + Protocol.describeError(msg));
                     break;
             }
         });
 
         ws.addEventListener('close', () => {
             isConnected = false;
+            isRegistered = false;
+            requeueUnconfirmed();
+            for (const id of [...uploads.keys(), ...downloads.keys()]) failTransfers(id, { code: 'closed' });
             updateConnectionUI(false);
             addSystemMessage('Conexión cerrada');
             scheduleReconnect();
@@ -167,13 +435,568 @@ const GhostChat = (() => {
         });
     }
 
+    /**
+     * Validates `payload` against the shared protocol schema (protocol.js)
+     * and sends it. Returns false, telling the user why, if it does not fit.
+     */
+    function transmit(payload) {
+        const result = Protocol.validate(payload);
+        if (!result.ok) {
+            addSystemMessage('\u26A0 ' + Protocol.describeError(result.error));
+            return false;
+        }
+        ws.send(JSON.stringify(result.message));
+        return true;
+    }
+
+    async function answerChallenge(nonce) {
+        if (!identity || !ws || ws.readyState !== WebSocket.OPEN) return;
+        // Must match challengeMessage() in server.js
+        const signature = await CryptoBrowser.sign(
+            identity.privateKey,
+            `volatile-chat:register:${userId}:${nonce}`
+        );
+        transmit({ type: 'auth', signature });
+    }
+
+    // ── Key Agreement ──────────────────────────────────────
+
+    async function publishKey() {
+        // Must match prekeyMessage() in server.js
+        const signature = await CryptoBrowser.sign(
+            identity.privateKey,
+            `volatile-chat:prekey:${userId}:${keyAgreement.publicKey}`
+        );
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            transmit({ type: 'publish_key', publicKey: keyAgreement.publicKey, signature });
+        }
+    }
+
+    function requestPeer(alias) {
+        if (peers.has(alias)) return Promise.resolve(peers.get(alias));
+        return fetchPeer(alias);
+    }
+
+    function fetchPeer(alias) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return Promise.resolve(null);
+        if (keyChanges.has(alias)) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            const waiting = keyRequests.get(alias);
+            if (waiting) {
+                waiting.push(resolve);
+                return;
+            }
+            keyRequests.set(alias, [resolve]);
+            transmit({ type: 'key_request', userId: alias });
+            setTimeout(() => settleKeyRequest(alias, null), KEY_REQUEST_TIMEOUT_MS);
+        });
+    }
+
+    function settleKeyRequest(alias, peer) {
+        const waiting = keyRequests.get(alias);
+        if (!waiting) return;
+        keyRequests.delete(alias);
+        waiting.forEach((resolve) => resolve(peer));
+    }
+
+    async function handlePeerKey(msg) {
+        let peer = null;
+
+        if (msg.publicKey && msg.identityKey && keyAgreement) {
+            // The ECDH key must be signed by the alias' identity key
+            const valid = await CryptoBrowser.verify(
+                msg.identityKey,
+                `volatile-chat:prekey:${msg.userId}:${msg.publicKey}`,
+                msg.signature
+            );
+            const known = identities.get(msg.userId);
+            if (valid && known && known !== msg.identityKey) {
+                // Same alias, another identity: a re-registered alias or a
+                // server in the middle. Nothing goes in or out until the
+                // user looks at the new safety number.
+                blockPeer(msg);
+            } else if (valid) {
+                peer = await acceptPeerKey(msg);
+            }
+        }
+
+        settleKeyRequest(msg.userId, peer);
+    }
+
+    async function acceptPeerKey(msg) {
+        const key = await CryptoBrowser.deriveConversationKey(
+            keyAgreement, msg.publicKey, userId, msg.userId
+        );
+        const peer = { publicKey: msg.publicKey, identityKey: msg.identityKey, key };
+        identities.set(msg.userId, msg.identityKey);
+        peers.set(msg.userId, peer);
+        return peer;
+    }
+
+    // ── Verification (safety numbers) ──────────────────────
+
+    function blockPeer(msg) {
+        const alias = msg.userId;
+        const firstNotice = !keyChanges.has(alias);
+        keyChanges.set(alias, msg);
+        peers.delete(alias);
+        sessions.delete(alias);
+        verified.delete(alias);
+        renderPeerStatus();
+        if (firstNotice) {
+            addSystemMessage(`\u26A0 La clave de identidad de ${alias} cambi\u00F3 \u00B7 mensajes retenidos hasta que la confirmes`);
+        }
+        if (!verifyPrompt || verifyPrompt.alias !== alias) openVerifyPrompt(alias, msg.identityKey, true);
+    }
+
+    // Held until the user accepts the new key (or the session ends)
+    function holdMessage(chatMsg) {
+        const held = heldMessages.get(chatMsg.from) || [];
+        if (held.length < HELD_MAX && !held.some((m) => m.id === chatMsg.id)) held.push(chatMsg);
+        heldMessages.set(chatMsg.from, held);
+    }
+
+    async function acceptKeyChange(alias) {
+        const msg = keyChanges.get(alias);
+        if (!msg) return;
+        keyChanges.delete(alias);
+        identities.delete(alias);
+        await acceptPeerKey(msg);
+        addSystemMessage(`Nueva clave de ${alias} aceptada \u00B7 sin verificar`);
+        renderPeerStatus();
+
+        const held = heldMessages.get(alias) || [];
+        heldMessages.delete(alias);
+        for (const chatMsg of held) await handleIncomingMessage(chatMsg);
+    }
+
+    /** /verificar [alias]: safety number of the conversation with `alias`. */
+    async function startVerification(alias) {
+        if (!alias || alias === userId) {
+            addSystemMessage('\u26A0 Uso: /verificar <alias>');
+            return;
+        }
+        const change = keyChanges.get(alias);
+        if (change) {
+            openVerifyPrompt(alias, change.identityKey, true);
+            return;
+        }
+        const peer = await requestPeer(alias);
+        if (!peer) {
+            addSystemMessage('\u26A0 ' + alias + ' no tiene clave publicada');
+            return;
+        }
+        openVerifyPrompt(alias, peer.identityKey, false);
+    }
+
+    async function openVerifyPrompt(alias, identityKey, changed) {
+        const prompt = { alias, identityKey, changed };
+        verifyPrompt = prompt;
+        const d = dom();
+        d.verifyTitle.textContent = changed
+            ? '\u26A0 LA CLAVE CAMBI\u00D3'
+            : '\uD83D\uDEE1 VERIFICAR A ' + alias.toUpperCase();
+        d.verifyText.textContent = changed
+            ? `${alias} se present\u00F3 con otra clave de identidad. Puede que haya vuelto a registrarse, o que alguien est\u00E9 en medio. Compara este n\u00FAmero con ${alias} por otro canal antes de aceptar.`
+            : `Compara estos n\u00FAmeros (o el QR) con ${alias} en persona o por otro canal. Si coinciden, nadie est\u00E1 en medio.`;
+        d.verifyConfirm.textContent = changed ? 'Aceptar nueva clave' : 'Marcar como verificado';
+        d.verifyCancel.textContent = changed ? 'Mantener bloqueado' : 'Cerrar';
+        d.safetyNumber.textContent = 'calculando\u2026';
+        d.verifyModal.classList.toggle('changed', changed);
+        d.verifyModal.classList.add('active');
+
+        const digits = await CryptoBrowser.safetyNumber(userId, identity.publicKey, alias, identityKey);
+        if (verifyPrompt !== prompt) return;
+        d.safetyNumber.textContent = digits.match(/\d{5}/g).join(' ');
+        QRCode.render(d.safetyQr, digits);
+    }
+
+    async function confirmVerifyPrompt() {
+        const prompt = verifyPrompt;
+        if (!prompt) return;
+        closeVerifyPrompt();
+        if (prompt.changed) {
+            await acceptKeyChange(prompt.alias);
+            return;
+        }
+        // Only the identity that was on screen counts as verified
+        if (identities.get(prompt.alias) !== prompt.identityKey) return;
+        verified.add(prompt.alias);
+        addSystemMessage(`\u2714 ${prompt.alias} verificado en esta sesi\u00F3n`);
+        renderPeerStatus();
+    }
+
+    function closeVerifyPrompt() {
+        verifyPrompt = null;
+        dom().verifyModal.classList.remove('active');
+    }
+
+    function clearVerification() {
+        identities.clear();
+        verified.clear();
+        keyChanges.clear();
+        heldMessages.clear();
+        closeVerifyPrompt();
+    }
+
+    /**
+     * Ratchet session with a peer, rebuilt whenever the peer's session
+     * key changes. The lower alias initiates so both sides agree on
+     * roles without a handshake.
+     */
+    function getSession(alias, peer) {
+        let session = sessions.get(alias);
+        if (!session || session.peerKey !== peer.publicKey) {
+            session = { peerKey: peer.publicKey, ratchet: createSession(alias, peer.publicKey) };
+            sessions.set(alias, session);
+        }
+        return session.ratchet;
+    }
+
+    async function createSession(alias, peerPublicKey) {
+        const sk = await CryptoBrowser.deriveRatchetSecret(keyAgreement, peerPublicKey, userId, alias);
+        return userId < alias
+            ? CryptoBrowser.createRatchetInitiator(sk, peerPublicKey)
+            : CryptoBrowser.createRatchetResponder(sk, keyAgreement);
+    }
+
+    function parseEnvelope(content) {
+        if (typeof content !== 'string' || content[0] !== '{') return null;
+        try {
+            const envelope = JSON.parse(content);
+            return envelope && (envelope.v === ENVELOPE_RATCHET || envelope.v === ENVELOPE_ECDH)
+                ? envelope
+                : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Encrypts for a recipient. Content is an opaque string for the server:
+     *   Ratchet:  JSON { v: 'dr1', k: senderSessionKey, h: { dh, pn, n, p? }, c: base64(IV | CT | Tag) }
+     *   Self:     JSON { v: 'ecdh1', k: senderSessionKey, p?, c: base64(IV | CT+Tag) }
+     *   Fallback: password keyring envelope (one PBKDF2 per conversation)
+     * The plaintext is padded under paddingPolicy; `p: 1` (bound into the
+     * AAD) or the envelope's version bit tells the reader.
+     * Returns null when neither a peer key nor a shared password is available.
+     */
+    async function encryptFor(to, text) {
+        if (keyChanges.has(to)) throw new Error('Peer identity changed.');
+        const padding = paddingPolicy;
+        const peer = await requestPeer(to);
+        if (peer && to === userId) {
+            const p = padding === 'none' ? undefined : 1;
+            const c = await CryptoBrowser.encryptWithKey(text, peer.key, selfAAD(`${userId}>${to}`, p), { padding });
+            return JSON.stringify({ v: ENVELOPE_ECDH, k: keyAgreement.publicKey, p, c });
+        }
+        if (peer) {
+            const ratchet = await getSession(to, peer);
+            const { header, ciphertext } = await ratchet.encrypt(text, `${userId}>${to}`, { padding });
+            return JSON.stringify({ v: ENVELOPE_RATCHET, k: keyAgreement.publicKey, h: header, c: ciphertext });
+        }
+        if (passwordKeyring) {
+            return passwordKeyring.encrypt(text, `${userId}>${to}`, { padding });
+        }
+        return null;
+    }
+
+    // Notes to self: encryptWithKey does not record the padding, so the AAD does
+    function selfAAD(aad, padded) {
+        return padded ? `${aad}|p` : aad;
+    }
+
+    async function decryptContent(chatMsg) {
+        if (chatMsg.sealed && !chatMsg.from) throw new Error('Sealed sender did not open.');
+        const envelope = parseEnvelope(chatMsg.content);
+        if (!envelope) {
+            if (!passwordKeyring) throw new Error('No shared password.');
+            return passwordKeyring.decrypt(chatMsg.content, `${chatMsg.from}>${chatMsg.to}`);
+        }
+
+        // The sender may have started a new session since we cached its key
+        let peer = await requestPeer(chatMsg.from);
+        if (!peer || peer.publicKey !== envelope.k) peer = await fetchPeer(chatMsg.from);
+        if (!peer || peer.publicKey !== envelope.k) throw new Error('Unknown sender key.');
+
+        const aad = `${chatMsg.from}>${chatMsg.to}`;
+        if (envelope.v === ENVELOPE_RATCHET) {
+            const ratchet = await getSession(chatMsg.from, peer);
+            return ratchet.decrypt(envelope.h, envelope.c, aad);
+        }
+        const padded = envelope.p === 1;
+        return CryptoBrowser.decryptWithKey(envelope.c, peer.key, selfAAD(aad, padded), { padded });
+    }
+
+    // ── Sealed sender ──────────────────────────────────────
+
+    /**
+     * Hides our alias from the server: the recipient learns it from the
+     * sealed payload. Seen/expired notices come back by `replyToken`,
+     * kept on the entry so a resend is recognized as the same message.
+     */
+    async function sealPayload(entry, content) {
+        const peer = await requestPeer(entry.target.to);
+        if (!peer) return null;
+        entry.replyToken = entry.replyToken || randomToken();
+        return {
+            type: 'send_sealed',
+            to: entry.target.to,
+            content: await CryptoBrowser.sealSender(peer.publicKey, entry.target.to, userId, content),
+            replyToken: entry.replyToken,
+            ttl: messageTtl,
+            clientId: entry.clientId,
+        };
+    }
+
+    function randomToken() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /** Opens a sealed message addressed to us. Null if it does not open. */
+    async function unsealMessage(chatMsg) {
+        try {
+            const { sender, content } = await CryptoBrowser.openSealedSender(keyAgreement, chatMsg.content, userId);
+            return { ...chatMsg, from: sender, content };
+        } catch {
+            return null;
+        }
+    }
+
+    // After (re)registering: notices for sealed sends still unanswered
+    function claimReplies() {
+        const tokens = [];
+        for (const entry of outgoing.values()) {
+            if (entry.replyToken && entry.id) tokens.push(entry.replyToken);
+        }
+        if (tokens.length > 0) {
+            transmit({ type: 'claim_replies', tokens: tokens.slice(-Protocol.LIMITS.replyClaims) });
+        }
+    }
+
+    // ── Rooms ──────────────────────────────────────────────
+
+    function roomName(roomId) {
+        const room = rooms.get(roomId);
+        return room ? room.name : 'sala';
+    }
+
+    function renderRooms() {
+        const select = dom().roomSelect;
+        if (activeRoom && !rooms.has(activeRoom)) activeRoom = null;
+
+        select.innerHTML = '';
+        select.appendChild(new Option('Directo', ''));
+        for (const room of rooms.values()) {
+            select.appendChild(new Option('#' + room.name, room.id));
+        }
+        select.value = activeRoom || '';
+    }
+
+    function handleRoomUpdate(room) {
+        const previous = rooms.get(room.id);
+        rooms.set(room.id, room);
+        if (!previous) {
+            addSystemMessage(`Sala #${room.name} · ${room.members.join(', ')}`);
+            // Switch to rooms we just created
+            if (room.owner === userId) activeRoom = room.id;
+        } else if (previous.members.join() !== room.members.join()) {
+            addSystemMessage(`#${room.name} · miembros: ${room.members.join(', ')}`);
+        }
+        renderRooms();
+    }
+
+    function handleRoomRemoved(msg) {
+        const name = roomName(msg.room);
+        rooms.delete(msg.room);
+        renderRooms();
+        addSystemMessage(msg.reason === 'kicked'
+            ? `\u26A0 Te expulsaron de #${name}`
+            : `Saliste de #${name}`);
+    }
+
+    /**
+     * Parses "90", "30s", "15m", "2h" or "1d" into seconds (null if invalid).
+     */
+    function parseDuration(value) {
+        const match = /^(\d+)([smhd]?)$/.exec(value || '');
+        if (!match) return null;
+        const unit = { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+        const seconds = parseInt(match[1], 10) * unit;
+        return seconds > 0 ? seconds : null;
+    }
+
+    /**
+     * Commands from the input bar:
+     *   /sala <nombre> [alias …] [quorum=N]
+     *   /invitar <alias>   /expulsar <alias>   /salir
+     *   /ttl <duración|off>
+     *   /presencia on|off   /sellado on|off
+     *   /relleno bloques|padme|off
+     *   /verificar [alias]
+     *   /borrar   /editar <texto>   /reaccionar <emoji>
+     */
+    function handleCommand(text) {
+        const [command, ...args] = text.split(/\s+/);
+
+        if (command === '/ttl') {
+            if (args[0] === 'off') {
+                messageTtl = null;
+                addSystemMessage('Caducidad: la del servidor');
+            } else if (parseDuration(args[0])) {
+                messageTtl = parseDuration(args[0]);
+                addSystemMessage(`Caducidad: ${args[0]} si no se ven`);
+            } else {
+                addSystemMessage('\u26A0 Uso: /ttl 30m | 2h | 1d | off');
+            }
+            return;
+        }
+
+        if (command === '/presencia' && ['on', 'off'].includes(args[0])) {
+            sharePresence = args[0] === 'on';
+            sendPresence();
+            addSystemMessage(sharePresence
+                ? 'Presencia visible · los demás ven si estás en línea o escribiendo'
+                : 'Presencia oculta · apareces desconectado');
+            return;
+        }
+
+        if (command === '/relleno' && PADDING_COMMANDS[args[0]]) {
+            paddingPolicy = PADDING_COMMANDS[args[0]];
+            addSystemMessage({
+                buckets: 'Relleno por bloques · los mensajes cortos cifrados miden lo mismo',
+                padme: 'Relleno PADM\u00C9 · tama\u00F1o redondeado (hasta un 12 % m\u00E1s)',
+                none: 'Sin relleno · el tama\u00F1o cifrado delata la longitud del mensaje',
+            }[paddingPolicy]);
+            return;
+        }
+
+        if (command === '/sellado' && ['on', 'off'].includes(args[0])) {
+            sealedSender = args[0] === 'on';
+            addSystemMessage(sealedSender
+                ? 'Remitente sellado · el servidor no sabe a quién escribes (sin adjuntos ni «entregado»)'
+                : 'Remitente visible para el servidor');
+            return;
+        }
+
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+            addSystemMessage('\u26A0 Sin conexión');
+            return;
+        }
+
+        if (command === '/verificar') {
+            startVerification(args[0] || watchedPeer || recipientId);
+            return;
+        }
+
+        if (command === '/borrar' || command === '/editar') {
+            const sent = lastSentDirect();
+            const newText = text.slice(command.length).trim();
+            if (!sent) {
+                addSystemMessage('\u26A0 No hay un mensaje directo tuyo que cambiar');
+            } else if (command === '/borrar') {
+                transmit({ type: 'retract', to: sent.to, messageId: sent.id, replyToken: sent.replyToken });
+            } else if (!newText || sent.attachment) {
+                addSystemMessage('\u26A0 Uso: /editar <texto> (los adjuntos no se editan)');
+            } else {
+                editMessage(sent, newText);
+            }
+            return;
+        }
+
+        if (command === '/reaccionar' && args[0]) {
+            reactToLast(args[0]);
+            return;
+        }
+
+        if (command === '/sala' && args.length > 0) {
+            const quorumArg = args.find((a) => /^quorum=\d+$/.test(a));
+            const members = args.slice(1).filter((a) => a !== quorumArg);
+            transmit({
+                type: 'create_room',
+                name: args[0],
+                members,
+                quorum: quorumArg ? parseInt(quorumArg.split('=')[1], 10) : null,
+            });
+            return;
+        }
+
+        if (['/invitar', '/expulsar', '/salir'].includes(command)) {
+            if (!activeRoom) {
+                addSystemMessage('\u26A0 Selecciona una sala primero');
+                return;
+            }
+            const type = { '/invitar': 'invite', '/expulsar': 'kick', '/salir': 'leave' }[command];
+            if (type !== 'leave' && !args[0]) {
+                addSystemMessage('\u26A0 Indica un alias');
+                return;
+            }
+            transmit({ type, room: activeRoom, userId: args[0] });
+            return;
+        }
+
+        addSystemMessage('\u26A0 Comandos: /sala <nombre> [alias…] [quorum=N], /invitar, /expulsar, /salir, /ttl, /presencia on|off, /sellado on|off, /relleno bloques|padme|off, /verificar [alias], /borrar, /editar <texto>, /reaccionar <emoji>');
+    }
+
+    /**
+     * Encrypts the text separately for every other member (pairwise
+     * sessions) into one room_message with all the copies.
+     */
+    async function buildRoomPayload(roomId, text, clientId) {
+        const room = rooms.get(roomId);
+        if (!room) {
+            addSystemMessage('\u26A0 Ya no estás en esa sala');
+            return null;
+        }
+        const contents = {};
+        const skipped = [];
+
+        for (const member of room.members) {
+            if (member === userId) continue;
+            try {
+                const encrypted = await encryptFor(member, text);
+                if (encrypted) contents[member] = encrypted;
+                else skipped.push(member);
+            } catch {
+                skipped.push(member);
+            }
+        }
+
+        if (Object.keys(contents).length === 0) {
+            addSystemMessage(`\u26A0 Nadie en #${room.name} tiene clave publicada`);
+            return null;
+        }
+        if (skipped.length > 0) {
+            addSystemMessage('\u26A0 Sin clave, no recibirán el mensaje: ' + skipped.join(', '));
+        }
+        return { type: 'room_message', room: roomId, contents, ttl: messageTtl, clientId };
+    }
+
+    function handleAuthError(msg) {
+        addSystemMessage('\u26A0 ' + Protocol.describeError(msg));
+
+        if (msg.code === 'alias_taken') {
+            // Someone else owns this alias — stop reconnecting and ask again
+            userId = null;
+            if (ws) ws.close();
+            const d = dom();
+            d.passwordModal.classList.add('active');
+            setTimeout(() => d.aliasInput.focus(), 400);
+        } else if (ws) {
+            // Transient failure: the reconnect cycle will register again
+            ws.close();
+        }
+    }
+
     function scheduleReconnect() {
         if (reconnectTimer) return;
         const delay = Math.min(RECONNECT_BASE_MS * Math.pow(2, reconnectAttempts), RECONNECT_MAX_MS);
         reconnectAttempts++;
         reconnectTimer = setTimeout(() => {
             reconnectTimer = null;
-            if (sessionPassword && userId) connectWebSocket();
+            if (identity && userId) connectWebSocket();
         }, delay);
     }
 
@@ -188,81 +1011,371 @@ const GhostChat = (() => {
         }
     }
 
+    // ── Presence & Typing ──────────────────────────────────
+
+    function sendPresence() {
+        if (!ws || ws.readyState !== WebSocket.OPEN || !userId) return;
+        transmit({
+            type: 'set_presence',
+            status: document.hidden ? 'away' : 'online',
+            share: sharePresence,
+        });
+    }
+
+    /** Follows `alias`' presence, dropping the previous peer. */
+    function watchPeer(alias, force = false) {
+        if (alias === watchedPeer && !force) return;
+        const open = ws && ws.readyState === WebSocket.OPEN;
+        if (open && watchedPeer && watchedPeer !== alias) {
+            transmit({ type: 'unwatch_presence', userId: watchedPeer });
+        }
+        watchedPeer = alias;
+        peerPresence = null;
+        clearPeerTyping();
+        if (open && alias) transmit({ type: 'watch_presence', userId: alias });
+    }
+
+    function sendTyping(active) {
+        if (!sharePresence || activeRoom || !recipientId) return;
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        const now = Date.now();
+        if (active && now - lastTypingSent < TYPING_SEND_INTERVAL_MS) return;
+        lastTypingSent = active ? now : 0;
+        transmit({ type: 'typing', to: recipientId, active });
+    }
+
+    function handleTypingInput() {
+        const text = dom().input.value;
+        sendTyping(text.length > 0 && !text.startsWith('/'));
+    }
+
+    function handlePeerTyping(msg) {
+        if (msg.from !== watchedPeer) return;
+        clearTimeout(peerTypingTimer);
+        peerTypingTimer = msg.active
+            ? setTimeout(clearPeerTyping, TYPING_DISPLAY_MS)
+            : null;
+        renderPeerStatus(msg.active);
+    }
+
+    function clearPeerTyping() {
+        clearTimeout(peerTypingTimer);
+        peerTypingTimer = null;
+        renderPeerStatus();
+    }
+
+    function renderPeerStatus(typing = false) {
+        const el = dom().peerStatus;
+        if (!el) return;
+        if (!watchedPeer || activeRoom) {
+            el.textContent = '';
+            el.className = 'ghost-peer-status';
+            return;
+        }
+
+        const status = typing ? 'typing' : (peerPresence ? peerPresence.status : 'offline');
+        const labels = {
+            typing: 'escribiendo\u2026',
+            online: 'en l\u00EDnea',
+            away: 'ausente',
+            offline: 'desconectado',
+        };
+        let label = labels[status] || labels.offline;
+        if (status === 'offline' && peerPresence && peerPresence.since) {
+            label += ' \u00B7 desde ' + new Date(peerPresence.since)
+                .toLocaleTimeString('es-CL', { hour: '2-digit', minute: '2-digit' });
+        }
+        let mark = '';
+        if (keyChanges.has(watchedPeer)) mark = ' \u00B7 \u26A0 clave cambiada';
+        else if (verified.has(watchedPeer)) mark = ' \u00B7 \u2714 verificado';
+        el.textContent = `${watchedPeer} \u00B7 ${label}${mark}`;
+        el.className = `ghost-peer-status ${status}`;
+    }
+
     // ── Incoming Message (decrypt) ─────────────────────────
 
     async function handleIncomingMessage(chatMsg) {
-        // chatMsg = { id, from, to, content, timestamp }
+        // chatMsg = { id, from, to, content, attachment?, timestamp, seq }
+        // (sealed: { id, to, content, sealed: true, … } — `from` is inside)
+        if (chatMsg.seq > lastSeq) lastSeq = chatMsg.seq;
+        if (seenElsewhere.has(chatMsg.id)) return;
+        if (chatMsg.sealed && !chatMsg.from) chatMsg = (await unsealMessage(chatMsg)) || chatMsg;
+        if (keyChanges.has(chatMsg.from)) {
+            holdMessage(chatMsg);
+            return;
+        }
+
+        // Redelivered after a reconnect: already shown (and a ratchet
+        // message can't be decrypted twice). Marked before decrypting so
+        // a copy arriving meanwhile is dropped too.
+        if (handledIds.has(chatMsg.id)) return;
+        handledIds.add(chatMsg.id);
+        if (handledIds.size > HANDLED_MAX) {
+            handledIds.delete(handledIds.values().next().value);
+        }
+
         let displayText;
+        let attachment = null;
         try {
-            displayText = await CryptoBrowser.decryptWithPassword(chatMsg.content, sessionPassword);
+            displayText = await decryptContent(chatMsg);
+            if (chatMsg.attachment) attachment = parseAttachment(displayText);
         } catch {
+            // The sender's identity changed while we fetched its key
+            if (keyChanges.has(chatMsg.from)) {
+                handledIds.delete(chatMsg.id);
+                holdMessage(chatMsg);
+                return;
+            }
             displayText = 'Ruido ilegible';
         }
 
+        // Another device may have seen it, or the sender withdrawn it, while we were decrypting
+        if (seenElsewhere.has(chatMsg.id) || wasRetracted(chatMsg)) return;
+
         const label = chatMsg.from === userId ? 'sent' : 'received';
-        addMessage(displayText, label, chatMsg);
+        const el = addMessage(attachment ? attachmentLabel(attachment) : displayText, label, chatMsg);
+        await applyHeldEdit(chatMsg);
+
+        // `seen` deletes the attachment too: download it first
+        if (attachment) await showAttachment(el, chatMsg.attachment, attachment);
 
-        // Auto-mark as seen → triggers server-side deletion from Redis
-        if (label === 'received' && ws && ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify({ type: 'seen', messageId: chatMsg.id }));
+        // Auto-mark as seen → triggers server-side deletion from Redis.
+        // Kept until ack_seen: a seen lost with the socket is sent again.
+        if (label === 'received') {
+            unackedSeen.add(chatMsg.id);
+            if (ws && ws.readyState === WebSocket.OPEN) {
+                transmit({ type: 'seen', messageId: chatMsg.id });
+            }
+        }
+    }
+
+    // After (re)registering: confirm what we showed but the server never acked
+    function resendUnackedSeen() {
+        for (const messageId of unackedSeen) {
+            transmit({ type: 'seen', messageId });
         }
     }
 
+    // Another device of this alias saw these messages: wipe them here too
+    function handleSeenElsewhere(messageIds) {
+        for (const id of messageIds) {
+            seenElsewhere.add(id);
+            if (seenElsewhere.size > SEEN_ELSEWHERE_MAX) {
+                seenElsewhere.delete(seenElsewhere.values().next().value);
+            }
+        }
+
+        const wanted = new Set(messageIds);
+        dom().messages.querySelectorAll('.ghost-msg[data-message-id]').forEach((el) => {
+            if (!wanted.has(el.dataset.messageId)) return;
+            ephemeralObserver.unobserve(el);
+            el.classList.add('ephemeral-fade');
+            setTimeout(() => { removeBubble(el); }, EPHEMERAL_FADE_MS);
+        });
+    }
+
     // ── Send Message (encrypt) ─────────────────────────────
 
-    async function handleSend() {
+    function handleSend() {
         const d = dom();
         const text = d.input.value.trim();
-        if (!text || !sessionPassword || !userId) return;
+        if (!text || !userId) return;
+
+        if (text.startsWith('/')) {
+            d.input.value = '';
+            handleCommand(text);
+            return;
+        }
+
+        const target = resolveTarget();
+        if (!target) return;
+
+        d.input.value = '';
+        sendTyping(false);
+        // Sent now if connected, otherwise as soon as we register again
+        queueOutgoing(target, text);
+    }
+
+    /** { room } if a room is selected, else { to } — null (and a hint) without one */
+    function resolveTarget() {
+        if (activeRoom) return { room: activeRoom };
 
         // Determine recipient — check live input each time
+        const d = dom();
         const to = (d.recipientInput && d.recipientInput.value.trim()) || recipientId || null;
         if (!to) {
             addSystemMessage('\u26A0 Indica un destinatario');
-            return;
+            return null;
         }
         recipientId = to;
+        watchPeer(recipientId);
+        return { to };
+    }
 
-        d.input.value = '';
+    // ── Attachments ────────────────────────────────────────
+    // The file is encrypted in chunks under its own random key
+    // (CryptoBrowser.encryptAttachment) and uploaded before its message.
+    // The message is a normal end-to-end encrypted one whose text is the
+    // descriptor { name, type, size, key }; the server only links the
+    // chunks to its recipients and deletes them once seen or expired.
+
+    async function handleAttach(file) {
+        if (!userId) return;
+        if (file.size > Protocol.LIMITS.attachmentBytes) {
+            addSystemMessage(`\u26A0 Archivo demasiado grande (m\u00E1x. ${formatBytes(Protocol.LIMITS.attachmentBytes)})`);
+            return;
+        }
+        const target = resolveTarget();
+        if (!target) return;
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const descriptor = { name: file.name, type: file.type, size: file.size };
+        queueOutgoing(target, attachmentLabel(descriptor), { ...descriptor, bytes });
+    }
+
+    async function encryptUpload(file) {
+        const { key, chunks } = await CryptoBrowser.encryptAttachment(file.bytes);
+        file.bytes = null;
+        const descriptor = JSON.stringify({ name: file.name, type: file.type, size: file.size, key });
+        return { id: crypto.randomUUID(), descriptor, chunks, sent: 0 };
+    }
+
+    /** Uploads the chunks still missing, each confirmed by attachment_stored. */
+    async function uploadAttachment(upload) {
+        if (!upload.chunks) return;
+        const total = upload.chunks.length;
+        for (let index = upload.sent; index < total; index++) {
+            const stored = awaitTransfer(uploads, upload.id, {});
+            const chunk = { type: 'attachment_chunk', attachmentId: upload.id, index, total, data: upload.chunks[index] };
+            if (!transmit(chunk)) failTransfers(upload.id, { code: 'invalid_field' });
+            await stored;
+            upload.sent = index + 1;
+        }
+    }
+
+    /** Resolves with the chunks of an attachment addressed to us, in order. */
+    function fetchAttachment(attachmentId) {
+        const chunks = awaitTransfer(downloads, attachmentId, { chunks: [], received: 0 });
+        transmit({ type: 'attachment_fetch', attachmentId });
+        return chunks;
+    }
 
+    function handleAttachmentData(msg) {
+        const download = downloads.get(msg.attachmentId);
+        if (!download || download.chunks[msg.index] !== undefined) return;
+        download.chunks[msg.index] = msg.data;
+        if (++download.received === msg.total) {
+            settleTransfer(downloads, msg.attachmentId, 'resolve', download.chunks);
+        }
+    }
+
+    function awaitTransfer(transfers, attachmentId, state) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(
+                () => settleTransfer(transfers, attachmentId, 'reject', { code: 'timeout' }),
+                TRANSFER_TIMEOUT_MS
+            );
+            transfers.set(attachmentId, { ...state, resolve, reject, timer });
+        });
+    }
+
+    function settleTransfer(transfers, attachmentId, outcome, value) {
+        const transfer = transfers.get(attachmentId);
+        if (!transfer) return;
+        transfers.delete(attachmentId);
+        clearTimeout(transfer.timer);
+        transfer[outcome](value);
+    }
+
+    function failTransfers(attachmentId, error) {
+        settleTransfer(uploads, attachmentId, 'reject', error);
+        settleTransfer(downloads, attachmentId, 'reject', error);
+    }
+
+    function parseAttachment(text) {
         try {
-            const encrypted = await CryptoBrowser.encryptWithPassword(text, sessionPassword);
+            const descriptor = JSON.parse(text);
+            return descriptor && typeof descriptor.name === 'string' && typeof descriptor.key === 'string'
+                && Number.isSafeInteger(descriptor.size)
+                ? descriptor
+                : null;
+        } catch {
+            return null;
+        }
+    }
 
-            if (ws && ws.readyState === WebSocket.OPEN) {
-                ws.send(JSON.stringify({
-                    type: 'send_message',
-                    to: recipientId,
-                    content: encrypted,
-                }));
-                addMessage(text, 'sent', null);
-            } else {
-                addSystemMessage('\u26A0 Sin conexión — mensaje no enviado');
-            }
+    /**
+     * Downloads and decrypts an attachment into its bubble: supported
+     * images inline, anything else as a download link. Never rendered
+     * as the sender's claimed type unless it is one of PREVIEW_TYPES.
+     */
+    async function showAttachment(el, attachmentId, descriptor) {
+        const body = el.querySelector('.ghost-msg-text');
+        let bytes;
+        try {
+            bytes = await CryptoBrowser.decryptAttachment(await fetchAttachment(attachmentId), descriptor.key);
         } catch {
-            addSystemMessage('\u26A0 Error de cifrado');
+            body.textContent += ' \u00B7 no disponible';
+            return;
+        }
+
+        const preview = PREVIEW_TYPES.includes(descriptor.type);
+        const url = URL.createObjectURL(new Blob([bytes], { type: preview ? descriptor.type : 'application/octet-stream' }));
+        el.dataset.objectUrl = url;
+
+        if (preview) {
+            const img = document.createElement('img');
+            img.className = 'ghost-msg-image';
+            img.alt = descriptor.name;
+            img.src = url;
+            body.appendChild(img);
+        } else {
+            const link = document.createElement('a');
+            link.className = 'ghost-msg-file';
+            link.href = url;
+            link.download = descriptor.name;
+            link.textContent = 'Descargar';
+            body.appendChild(link);
         }
     }
 
+    function attachmentLabel(descriptor) {
+        return `\uD83D\uDCCE ${descriptor.name} (${formatBytes(descriptor.size)})`;
+    }
+
+    function formatBytes(size) {
+        if (size < 1024) return `${size} B`;
+        if (size < 1024 * 1024) return `${Math.round(size / 1024)} KB`;
+        return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
     // ── Render Messages ────────────────────────────────────
 
     function addMessage(text, type, chatMsg) {
         const d = dom();
         const el = document.createElement('div');
         el.className = `ghost-msg ${type}`;
+        if (chatMsg && chatMsg.id) el.dataset.messageId = chatMsg.id;
+        // Who may retract or edit it (see handleRetracted)
+        if (chatMsg && chatMsg.from) el.dataset.from = chatMsg.from;
+        if (chatMsg && chatMsg.sealed) el.dataset.sealed = '1';
+        if (chatMsg && chatMsg.attachment) el.dataset.attachment = chatMsg.attachment;
 
         const time = chatMsg
             ? new Date(chatMsg.timestamp).toLocaleTimeString('es-CL', { hour: '2-digit', minute: '2-digit', second: '2-digit' })
             : new Date().toLocaleTimeString('es-CL', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
 
+        const roomLabel = chatMsg && chatMsg.room ? ' · #' + roomName(chatMsg.room) : '';
         const fromLabel = (type === 'received' && chatMsg)
-            ? `<span class="ghost-msg-from">${escapeHtml(chatMsg.from)}</span>`
+            ? `<span class="ghost-msg-from">${escapeHtml((chatMsg.from || 'sellado') + roomLabel)}</span>`
             : '';
 
         el.innerHTML = `
             ${fromLabel}
-            <div>${escapeHtml(text)}</div>
+            <div class="ghost-msg-text">${escapeHtml(text)}</div>
             <div class="ghost-msg-time">${time}</div>
         `;
+        if (chatMsg && chatMsg.editedAt) markEdited(el);
 
         d.messages.appendChild(el);
         d.messages.scrollTop = d.messages.scrollHeight;
@@ -270,6 +1383,382 @@ const GhostChat = (() => {
         if (type === 'received') {
             observeEphemeral(el);
         }
+        return el;
+    }
+
+    // ── Retract, Edit & Reactions ──────────────────────────
+    // Only the sender can retract or edit. While a message is queued
+    // the server checks; once delivered, the event names the sender
+    // (or comes sealed, checked by replyToken) and we only apply it to
+    // a bubble from that sender.
+
+    function rememberSentDirect(entry) {
+        entry.el.dataset.sentId = entry.id;
+        sentDirect.set(entry.id, {
+            id: entry.id,
+            to: entry.target.to,
+            el: entry.el,
+            replyToken: entry.replyToken || undefined,
+            attachment: Boolean(entry.file),
+        });
+        if (sentDirect.size > OUTGOING_MAX) {
+            sentDirect.delete(sentDirect.keys().next().value);
+        }
+    }
+
+    // Newest direct message of ours still on screen
+    function lastSentDirect() {
+        const sent = [...sentDirect.values()].reverse();
+        return sent.find((s) => s.el.isConnected) || null;
+    }
+
+    /** Received bubble `messageId`, if `event` may change it. */
+    function findFromSender(messageId, event) {
+        const bubbles = dom().messages.querySelectorAll('.ghost-msg[data-message-id]');
+        const el = Array.from(bubbles).find((b) => b.dataset.messageId === messageId);
+        if (!el) return null;
+        const mine = event.sealed ? el.dataset.sealed === '1' : !el.dataset.sealed && el.dataset.from === event.from;
+        return mine ? el : null;
+    }
+
+    function wasRetracted(chatMsg) {
+        if (!retracted.has(chatMsg.id)) return false;
+        const from = retracted.get(chatMsg.id);
+        return from === null ? Boolean(chatMsg.sealed) : from === chatMsg.from;
+    }
+
+    function handleRetracted(msg) {
+        const el = findFromSender(msg.messageId, msg);
+        if (!el) {
+            // Not shown yet: may still be decrypting
+            retracted.set(msg.messageId, msg.sealed ? null : msg.from);
+            if (retracted.size > SEEN_ELSEWHERE_MAX) {
+                retracted.delete(retracted.keys().next().value);
+            }
+            return;
+        }
+        ephemeralObserver.unobserve(el);
+        el.classList.add('ephemeral-fade');
+        setTimeout(() => { removeBubble(el); }, EPHEMERAL_FADE_MS);
+        addSystemMessage(`\u2715 ${el.dataset.from || 'sellado'} retir\u00F3 un mensaje`);
+    }
+
+    async function handleEdited(msg) {
+        const el = findFromSender(msg.messageId, msg);
+        if (!el) {
+            // Not shown yet: may still be decrypting (the newest edit wins)
+            const held = heldEdits.get(msg.messageId);
+            if (held && held.editedAt > msg.editedAt) return;
+            heldEdits.delete(msg.messageId);
+            heldEdits.set(msg.messageId, msg);
+            if (heldEdits.size > SEEN_ELSEWHERE_MAX) {
+                heldEdits.delete(heldEdits.keys().next().value);
+            }
+            return;
+        }
+        if (el.dataset.attachment) return;
+
+        let chatMsg = { id: msg.messageId, from: msg.from, to: userId, content: msg.content };
+        if (msg.sealed) {
+            chatMsg = await unsealMessage(chatMsg);
+            // The server checked the replyToken; the seal must name the same sender
+            if (!chatMsg || chatMsg.from !== el.dataset.from) return;
+        }
+        try {
+            setBubbleText(el, await decryptContent(chatMsg));
+        } catch {
+            // Unreadable edit: keep what we showed
+        }
+    }
+
+    /** Replays an edit that arrived while `chatMsg` was decrypting, unless its content already has it */
+    async function applyHeldEdit(chatMsg) {
+        const edit = heldEdits.get(chatMsg.id);
+        if (!edit) return;
+        heldEdits.delete(chatMsg.id);
+        if (!chatMsg.editedAt || edit.editedAt > chatMsg.editedAt) await handleEdited(edit);
+    }
+
+    async function handleReaction(msg) {
+        const sent = sentDirect.get(msg.messageId);
+        if (!sent || sent.to !== msg.from || !sent.el.isConnected) return;
+        try {
+            showReaction(sent.el, await decryptContent({ id: msg.messageId, from: msg.from, to: userId, content: msg.content }));
+        } catch {
+            // Unreadable reaction: ignore it
+        }
+    }
+
+    function handleAckRetract(msg) {
+        const sent = sentDirect.get(msg.messageId);
+        if (!sent) return;
+        sentDirect.delete(msg.messageId);
+        removeBubble(sent.el);
+        addSystemMessage(msg.removed
+            ? `\u2715 Mensaje a ${msg.to} retirado antes de verse`
+            : `\u2715 Mensaje a ${msg.to} retirado · se borra de sus dispositivos`);
+    }
+
+    function handleAckEdit(msg) {
+        const sent = sentDirect.get(msg.messageId);
+        const text = pendingEdits.get(msg.messageId);
+        pendingEdits.delete(msg.messageId);
+        if (sent && text !== undefined) setBubbleText(sent.el, text);
+    }
+
+    /** Re-encrypts `text` like the original (sealed if it was) and sends the edit. */
+    async function editMessage(sent, text) {
+        try {
+            let content = await encryptFor(sent.to, text);
+            if (content && sent.replyToken) {
+                const peer = await requestPeer(sent.to);
+                content = peer && await CryptoBrowser.sealSender(peer.publicKey, sent.to, userId, content);
+            }
+            if (!content) {
+                addSystemMessage('\u26A0 ' + sent.to + ' no tiene clave publicada');
+                return;
+            }
+            pendingEdits.set(sent.id, text);
+            transmit({ type: 'edit', to: sent.to, messageId: sent.id, content, replyToken: sent.replyToken });
+        } catch {
+            addSystemMessage('\u26A0 Error de cifrado');
+        }
+    }
+
+    // Reacts to the newest received message still on screen
+    async function reactToLast(emoji) {
+        const bubbles = dom().messages.querySelectorAll('.ghost-msg.received[data-message-id][data-from]');
+        const el = bubbles[bubbles.length - 1];
+        if (!el) {
+            addSystemMessage('\u26A0 No hay un mensaje recibido al que reaccionar');
+            return;
+        }
+        try {
+            const content = await encryptFor(el.dataset.from, emoji);
+            if (!content) return;
+            if (transmit({ type: 'react', to: el.dataset.from, messageId: el.dataset.messageId, content })) {
+                showReaction(el, emoji);
+            }
+        } catch {
+            addSystemMessage('\u26A0 Error de cifrado');
+        }
+    }
+
+    function setBubbleText(el, text) {
+        el.querySelector('.ghost-msg-text').textContent = text;
+        markEdited(el);
+    }
+
+    function markEdited(el) {
+        const time = el.querySelector('.ghost-msg-time');
+        if (!time || time.querySelector('.ghost-msg-edited')) return;
+        const mark = document.createElement('span');
+        mark.className = 'ghost-msg-edited';
+        mark.textContent = 'editado';
+        time.appendChild(mark);
+    }
+
+    function showReaction(el, text) {
+        let badge = el.querySelector('.ghost-msg-reaction');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'ghost-msg-reaction';
+            el.appendChild(badge);
+        }
+        // A reaction is an emoji or two, not a message
+        badge.textContent = Array.from(text).slice(0, 4).join('');
+    }
+
+    // ── Outbox & Sent Message Lifecycle ────────────────────
+    // pending (waiting for a connection) → sending → queued (stored)
+    // → delivered (on a device) → seen; expired ends it early. A
+    // failed send can be retried by hand; past `queued` states only
+    // move forward.
+
+    const OUTGOING_STATES = {
+        pending: { rank: 0, tick: '\u25F7', title: 'Pendiente' },
+        sending: { rank: 0, tick: '\u2022', title: 'Enviando' },
+        failed: { rank: 0, tick: '\u26A0', title: 'No enviado' },
+        queued: { rank: 1, tick: '\u2713', title: 'En cola' },
+        delivered: { rank: 2, tick: '\u2713\u2713', title: 'Entregado' },
+        seen: { rank: 3, tick: '\u2713\u2713', title: 'Visto', final: true },
+        expired: { rank: 3, tick: '\u231B', title: 'Caducó sin verse', final: true },
+    };
+
+    /**
+     * Shows `text` as sent right away and keeps it in the outbox until
+     * the server confirms it. `target` is { to } or { room }; `file`
+     * ({ name, type, size, bytes }) makes it an attachment.
+     */
+    function queueOutgoing(target, text, file = null) {
+        const clientId = crypto.randomUUID();
+        const el = addMessage(text, 'sent', null);
+        el.dataset.clientId = clientId;
+
+        const time = el.querySelector('.ghost-msg-time');
+        const ticks = document.createElement('span');
+        ticks.className = 'ghost-msg-ticks';
+        time.appendChild(ticks);
+        const retry = document.createElement('button');
+        retry.className = 'ghost-msg-retry';
+        retry.textContent = 'Reintentar';
+        el.appendChild(retry);
+
+        // payload: encrypted once, then resent as is (the server dedupes by clientId)
+        // upload: { id, descriptor, chunks, sent } once `file` is encrypted
+        // replyToken: set when sent sealed (see sealPayload)
+        const entry = {
+            clientId, el, target, text, file, upload: null, payload: null, replyToken: null, attempts: 0, id: null, state: null,
+        };
+        retry.addEventListener('click', () => retryOutgoing(entry));
+        outgoing.set(clientId, entry);
+        setOutgoingState(entry, 'pending');
+
+        if (outgoing.size > OUTGOING_MAX) {
+            const [oldest, old] = outgoing.entries().next().value;
+            outgoing.delete(oldest);
+            if (old.id) outgoingIds.delete(old.id);
+        }
+        flushOutbox();
+    }
+
+    function setOutgoingState(entry, state) {
+        const current = entry.state && OUTGOING_STATES[entry.state];
+        if (current && (current.final || OUTGOING_STATES[state].rank < current.rank)) return;
+
+        entry.state = state;
+        entry.el.dataset.state = state;
+        const ticks = entry.el.querySelector('.ghost-msg-ticks');
+        if (ticks) {
+            ticks.textContent = OUTGOING_STATES[state].tick;
+            ticks.title = OUTGOING_STATES[state].title;
+        }
+
+        // Nothing else will happen to it: stop tracking
+        if (OUTGOING_STATES[state].final) {
+            outgoing.delete(entry.clientId);
+            if (entry.id) outgoingIds.delete(entry.id);
+        }
+    }
+
+    function updateOutgoing(messageId, state) {
+        const entry = outgoing.get(outgoingIds.get(messageId));
+        if (entry) setOutgoingState(entry, state);
+    }
+
+    function handleMessageSent(msg) {
+        const entry = msg.clientId && outgoing.get(msg.clientId);
+        if (!entry) return;
+        entry.id = msg.id;
+        outgoingIds.set(msg.id, msg.clientId);
+        if (entry.target.to) rememberSentDirect(entry);
+        // The server holds the attachment now; a resend reuses it
+        if (entry.upload) entry.upload.chunks = null;
+        setOutgoingState(entry, 'queued');
+    }
+
+    function handleSendError(msg) {
+        const entry = outgoing.get(msg.clientId);
+        if (!entry || entry.state !== 'sending') return;
+        if (msg.code === 'rate_limited' && entry.attempts < OUTBOX_MAX_ATTEMPTS) {
+            setOutgoingState(entry, 'pending');
+            setTimeout(flushOutbox, msg.retryAfterMs || RECONNECT_BASE_MS);
+            return;
+        }
+        setOutgoingState(entry, 'failed');
+    }
+
+    function retryOutgoing(entry) {
+        if (entry.state !== 'failed') return;
+        entry.attempts = 0;
+        // The upload may have expired while it waited
+        if (entry.upload) entry.upload.sent = 0;
+        setOutgoingState(entry, 'pending');
+        flushOutbox();
+    }
+
+    // Sends the server never confirmed before the socket closed go back
+    // to the outbox; the server drops the copy if the first one arrived
+    function requeueUnconfirmed() {
+        for (const entry of outgoing.values()) {
+            if (entry.state !== 'sending') continue;
+            setOutgoingState(entry, entry.attempts < OUTBOX_MAX_ATTEMPTS ? 'pending' : 'failed');
+        }
+    }
+
+    /** Sends every pending message, in order, once registered. */
+    function flushOutbox() {
+        if (!outboxFlush) {
+            // destroy() may drop it while it runs: only clear our own
+            const flush = drainOutbox().finally(() => { if (outboxFlush === flush) outboxFlush = null; });
+            outboxFlush = flush;
+        }
+        return outboxFlush;
+    }
+
+    async function drainOutbox() {
+        for (const entry of outgoing.values()) {
+            if (!isRegistered) return;
+            if (entry.state !== 'pending') continue;
+
+            if (!entry.payload) {
+                entry.payload = await buildPayload(entry);
+                if (!entry.payload) {
+                    setOutgoingState(entry, 'failed');
+                    continue;
+                }
+            }
+            // The socket may have dropped while encrypting
+            if (!isRegistered) return;
+            entry.attempts++;
+
+            if (entry.upload) {
+                setOutgoingState(entry, 'sending');
+                try {
+                    await uploadAttachment(entry.upload);
+                } catch (error) {
+                    // On close the entry is already back in the outbox
+                    if (error.code !== 'closed') handleSendError({ ...error, clientId: entry.clientId });
+                    continue;
+                }
+                if (!isRegistered) return;
+            }
+            setOutgoingState(entry, transmit(entry.payload) ? 'sending' : 'failed');
+        }
+    }
+
+    /** Encrypts the entry for its recipient(s). Null if nobody can read it. */
+    async function buildPayload(entry) {
+        try {
+            // An attachment's message carries the descriptor (name, type, key)
+            if (entry.file && !entry.upload) entry.upload = await encryptUpload(entry.file);
+            const text = entry.upload ? entry.upload.descriptor : entry.text;
+            const attachment = entry.upload ? entry.upload.id : undefined;
+
+            if (entry.target.room) {
+                const payload = await buildRoomPayload(entry.target.room, text, entry.clientId);
+                return payload && { ...payload, attachment };
+            }
+
+            if (keyChanges.has(entry.target.to)) {
+                addSystemMessage(`\u26A0 La clave de ${entry.target.to} cambi\u00F3 \u00B7 conf\u00EDrmala con /verificar ${entry.target.to}`);
+                return null;
+            }
+            const content = await encryptFor(entry.target.to, text);
+            if (!content) {
+                addSystemMessage('\u26A0 ' + entry.target.to + ' no tiene clave publicada — usa una clave compartida');
+                return null;
+            }
+            // Attachments and notes to self keep the sender visible
+            if (sealedSender && !attachment && entry.target.to !== userId) {
+                const sealed = await sealPayload(entry, content);
+                if (sealed) return sealed;
+            }
+            return { type: 'send_message', to: entry.target.to, content, ttl: messageTtl, clientId: entry.clientId, attachment };
+        } catch {
+            addSystemMessage('\u26A0 Error de cifrado');
+            return null;
+        }
     }
 
     function addSystemMessage(text) {
@@ -291,7 +1780,7 @@ const GhostChat = (() => {
 
                 setTimeout(() => {
                     el.classList.add('ephemeral-fade');
-                    setTimeout(() => { el.remove(); }, EPHEMERAL_FADE_MS);
+                    setTimeout(() => { removeBubble(el); }, EPHEMERAL_FADE_MS);
                 }, EPHEMERAL_DELAY_MS);
             }
         });
@@ -301,6 +1790,12 @@ const GhostChat = (() => {
         ephemeralObserver.observe(el);
     }
 
+    // A decrypted attachment lives in a blob URL: it goes with its bubble
+    function removeBubble(el) {
+        if (el.dataset.objectUrl) URL.revokeObjectURL(el.dataset.objectUrl);
+        el.remove();
+    }
+
     // ── Helpers ────────────────────────────────────────────
 
     function escapeHtml(str) {
@@ -315,7 +1810,7 @@ const GhostChat = (() => {
         const d = dom();
         d.ghostMode.classList.add('active');
 
-        if (!sessionPassword) {
+        if (!userId) {
             d.passwordModal.classList.add('active');
             setTimeout(() => d.aliasInput.focus(), 400);
         } else {
@@ -336,15 +1831,52 @@ const GhostChat = (() => {
             ws.close();
             ws = null;
         }
-        sessionPassword = null;
+        if (passwordKeyring) {
+            passwordKeyring.destroy();
+            passwordKeyring = null;
+        }
+        identity = null;
+        keyAgreement = null;
+        peers.clear();
+        sessions.clear();
+        clearVerification();
+        seenElsewhere.clear();
+        handledIds.clear();
+        unackedSeen.clear();
+        resumeToken = null;
+        lastSeq = 0;
+        rooms.clear();
+        activeRoom = null;
+        messageTtl = null;
+        renderRooms();
+        keyRequests.forEach((waiting) => waiting.forEach((resolve) => resolve(null)));
+        keyRequests.clear();
         userId = null;
         recipientId = null;
+        sharePresence = false;
+        watchedPeer = null;
+        peerPresence = null;
+        clearTimeout(peerTypingTimer);
+        peerTypingTimer = null;
+        lastTypingSent = 0;
+        renderPeerStatus();
+        outgoing.clear();
+        outgoingIds.clear();
+        sentDirect.clear();
+        pendingEdits.clear();
+        heldEdits.clear();
+        retracted.clear();
+        outboxFlush = null;
+        sealedSender = false;
+        paddingPolicy = 'buckets';
+        for (const id of [...uploads.keys(), ...downloads.keys()]) failTransfers(id, { code: 'closed' });
         isConnected = false;
+        isRegistered = false;
         reconnectAttempts = 0;
 
         const d = dom();
         const msgs = d.messages.querySelectorAll('.ghost-msg:not(.system)');
-        msgs.forEach((m) => m.remove());
+        msgs.forEach(removeBubble);
 
         deactivate();
     }
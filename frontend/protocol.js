@@ -0,0 +1,676 @@
+// ─────────────────────────────────────────────────────────────
+//  protocol.js
+//  Versioned WebSocket message schema, shared by server.js
+//  (require) and ghost-chat.js (<script>): handshake version,
+//  limits, per-type field specs enforced by validate(), the
+//  events the server emits and the structured error codes.
+//  PROTOCOL.md is generated from here:  cd backend && npm run docs
+// ─────────────────────────────────────────────────────────────
+
+const Protocol = (() => {
+    'use strict';
+
+    const VERSION = 1;
+    const MIN_VERSION = 1;
+
+    const LIMITS = {
+        aliasLength: 64,
+        idLength: 64,
+        contentLength: 32 * 1024,      // characters of one (encrypted) content
+        roomNameLength: 64,
+        roomMembers: 32,
+        keyLength: 256,                // base64 SPKI; P-256 needs 124
+        signatureLength: 256,
+        seenAllIds: 1000,
+        watchedPerSocket: 32,
+        replyClaims: 500,              // reply tokens one socket can claim
+        reactionLength: 2 * 1024,      // characters of one encrypted reaction
+        attachmentBytes: 4 * 1024 * 1024,      // plaintext size of one file
+        attachmentChunks: 64,
+        attachmentChunkLength: 512 * 1024,     // base64 characters of one encrypted chunk
+        frameBytes: 2 * 1024 * 1024,   // whole WebSocket frame
+    };
+
+    // No control characters; anything else is a valid alias
+    const ALIAS_PATTERN = /^[^\u0000-\u001f\u007f]+$/;
+    const ID_PATTERN = /^[\w-]+$/;
+    const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+    // ── Field spec builders ────────────────────────────────
+
+    const alias = (description, extra = {}) => ({
+        type: 'string', min: 1, max: LIMITS.aliasLength, pattern: ALIAS_PATTERN, description, ...extra,
+    });
+    const id = (description, extra = {}) => ({
+        type: 'string', min: 1, max: LIMITS.idLength, pattern: ID_PATTERN, description, ...extra,
+    });
+    const content = (description, extra = {}) => ({
+        type: 'string', min: 1, max: LIMITS.contentLength, description, ...extra,
+    });
+    const base64 = (max, description, extra = {}) => ({
+        type: 'string', min: 1, max, pattern: BASE64_PATTERN, description, ...extra,
+    });
+    const ttl = {
+        type: 'integer', min: 1, nullable: true,
+        description: 'Segundos hasta que caduca aunque no se vea (se recorta al máximo del servidor)',
+    };
+    const required = { required: true };
+    const attachment = id('Adjunto ya subido con `attachment_chunk`; solo los destinatarios podrán descargarlo');
+    const clientId = {
+        type: 'string', min: 1, max: LIMITS.idLength, pattern: ID_PATTERN,
+        description: 'ID generado por el cliente; vuelve en `message_sent` o en el `error`. Un reintento con el mismo ID no encola otra copia',
+    };
+    const replyToken = (description, extra = {}) => ({
+        type: 'string', min: 22, max: LIMITS.idLength, pattern: ID_PATTERN, description, ...extra,
+    });
+
+    // ── Client → server ────────────────────────────────────
+    // auth: true = requires a completed register/auth
+
+    const CLIENT_MESSAGES = {
+        hello: {
+            auth: false,
+            description: 'Negociar versión antes de registrarse → `hello` con la versión y límites del servidor',
+            fields: {
+                version: { type: 'integer', min: 1, required: true, description: 'Versión del protocolo del cliente' },
+            },
+        },
+        register: {
+            auth: false,
+            description: 'Declarar alias + clave pública ECDSA P-256 → `challenge`',
+            fields: {
+                userId: alias('Alias', required),
+                publicKey: base64(LIMITS.keyLength, 'Clave pública de identidad (SPKI base64)', required),
+                version: { type: 'integer', min: 1, description: 'Versión del protocolo (si no hubo `hello`)' },
+                resume: id('`session` de un `registered` anterior, para reanudar'),
+                cursor: {
+                    type: 'integer', min: 0,
+                    description: 'Mayor `seq` ya recibido; al reanudar solo se entregan los posteriores',
+                },
+            },
+        },
+        auth: {
+            auth: false,
+            description: 'Firma del `challenge` → `registered` y entrega de pendientes',
+            fields: {
+                signature: base64(LIMITS.signatureLength, 'Firma ECDSA `r || s` en base64', required),
+            },
+        },
+        send_message: {
+            auth: true,
+            description: 'Enviar un mensaje directo → `message_sent`',
+            fields: {
+                to: alias('Destinatario', required),
+                content: content('Contenido cifrado (opaco para el servidor)', required),
+                ttl,
+                clientId,
+                attachment,
+            },
+        },
+        send_sealed: {
+            auth: true,
+            description: 'Enviar un mensaje directo con el remitente sellado (no se guarda ni se reenvía `from`) → `message_sent`',
+            fields: {
+                to: alias('Destinatario', required),
+                content: content('Remitente + contenido sellados para el destinatario (`sealSender`)', required),
+                replyToken: replyToken('Token aleatorio de un solo uso (≥ 128 bits): `message_seen` / `message_expired` vuelven por él. Repetirlo es un reintento: no encola otra copia', required),
+                ttl,
+                clientId,
+            },
+        },
+        claim_replies: {
+            auth: true,
+            description: 'Recoger en este socket los avisos de envíos sellados (tras reconectar) → los avisos guardados llegan ya',
+            fields: {
+                tokens: {
+                    type: 'array', max: LIMITS.replyClaims, items: replyToken('Token'), required: true,
+                    description: '`replyToken` de envíos sellados sin `message_seen`',
+                },
+            },
+        },
+        retract: {
+            auth: true,
+            description: 'Retirar un mensaje directo propio: si sigue en cola se borra; el destinatario recibe `message_retracted` → `ack_retract`',
+            fields: {
+                to: alias('Destinatario del mensaje', required),
+                messageId: id('`id` de su `message_sent`', required),
+                replyToken: replyToken('El del envío, si fue sellado: prueba que es tuyo'),
+            },
+        },
+        edit: {
+            auth: true,
+            description: 'Cambiar el contenido de un mensaje directo propio: si sigue en cola se reemplaza; el destinatario recibe `message_edited` → `ack_edit`',
+            fields: {
+                to: alias('Destinatario del mensaje', required),
+                messageId: id('`id` de su `message_sent`', required),
+                content: content('Nuevo contenido cifrado (sellado con `sealSender` si el envío lo fue)', required),
+                replyToken: replyToken('El del envío, si fue sellado: prueba que es tuyo'),
+            },
+        },
+        react: {
+            auth: true,
+            description: 'Reaccionar a un mensaje recibido (no se guarda: solo llega si el remitente está conectado) → `reaction`',
+            fields: {
+                to: alias('Remitente del mensaje', required),
+                messageId: id('ID del mensaje', required),
+                content: content('Reacción cifrada (opaca para el servidor)', { max: LIMITS.reactionLength, required: true }),
+            },
+        },
+        publish_key: {
+            auth: true,
+            description: 'Publicar la clave ECDH efímera de la sesión → `key_published`',
+            fields: {
+                publicKey: base64(LIMITS.keyLength, 'Clave ECDH P-256 (SPKI base64)', required),
+                signature: base64(LIMITS.signatureLength, 'Firma de identidad sobre `volatile-chat:prekey:{userId}:{publicKey}`', required),
+            },
+        },
+        key_request: {
+            auth: true,
+            description: 'Pedir la clave ECDH de otro alias → `peer_key`',
+            fields: {
+                userId: alias('Alias consultado', required),
+            },
+        },
+        seen: {
+            auth: true,
+            description: 'Marcar un mensaje como visto → borrado inmediato',
+            fields: {
+                messageId: id('ID del mensaje', required),
+            },
+        },
+        seen_all: {
+            auth: true,
+            description: 'Marcar como vistos los mensajes ya recibidos (al menos uno de los dos campos)',
+            fields: {
+                upTo: { type: 'integer', min: 0, description: 'Mayor `seq` recibido' },
+                messageIds: { type: 'array', max: LIMITS.seenAllIds, items: id('ID'), description: 'IDs recibidos' },
+            },
+        },
+        create_room: {
+            auth: true,
+            description: 'Crear una sala (el creador es el dueño) → `room_update`',
+            fields: {
+                name: { type: 'string', max: LIMITS.roomNameLength, description: 'Nombre visible' },
+                members: { type: 'array', max: LIMITS.roomMembers, items: alias('Alias'), description: 'Miembros iniciales' },
+                quorum: { type: 'integer', min: 1, nullable: true, description: 'Vistos necesarios para borrar un mensaje' },
+            },
+        },
+        invite: {
+            auth: true,
+            description: 'Añadir un miembro (cualquier miembro)',
+            fields: {
+                room: id('ID de sala', required),
+                userId: alias('Alias invitado', required),
+            },
+        },
+        kick: {
+            auth: true,
+            description: 'Expulsar un miembro (solo el dueño)',
+            fields: {
+                room: id('ID de sala', required),
+                userId: alias('Alias expulsado', required),
+            },
+        },
+        leave: {
+            auth: true,
+            description: 'Salir de la sala',
+            fields: {
+                room: id('ID de sala', required),
+            },
+        },
+        list_rooms: {
+            auth: true,
+            description: 'Salas del usuario → `rooms`',
+            fields: {},
+        },
+        room_message: {
+            auth: true,
+            description: 'Mensaje a la sala, cifrado por separado para cada miembro → `message_sent`',
+            fields: {
+                room: id('ID de sala', required),
+                contents: {
+                    type: 'map', max: LIMITS.roomMembers, keys: alias('Alias'), values: content('Contenido'),
+                    required: true, description: 'Alias → contenido cifrado para ese miembro',
+                },
+                ttl,
+                clientId,
+                attachment,
+            },
+        },
+        attachment_chunk: {
+            auth: true,
+            description: 'Subir un trozo cifrado de un adjunto (el primero lo crea) → `attachment_stored`',
+            fields: {
+                attachmentId: id('ID elegido por el cliente', required),
+                index: { type: 'integer', min: 0, max: LIMITS.attachmentChunks - 1, required: true, description: 'Posición del trozo' },
+                total: { type: 'integer', min: 1, max: LIMITS.attachmentChunks, required: true, description: 'Trozos del adjunto' },
+                data: base64(LIMITS.attachmentChunkLength, 'Trozo cifrado', required),
+            },
+        },
+        attachment_fetch: {
+            auth: true,
+            description: 'Descargar el adjunto de un mensaje recibido → `attachment_data` por trozo',
+            fields: {
+                attachmentId: id('ID del adjunto (`message.attachment`)', required),
+            },
+        },
+        set_presence: {
+            auth: true,
+            description: 'Estado propio y si se comparte → `presence_set`',
+            fields: {
+                status: { type: 'enum', values: ['online', 'away'], description: 'Estado del socket' },
+                share: { type: 'boolean', description: 'Compartir presencia y `typing` (por defecto no)' },
+            },
+        },
+        watch_presence: {
+            auth: true,
+            description: 'Seguir la presencia de un alias → `presence` ahora y en cada cambio',
+            fields: {
+                userId: alias('Alias seguido', required),
+            },
+        },
+        unwatch_presence: {
+            auth: true,
+            description: 'Dejar de seguir la presencia de un alias',
+            fields: {
+                userId: alias('Alias', required),
+            },
+        },
+        typing: {
+            auth: true,
+            description: 'Aviso de "escribiendo" → `typing` al destinatario (si se comparte presencia)',
+            fields: {
+                to: alias('Destinatario', required),
+                active: { type: 'boolean', description: 'false al dejar de escribir (por defecto true)' },
+            },
+        },
+    };
+
+    // ── Server → client (documentation only) ───────────────
+
+    const info = (type, description) => ({ type, description });
+
+    const SERVER_MESSAGES = {
+        hello: {
+            description: 'Respuesta a `hello`',
+            fields: {
+                version: info('integer', 'Versión con la que habla el servidor'),
+                minVersion: info('integer', 'Versión mínima aceptada'),
+                limits: info('object', 'Los límites de esta versión'),
+            },
+        },
+        challenge: {
+            description: 'Reto a firmar tras `register`',
+            fields: { nonce: info('string', 'Firmar `volatile-chat:register:{userId}:{nonce}`') },
+        },
+        registered: {
+            description: 'Registro completado',
+            fields: {
+                userId: info('string', 'Alias'),
+                version: info('integer', 'Versión acordada'),
+                session: info('string', 'Token para reanudar con `register.resume`'),
+                resumed: info('boolean', 'Se aceptó `resume`: solo llegan pendientes con seq > `cursor`'),
+                cursor: info('integer', 'Cursor aplicado (0 = toda la cola)'),
+            },
+        },
+        auth_error: {
+            description: 'Registro rechazado',
+            fields: { code: info('string', 'Código de error') },
+        },
+        error: {
+            description: 'Petición rechazada',
+            fields: {
+                code: info('string', 'Código de error'),
+                field: info('string?', 'Campo inválido (`invalid_field`)'),
+                reason: info('string?', 'Motivo: required, type, too_short, too_long, pattern, range, enum, too_many; en adjuntos forbidden, mismatch, too_large, sealed, incomplete'),
+                limit: info('integer?', 'Límite superado, si aplica'),
+                supported: info('object?', '`{min, max}` (`unsupported_version`)'),
+                request: info('string?', 'Tipo del mensaje rechazado (envíos, `rate_limited`)'),
+                clientId: info('string?', '`clientId` del envío rechazado'),
+                messageId: info('string?', 'Mensaje (`not_author`)'),
+                scope: info('string?', '`socket` o `sender` (`rate_limited`)'),
+                retryAfterMs: info('integer?', 'Espera hasta la próxima ficha (`rate_limited`)'),
+                to: info('string?', 'Destinatario con la cola llena (`queue_full`)'),
+                room: info('string?', 'Sala (`queue_full`)'),
+                members: info('string[]?', 'Miembros con la cola llena (`queue_full`)'),
+                attachmentId: info('string?', 'Adjunto (`attachment_rejected`, `attachment_not_found`)'),
+            },
+        },
+        message_sent: {
+            description: 'Confirmación de `send_message` / `room_message`: guardado en cola (`queued`)',
+            fields: {
+                id: info('string', 'ID del mensaje'),
+                clientId: info('string?', 'El `clientId` del envío'),
+                to: info('string?', 'Destinatario (directo)'),
+                room: info('string?', 'Sala'),
+                recipients: info('string[]?', 'Miembros con copia'),
+                missing: info('string[]?', 'Miembros sin copia en `contents`'),
+                full: info('string[]?', 'Miembros sin copia por tener la cola llena'),
+                required: info('integer?', 'Vistos necesarios'),
+                sealed: info('boolean?', 'Envío sellado (`send_sealed`)'),
+                timestamp: info('integer', 'ms'),
+                expiresAt: info('integer', 'ms'),
+            },
+        },
+        new_message: {
+            description: 'Mensaje entrante en tiempo real',
+            fields: { message: info('object', '`{id, from, to, room?, content, attachment?, editedAt?, timestamp, expiresAt, seq}`; si es sellado, `{id, to, content, sealed: true, timestamp, expiresAt, seq}` sin `from`') },
+        },
+        pending_messages: {
+            description: 'Mensajes en cola al registrarse',
+            fields: {
+                messages: info('object[]', 'Como `new_message.message`'),
+                count: info('integer', 'Cantidad'),
+                dropped: info('integer?', 'Mensajes descartados: sellados con una clave del servidor que ya no existe'),
+            },
+        },
+        message_delivered: {
+            description: 'Mensajes entregados a algún dispositivo del destinatario (puede repetirse por dispositivo)',
+            fields: {
+                to: info('string', 'Destinatario'),
+                messageIds: info('string[]', 'IDs entregados'),
+                timestamp: info('integer', 'ms'),
+            },
+        },
+        message_seen: {
+            description: 'Un destinatario vio un mensaje',
+            fields: {
+                messageId: info('string', 'ID'),
+                seenBy: info('string', 'Alias'),
+                room: info('string?', 'Sala'),
+                seenCount: info('integer?', 'Vistos (sala)'),
+                required: info('integer?', 'Quórum (sala)'),
+                complete: info('boolean?', 'Quórum alcanzado (sala)'),
+                sealed: info('boolean?', 'Llegó por el `replyToken` de un envío sellado'),
+                timestamp: info('integer', 'ms'),
+            },
+        },
+        all_messages_seen: {
+            description: 'Un destinatario confirmó en bloque mensajes de este remitente',
+            fields: {
+                seenBy: info('string', 'Alias'),
+                count: info('integer', 'Mensajes de este remitente'),
+                messageIds: info('string[]', 'Sus IDs'),
+                timestamp: info('integer', 'ms'),
+            },
+        },
+        ack_seen: {
+            description: 'Resultado de `seen` (a todos los dispositivos)',
+            fields: {
+                messageId: info('string', 'ID'),
+                deleted: info('boolean', 'Si seguía en la cola'),
+                reason: info('string?', '`not_found`'),
+            },
+        },
+        ack_seen_all: {
+            description: 'Resultado de `seen_all`',
+            fields: {
+                deletedCount: info('integer', 'Borrados'),
+                messageIds: info('string[]', 'IDs borrados'),
+            },
+        },
+        seen_elsewhere: {
+            description: 'Otro dispositivo del alias vio estos mensajes',
+            fields: { messageIds: info('string[]', 'IDs') },
+        },
+        message_expired: {
+            description: 'Un mensaje caducó sin verse',
+            fields: {
+                messageId: info('string', 'ID'),
+                to: info('string', 'Destinatario'),
+                room: info('string?', 'Sala'),
+                sealed: info('boolean?', 'Llegó por el `replyToken` de un envío sellado'),
+                expiresAt: info('integer', 'ms'),
+            },
+        },
+        message_retracted: {
+            description: 'El remitente retiró un mensaje (a todos los dispositivos del destinatario)',
+            fields: {
+                messageId: info('string', 'ID'),
+                from: info('string?', 'Remitente (el cliente solo borra si coincide con el del mensaje)'),
+                sealed: info('boolean?', 'Envío sellado: el servidor comprobó el `replyToken`'),
+                timestamp: info('integer', 'ms'),
+            },
+        },
+        message_edited: {
+            description: 'El remitente cambió un mensaje ya entregado',
+            fields: {
+                messageId: info('string', 'ID'),
+                from: info('string?', 'Remitente (el cliente solo lo aplica si coincide con el del mensaje)'),
+                sealed: info('boolean?', 'Envío sellado: `content` viene sellado'),
+                content: info('string', 'Nuevo contenido cifrado'),
+                editedAt: info('integer', 'ms'),
+            },
+        },
+        ack_retract: {
+            description: 'Resultado de `retract`',
+            fields: {
+                messageId: info('string', 'ID'),
+                to: info('string', 'Destinatario'),
+                removed: info('boolean', 'Si seguía en la cola (nunca llegó a verse)'),
+            },
+        },
+        ack_edit: {
+            description: 'Resultado de `edit`',
+            fields: {
+                messageId: info('string', 'ID'),
+                to: info('string', 'Destinatario'),
+                replaced: info('boolean', 'Si seguía en la cola (se entrega ya editado)'),
+                editedAt: info('integer', 'ms'),
+            },
+        },
+        reaction: {
+            description: 'Reacción a un mensaje enviado',
+            fields: {
+                from: info('string', 'Alias'),
+                messageId: info('string', 'ID'),
+                content: info('string', 'Reacción cifrada'),
+            },
+        },
+        attachment_stored: {
+            description: 'Confirmación de cada `attachment_chunk`',
+            fields: {
+                attachmentId: info('string', 'ID del adjunto'),
+                received: info('integer', 'Trozos guardados'),
+                total: info('integer', 'Trozos del adjunto'),
+            },
+        },
+        attachment_data: {
+            description: 'Un trozo de un adjunto pedido con `attachment_fetch`, en orden',
+            fields: {
+                attachmentId: info('string', 'ID del adjunto'),
+                index: info('integer', 'Posición'),
+                total: info('integer', 'Trozos'),
+                data: info('string', 'Trozo cifrado (base64)'),
+            },
+        },
+        key_published: { description: 'Confirmación de `publish_key`', fields: {} },
+        peer_key: {
+            description: 'Respuesta a `key_request` (claves null si no hay)',
+            fields: {
+                userId: info('string', 'Alias'),
+                publicKey: info('string?', 'Clave ECDH'),
+                signature: info('string?', 'Firma de la clave'),
+                identityKey: info('string?', 'Clave de identidad'),
+            },
+        },
+        rooms: {
+            description: 'Respuesta a `list_rooms`',
+            fields: { rooms: info('object[]', '`{id, name, owner, quorum, members}`') },
+        },
+        room_update: {
+            description: 'Una sala cambió (a todos sus miembros)',
+            fields: { room: info('object', '`{id, name, owner, quorum, members}`') },
+        },
+        room_removed: {
+            description: 'Ya no eres miembro',
+            fields: {
+                room: info('string', 'ID de sala'),
+                reason: info('string', '`left` o `kicked`'),
+            },
+        },
+        presence: {
+            description: 'Estado de un alias seguido',
+            fields: {
+                userId: info('string', 'Alias'),
+                status: info('string', '`online`, `away` u `offline`'),
+                since: info('integer?', 'ms del último cambio'),
+            },
+        },
+        presence_set: {
+            description: 'Confirmación de `set_presence`',
+            fields: {
+                status: info('string', 'Estado'),
+                share: info('boolean', 'Si se comparte'),
+            },
+        },
+        typing: {
+            description: 'Un alias está (o dejó de estar) escribiendo',
+            fields: {
+                from: info('string', 'Alias'),
+                active: info('boolean', 'Escribiendo'),
+            },
+        },
+    };
+
+    // ── Error codes ────────────────────────────────────────
+
+    const ERRORS = {
+        invalid_json: 'El mensaje no es un objeto JSON',
+        unknown_type: 'Tipo de mensaje desconocido',
+        unsupported_version: 'Versión de protocolo no soportada',
+        not_registered: 'Regístrate primero',
+        invalid_field: 'Campo inválido',
+        missing_field: 'Falta un campo obligatorio',
+        invalid_key: 'Clave pública inválida',
+        alias_taken: 'Alias ligado a otra identidad',
+        no_challenge: 'Envía register primero',
+        challenge_expired: 'Challenge expirado',
+        invalid_signature: 'Firma inválida',
+        not_room_member: 'No eres miembro de la sala',
+        not_room_owner: 'Solo el dueño puede expulsar',
+        room_full: 'La sala está llena',
+        invalid_member: 'Miembro no válido',
+        no_recipients: 'Ningún miembro en contents',
+        watch_limit: 'Demasiados aliases seguidos',
+        reply_limit: 'Demasiados replyToken reclamados',
+        not_author: 'Solo quien envió el mensaje puede retirarlo o editarlo',
+        rate_limited: 'Demasiadas peticiones, espera un momento',
+        queue_full: 'La cola del destinatario está llena',
+        attachment_rejected: 'Adjunto rechazado',
+        attachment_not_found: 'El adjunto ya no existe',
+        internal_error: 'Error interno del servidor, inténtalo de nuevo',
+    };
+
+    // ── Validation ─────────────────────────────────────────
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /** Returns null if `value` matches `spec`, else { reason, limit? }. */
+    function check(spec, value) {
+        switch (spec.type) {
+            case 'string':
+                if (typeof value !== 'string') return { reason: 'type' };
+                if (spec.min != null && value.length < spec.min) return { reason: 'too_short', limit: spec.min };
+                if (spec.max != null && value.length > spec.max) return { reason: 'too_long', limit: spec.max };
+                if (spec.pattern && !spec.pattern.test(value)) return { reason: 'pattern' };
+                return null;
+            case 'integer':
+                if (!Number.isSafeInteger(value)) return { reason: 'type' };
+                if (spec.min != null && value < spec.min) return { reason: 'range', limit: spec.min };
+                if (spec.max != null && value > spec.max) return { reason: 'range', limit: spec.max };
+                return null;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : { reason: 'type' };
+            case 'enum':
+                return spec.values.includes(value) ? null : { reason: 'enum' };
+            case 'array': {
+                if (!Array.isArray(value)) return { reason: 'type' };
+                if (spec.max != null && value.length > spec.max) return { reason: 'too_many', limit: spec.max };
+                for (const item of value) {
+                    const problem = check(spec.items, item);
+                    if (problem) return problem;
+                }
+                return null;
+            }
+            case 'map': {
+                if (!isPlainObject(value)) return { reason: 'type' };
+                const entries = Object.entries(value);
+                if (spec.max != null && entries.length > spec.max) return { reason: 'too_many', limit: spec.max };
+                for (const [key, item] of entries) {
+                    const problem = check(spec.keys, key) || check(spec.values, item);
+                    if (problem) return problem;
+                }
+                return null;
+            }
+            default:
+                return { reason: 'type' };
+        }
+    }
+
+    /**
+     * Validates a client → server message against CLIENT_MESSAGES.
+     * On success returns { ok: true, message } where `message` keeps only
+     * the declared fields (unknown ones are dropped). On failure returns
+     * { ok: false, error } with the payload of an `error` event.
+     */
+    function validate(msg) {
+        if (!isPlainObject(msg)) {
+            return { ok: false, error: { code: 'invalid_json' } };
+        }
+        const spec = Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, msg.type)
+            ? CLIENT_MESSAGES[msg.type]
+            : null;
+        if (!spec) {
+            return { ok: false, error: { code: 'unknown_type', validTypes: Object.keys(CLIENT_MESSAGES) } };
+        }
+
+        const message = { type: msg.type };
+        for (const [name, field] of Object.entries(spec.fields)) {
+            const value = msg[name];
+            if (value === undefined || (value === null && field.nullable)) {
+                if (field.required) {
+                    return { ok: false, error: { code: 'missing_field', field: name } };
+                }
+                continue;
+            }
+            const problem = check(field, value);
+            if (problem) {
+                return { ok: false, error: { code: 'invalid_field', field: name, ...problem } };
+            }
+            message[name] = value;
+        }
+        return { ok: true, message };
+    }
+
+    function isSupported(version) {
+        return Number.isSafeInteger(version) && version >= MIN_VERSION && version <= VERSION;
+    }
+
+    /** Spanish text for an `error` / `auth_error` payload. */
+    function describeError(error) {
+        let text = ERRORS[error.code] || 'Error desconocido';
+        if (error.field) text += ` (${error.field}${error.reason ? ': ' + error.reason : ''})`;
+        if (error.to) text += ` (${error.to})`;
+        if (error.members) text += ` (${error.members.join(', ')})`;
+        if (error.limit != null) text += ` · límite ${error.limit}`;
+        if (error.retryAfterMs != null) text += ` · reintenta en ${Math.ceil(error.retryAfterMs / 1000)} s`;
+        return text;
+    }
+
+    return {
+        VERSION,
+        MIN_VERSION,
+        LIMITS,
+        CLIENT_MESSAGES,
+        SERVER_MESSAGES,
+        ERRORS,
+        validate,
+        isSupported,
+        describeError,
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Protocol;
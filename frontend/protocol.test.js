@@ -0,0 +1,67 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────
+//  Tests for protocol.js (shared client/server schema)
+//  Run with:  node protocol.test.js
+// ─────────────────────────────────────────────────────────────
+
+const assert = require('assert');
+const Protocol = require('./protocol');
+
+let passed = 0;
+
+function test(name, fn) {
+    return Promise.resolve()
+        .then(fn)
+        .then(() => { passed++; console.log(`  ✔  ${name}`); })
+        .catch((err) => { console.error(`  ✖  ${name}\n     ${err.message}`); process.exitCode = 1; });
+}
+
+(async () => {
+    console.log('\n📜  protocol tests\n');
+
+    await test('Valid message passes and unknown fields are dropped', () => {
+        const result = Protocol.validate({ type: 'send_message', to: 'bob', content: 'hi', ttl: 60, extra: 1 });
+        assert.ok(result.ok);
+        assert.deepStrictEqual(result.message, { type: 'send_message', to: 'bob', content: 'hi', ttl: 60 });
+    });
+
+    await test('Unknown type lists the valid ones', () => {
+        const result = Protocol.validate({ type: 'nope' });
+        assert.strictEqual(result.error.code, 'unknown_type');
+        assert.ok(result.error.validTypes.includes('send_message'));
+        assert.strictEqual(Protocol.validate('text').error.code, 'invalid_json');
+    });
+
+    await test('Missing and invalid fields are reported with reason and limit', () => {
+        assert.deepStrictEqual(Protocol.validate({ type: 'seen' }).error, { code: 'missing_field', field: 'messageId' });
+
+        const tooLong = 'x'.repeat(Protocol.LIMITS.contentLength + 1);
+        assert.deepStrictEqual(Protocol.validate({ type: 'send_message', to: 'bob', content: tooLong }).error, {
+            code: 'invalid_field', field: 'content', reason: 'too_long', limit: Protocol.LIMITS.contentLength,
+        });
+        assert.strictEqual(Protocol.validate({ type: 'seen', messageId: 'a b' }).error.reason, 'pattern');
+        assert.strictEqual(Protocol.validate({ type: 'send_message', to: 'bob', content: 'x', ttl: 0 }).error.reason, 'range');
+    });
+
+    await test('Nullable ttl is accepted as absent', () => {
+        const result = Protocol.validate({ type: 'send_message', to: 'bob', content: 'x', ttl: null });
+        assert.ok(result.ok);
+        assert.ok(!('ttl' in result.message));
+    });
+
+    await test('Nested arrays and maps are checked', () => {
+        const ids = Array.from({ length: Protocol.LIMITS.seenAllIds + 1 }, (_, i) => `m${i}`);
+        assert.strictEqual(Protocol.validate({ type: 'seen_all', messageIds: ids }).error.reason, 'too_many');
+        assert.strictEqual(Protocol.validate({ type: 'seen_all', messageIds: ['ok', 5] }).error.reason, 'type');
+        assert.strictEqual(Protocol.validate({ type: 'room_message', room: 'r1', contents: { bob: 7 } }).error.reason, 'type');
+    });
+
+    await test('Version support', () => {
+        assert.ok(Protocol.isSupported(Protocol.VERSION));
+        assert.ok(!Protocol.isSupported(Protocol.VERSION + 1));
+        assert.ok(!Protocol.isSupported('1'));
+    });
+
+    console.log(`\n  ${passed} tests passed ✅\n`);
+})();
@@ -0,0 +1,327 @@
+// ─────────────────────────────────────────────────────────────
+//  qr.js
+//  Minimal QR code encoder (ISO/IEC 18004) for safety numbers:
+//  numeric and byte mode, versions 1–6, error correction level M,
+//  drawn to a <canvas>. No dependencies.
+// ─────────────────────────────────────────────────────────────
+
+const QRCode = (() => {
+    'use strict';
+
+    // Level M: EC codewords per block and data codewords of each block
+    const VERSIONS = [
+        null,
+        { ec: 10, blocks: [16], align: [] },
+        { ec: 16, blocks: [28], align: [6, 18] },
+        { ec: 26, blocks: [44], align: [6, 22] },
+        { ec: 18, blocks: [32, 32], align: [6, 26] },
+        { ec: 24, blocks: [43, 43], align: [6, 30] },
+        { ec: 16, blocks: [27, 27, 27, 27], align: [6, 34] },
+    ];
+    const MAX_VERSION = VERSIONS.length - 1;
+    const EC_LEVEL_M = 0b00;
+    const MODE_NUMERIC = 0b0001;
+    const MODE_BYTE = 0b0100;
+
+    // ── Reed-Solomon over GF(256), polynomial 0x11D ────────
+
+    const EXP = new Uint8Array(512);
+    const LOG = new Uint8Array(256);
+    for (let i = 0, x = 1; i < 255; i++) {
+        EXP[i] = x;
+        LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) x ^= 0x11d;
+    }
+    for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+    function gfMul(a, b) {
+        return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+    }
+
+    function generator(degree) {
+        let poly = [1];
+        for (let i = 0; i < degree; i++) {
+            const next = new Array(poly.length + 1).fill(0);
+            for (let j = 0; j < poly.length; j++) {
+                next[j] ^= poly[j];
+                next[j + 1] ^= gfMul(poly[j], EXP[i]);
+            }
+            poly = next;
+        }
+        return poly;
+    }
+
+    function errorCorrection(data, degree) {
+        const gen = generator(degree);
+        const rest = [...data, ...new Array(degree).fill(0)];
+        for (let i = 0; i < data.length; i++) {
+            const factor = rest[i];
+            if (factor) for (let j = 0; j < gen.length; j++) rest[i + j] ^= gfMul(gen[j], factor);
+        }
+        return rest.slice(data.length);
+    }
+
+    // ── Data encoding ──────────────────────────────────────
+
+    function segment(text) {
+        if (/^\d*$/.test(text)) {
+            const bits = [];
+            for (let i = 0; i < text.length; i += 3) {
+                const group = text.slice(i, i + 3);
+                bits.push([parseInt(group, 10), [4, 7, 10][group.length - 1]]);
+            }
+            return { mode: MODE_NUMERIC, count: text.length, countBits: 10, bits };
+        }
+        const bytes = new TextEncoder().encode(text);
+        return { mode: MODE_BYTE, count: bytes.length, countBits: 8, bits: [...bytes].map((b) => [b, 8]) };
+    }
+
+    function codewords(text) {
+        const seg = segment(text);
+        const length = 4 + seg.countBits + seg.bits.reduce((s, [, n]) => s + n, 0);
+        const version = VERSIONS.findIndex((v) => v && length <= v.blocks.reduce((s, n) => s + n, 0) * 8);
+        if (version < 1) throw new RangeError(`Text does not fit a version ${MAX_VERSION} QR code.`);
+        const { ec, blocks } = VERSIONS[version];
+        const capacity = blocks.reduce((s, n) => s + n, 0) * 8;
+
+        const bits = [];
+        const push = (value, count) => {
+            for (let i = count - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        push(seg.mode, 4);
+        push(seg.count, seg.countBits);
+        seg.bits.forEach(([value, count]) => push(value, count));
+        push(0, Math.min(4, capacity - bits.length));
+        while (bits.length % 8) bits.push(0);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        for (let pad = 0xec; data.length < capacity / 8; pad ^= 0xec ^ 0x11) data.push(pad);
+
+        // Split into blocks, add EC, then interleave column by column
+        const dataBlocks = [];
+        let offset = 0;
+        for (const n of blocks) {
+            dataBlocks.push(data.slice(offset, offset + n));
+            offset += n;
+        }
+        const ecBlocks = dataBlocks.map((block) => errorCorrection(block, ec));
+        const out = [];
+        for (let i = 0; i < Math.max(...blocks); i++) dataBlocks.forEach((b) => i < b.length && out.push(b[i]));
+        for (let i = 0; i < ec; i++) ecBlocks.forEach((b) => out.push(b[i]));
+        return { version, codewords: out };
+    }
+
+    // ── Matrix ─────────────────────────────────────────────
+
+    function formatBits(mask) {
+        const data = (EC_LEVEL_M << 3) | mask;
+        let rem = data << 10;
+        for (let i = 14; i >= 10; i--) if (rem & (1 << i)) rem ^= 0x537 << (i - 10);
+        return ((data << 10) | rem) ^ 0x5412;
+    }
+
+    const MASKS = [
+        (r, c) => (r + c) % 2 === 0,
+        (r) => r % 2 === 0,
+        (r, c) => c % 3 === 0,
+        (r, c) => (r + c) % 3 === 0,
+        (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+        (r, c) => ((r * c) % 2) + ((r * c) % 3) === 0,
+        (r, c) => (((r * c) % 2) + ((r * c) % 3)) % 2 === 0,
+        (r, c) => (((r + c) % 2) + ((r * c) % 3)) % 2 === 0,
+    ];
+
+    function baseMatrix(version) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (r, c, dark) => {
+            modules[r][c] = dark;
+            reserved[r][c] = true;
+        };
+
+        // Finder patterns with their separators
+        for (const [row, col] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+            for (let r = -1; r <= 7; r++) {
+                for (let c = -1; c <= 7; c++) {
+                    const rr = row + r;
+                    const cc = col + c;
+                    if (rr < 0 || cc < 0 || rr >= size || cc >= size) continue;
+                    const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+                    set(rr, cc, ring !== 2 && ring !== 4);
+                }
+            }
+        }
+
+        // Alignment patterns (none overlapping the finders)
+        const align = VERSIONS[version].align;
+        for (const row of align) {
+            for (const col of align) {
+                if (reserved[row][col]) continue;
+                for (let r = -2; r <= 2; r++) {
+                    for (let c = -2; c <= 2; c++) set(row + r, col + c, Math.max(Math.abs(r), Math.abs(c)) !== 1);
+                }
+            }
+        }
+
+        // Timing patterns and the dark module
+        for (let i = 8; i < size - 8; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+        set(size - 8, 8, true);
+
+        // Reserve the format areas (filled per mask)
+        for (let i = 0; i < 9; i++) {
+            if (!reserved[8][i]) set(8, i, false);
+            if (!reserved[i][8]) set(i, 8, false);
+        }
+        for (let i = 0; i < 8; i++) {
+            set(8, size - 1 - i, false);
+            if (!reserved[size - 1 - i][8]) set(size - 1 - i, 8, false);
+        }
+        return { size, modules, reserved };
+    }
+
+    function placeData(matrix, codewords) {
+        const { size, modules, reserved } = matrix;
+        const bits = [];
+        codewords.forEach((byte) => {
+            for (let i = 7; i >= 0; i--) bits.push((byte >>> i) & 1);
+        });
+
+        let index = 0;
+        let upward = true;
+        for (let right = size - 1; right > 0; right -= 2) {
+            if (right === 6) right = 5;  // skip the vertical timing column
+            for (let step = 0; step < size; step++) {
+                const row = upward ? size - 1 - step : step;
+                for (const col of [right, right - 1]) {
+                    if (reserved[row][col]) continue;
+                    modules[row][col] = index < bits.length ? bits[index] === 1 : false;
+                    index++;
+                }
+            }
+            upward = !upward;
+        }
+    }
+
+    function applyMask(matrix, mask) {
+        const { size, reserved } = matrix;
+        const modules = matrix.modules.map((row) => row.slice());
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (!reserved[r][c] && MASKS[mask](r, c)) modules[r][c] = !modules[r][c];
+            }
+        }
+
+        const format = formatBits(mask);
+        const bit = (i) => ((format >>> i) & 1) === 1;
+        for (let i = 0; i < 15; i++) {
+            // Around the top-left finder
+            if (i < 6) modules[i][8] = bit(i);
+            else if (i < 8) modules[i + 1][8] = bit(i);
+            else modules[8][14 - i + (i === 8 ? 1 : 0)] = bit(i);
+            // Split between the other two finders
+            if (i < 8) modules[8][size - 1 - i] = bit(i);
+            else modules[size - 15 + i][8] = bit(i);
+        }
+        return modules;
+    }
+
+    function penalty(modules) {
+        const size = modules.length;
+        let score = 0;
+
+        // Runs of 5+ same-colour modules, in rows and columns
+        for (let a = 0; a < size; a++) {
+            for (const line of [(i) => modules[a][i], (i) => modules[i][a]]) {
+                let run = 1;
+                for (let i = 1; i <= size; i++) {
+                    if (i < size && line(i) === line(i - 1)) {
+                        run++;
+                    } else {
+                        if (run >= 5) score += run - 2;
+                        run = 1;
+                    }
+                }
+            }
+        }
+
+        // 2×2 blocks
+        for (let r = 0; r < size - 1; r++) {
+            for (let c = 0; c < size - 1; c++) {
+                const v = modules[r][c];
+                if (v === modules[r][c + 1] && v === modules[r + 1][c] && v === modules[r + 1][c + 1]) score += 3;
+            }
+        }
+
+        // Finder-like 1:1:3:1:1 patterns with 4 light modules on a side
+        const pattern = [true, false, true, true, true, false, true];
+        for (let a = 0; a < size; a++) {
+            for (let i = 0; i + 7 <= size; i++) {
+                for (const line of [(k) => modules[a][k], (k) => modules[k][a]]) {
+                    if (!pattern.every((p, k) => line(i + k) === p)) continue;
+                    const light = (from, to) => {
+                        for (let k = from; k < to; k++) if (k >= 0 && k < size && line(k)) return false;
+                        return true;
+                    };
+                    if (light(i - 4, i) || light(i + 7, i + 11)) score += 40;
+                }
+            }
+        }
+
+        // Balance of dark modules
+        const dark = modules.reduce((s, row) => s + row.filter(Boolean).length, 0);
+        score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+        return score;
+    }
+
+    /**
+     * Encodes `text` (digits use numeric mode) into a QR matrix.
+     * Returns { version, size, modules } with modules[row][col] = dark.
+     */
+    function encode(text) {
+        const { version, codewords: data } = codewords(String(text));
+        const matrix = baseMatrix(version);
+        placeData(matrix, data);
+
+        let best = null;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            const modules = applyMask(matrix, mask);
+            const score = penalty(modules);
+            if (!best || score < best.score) best = { modules, score };
+        }
+        return { version, size: matrix.size, modules: best.modules };
+    }
+
+    /**
+     * Draws the QR code for `text` on a canvas, `scale` px per module
+     * and a `margin` of light modules (the spec asks for 4).
+     */
+    function render(canvas, text, { scale = 4, margin = 4 } = {}) {
+        const { size, modules } = encode(text);
+        const side = (size + margin * 2) * scale;
+        canvas.width = side;
+        canvas.height = side;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, side, side);
+        ctx.fillStyle = '#000';
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (modules[r][c]) ctx.fillRect((c + margin) * scale, (r + margin) * scale, scale, scale);
+            }
+        }
+        return canvas;
+    }
+
+    return { encode, render, MAX_VERSION };
+})();
+
+// Node (tests): expose the same API via CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRCode;
+}